@@ -0,0 +1,8 @@
+// Support tools (the raw APDU console) only work when the app is started with
+// --nfc-admin or NFC_ADMIN=1. The flag is read in the main process, so the
+// renderer cannot switch it on by itself.
+
+export function resolveAdminMode(argv = process.argv, env = process.env) {
+  if (argv.includes('--nfc-admin')) return true;
+  return ['1', 'true', 'yes'].includes(String(env.NFC_ADMIN || '').toLowerCase());
+}
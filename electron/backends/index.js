@@ -0,0 +1,34 @@
+import { createPcscBackend } from './pcsc.js';
+import { createSimulatorBackend } from './simulator.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('backend');
+
+// Reader backends. Each one provides `createNFC()`, returning an object with
+// the nfc-pcsc NFC interface ('reader' / 'error' events and close()).
+//
+// Selected with NFC_BACKEND=<name> or --nfc-backend=<name>; defaults to pcsc.
+
+const BACKENDS = {
+  pcsc: createPcscBackend,
+  simulator: createSimulatorBackend,
+  sim: createSimulatorBackend
+};
+
+export function resolveBackendName(argv = process.argv, env = process.env) {
+  const flagIndex = argv.findIndex(arg => arg === '--nfc-backend' || arg.startsWith('--nfc-backend='));
+  if (flagIndex !== -1) {
+    const flag = argv[flagIndex];
+    return flag.includes('=') ? flag.split('=')[1] : argv[flagIndex + 1];
+  }
+  return env.NFC_BACKEND || 'pcsc';
+}
+
+export async function createBackend(name = resolveBackendName()) {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown NFC backend "${name}" (available: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  log.info(`🔌 Using NFC backend: ${name}`);
+  return await factory();
+}
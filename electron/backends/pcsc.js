@@ -0,0 +1,23 @@
+import { createLogger } from '../logger.js';
+
+const log = createLogger('backend');
+
+// Real readers through nfc-pcsc. The native module is only imported when this
+// backend is selected, so the simulator works without PC/SC installed.
+export async function createPcscBackend() {
+  log.info('📦 Attempting to import nfc-pcsc...');
+  let NFC;
+  try {
+    ({ NFC } = await import('nfc-pcsc'));
+    log.info('✅ nfc-pcsc imported successfully');
+  } catch (importError) {
+    log.error('❌ Failed to import nfc-pcsc:', importError.message);
+    log.error('❌ Import error stack:', importError.stack);
+    throw new Error(`Failed to import nfc-pcsc: ${importError.message}`);
+  }
+
+  return {
+    name: 'pcsc',
+    createNFC: () => new NFC()
+  };
+}
@@ -0,0 +1,300 @@
+import { EventEmitter } from 'events';
+import { createVirtualCard, VirtualCardError, VIRTUAL_CARD_MODELS, SIMULATOR_ORIGINALITY_KEY } from './virtual-cards.js';
+
+// In-memory stand-in for nfc-pcsc. `SimulatedNFC` and `SimulatedReader`
+// expose the same events and methods the handler uses on the real classes,
+// while the `Simulator` controller adds/removes virtual readers and taps
+// virtual cards on them. Cards live in a registry keyed by UID, so a card
+// keeps its memory when it is lifted and tapped again.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Same message shape nfc-pcsc uses for failed READ/UPDATE BINARY
+class SimulatedOperationError extends Error {
+  constructor(operation, error) {
+    const statusWord = error.statusWord || 0x6300;
+    super(`${operation} operation failed: Status code: 0x${statusWord.toString(16)} (${error.message})`);
+    this.name = `${operation}Error`;
+    this.code = 'operation_failed';
+  }
+}
+
+class SimulatedReader extends EventEmitter {
+  constructor(simulator, name) {
+    super();
+    this.simulator = simulator;
+    this.reader = { name };
+    this.card = null;
+    this.virtualCard = null;
+    this.closed = false;
+  }
+
+  get name() {
+    return this.reader.name;
+  }
+
+  insert(virtualCard) {
+    this.virtualCard = virtualCard;
+    virtualCard.reset();
+    this.card = virtualCard.info;
+    this.emit('card', { ...this.card });
+  }
+
+  remove() {
+    const card = this.card;
+    this.virtualCard = null;
+    this.card = null;
+    this.emit('card.off', card);
+  }
+
+  async perform(operation, fn) {
+    if (!this.virtualCard) {
+      throw new SimulatedOperationError(operation, new VirtualCardError('No card present'));
+    }
+    const card = this.virtualCard;
+    if (card.latency) await sleep(card.latency);
+    // Lifted while the operation was in flight
+    if (this.virtualCard !== card) {
+      throw new SimulatedOperationError(operation, new VirtualCardError('Card was removed'));
+    }
+    try {
+      return fn(card);
+    } catch (error) {
+      throw new SimulatedOperationError(operation, error);
+    }
+  }
+
+  async read(blockNumber, length, blockSize = 4, packetSize = 16) {
+    if (length > packetSize) {
+      const chunks = [];
+      for (let offset = 0; offset < length; offset += packetSize) {
+        chunks.push(await this.read(blockNumber + offset / blockSize, Math.min(packetSize, length - offset), blockSize, packetSize));
+      }
+      return Buffer.concat(chunks);
+    }
+    return this.perform('Read', card => Buffer.from(card.readBinary(blockNumber, length)));
+  }
+
+  async write(blockNumber, data, blockSize = 4) {
+    if (data.length < blockSize || data.length % blockSize !== 0) {
+      throw new Error('Invalid data length. You can only update the entire data block(s).');
+    }
+    if (data.length > blockSize) {
+      for (let offset = 0; offset < data.length; offset += blockSize) {
+        await this.write(blockNumber + offset / blockSize, data.slice(offset, offset + blockSize), blockSize);
+      }
+      return;
+    }
+    await this.perform('Write', card => card.writeBinary(blockNumber, data));
+  }
+
+  async authenticate(blockNumber, keyType, key) {
+    const keyBuffer = Buffer.isBuffer(key) ? key : Buffer.from(key, 'hex');
+    await this.perform('Authentication', card => {
+      if (!card.authenticate) {
+        throw new VirtualCardError('Card does not support MIFARE authentication');
+      }
+      card.authenticate(blockNumber, keyType, keyBuffer);
+    });
+    return true;
+  }
+
+  // Raw APDUs: GET DATA (UID), READ/UPDATE BINARY and the PN53x
+  // InCommunicateThru tunnel for native tag commands
+  async transmit(data, responseMaxLength) {
+    const sw = (code) => Buffer.from([code >> 8, code & 0xFF]);
+    const [cla, ins, p1, p2] = data;
+
+    if (cla !== 0xFF) return sw(0x6E00);
+
+    return this.perform('Transmit', card => {
+      try {
+        if (ins === 0xCA && p1 === 0x00) {
+          return Buffer.concat([card.uid, sw(0x9000)]);
+        }
+        if (ins === 0xB0) {
+          return Buffer.concat([card.readBinary(p2, data[4] || 16), sw(0x9000)]);
+        }
+        if (ins === 0xD6) {
+          card.writeBinary(p2, data.slice(5, 5 + data[4]));
+          return sw(0x9000);
+        }
+        // InListPassiveTarget: select the card again, answering with its SENS_RES, SEL_RES and UID
+        if (ins === 0x00 && data[5] === 0xD4 && data[6] === 0x4A) {
+          card.select();
+          return Buffer.concat([Buffer.from([0xD5, 0x4B, 0x01, 0x01, 0x00, 0x44, 0x00, card.uid.length]), card.uid, sw(0x9000)]);
+        }
+        if (ins === 0x00 && data[5] === 0xD4 && data[6] === 0x42) {
+          const answer = card.command(data.slice(7));
+          const response = answer
+            ? Buffer.concat([Buffer.from([0xD5, 0x43, 0x00]), answer, sw(0x9000)])
+            : Buffer.concat([Buffer.from([0xD5, 0x43, 0x01]), sw(0x9000)]);
+          return response.slice(0, Math.max(responseMaxLength, 2));
+        }
+        return sw(0x6D00);
+      } catch (error) {
+        if (error instanceof VirtualCardError) return sw(error.statusWord);
+        throw error;
+      }
+    });
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+class SimulatedNFC extends EventEmitter {
+  constructor(simulator) {
+    super();
+    this.simulator = simulator;
+    this.devices = new Map();
+  }
+
+  attachReader(name) {
+    const device = new SimulatedReader(this.simulator, name);
+    this.devices.set(name, device);
+    this.emit('reader', device);
+    return device;
+  }
+
+  detachReader(name) {
+    const device = this.devices.get(name);
+    if (!device) return;
+    this.devices.delete(name);
+    device.emit('end');
+  }
+
+  get readers() {
+    return Object.fromEntries(this.devices);
+  }
+
+  close() {
+    this.devices.forEach(device => device.close());
+    this.devices.clear();
+    this.simulator.detach(this);
+  }
+}
+
+export class Simulator {
+  constructor({ readers = ['Simulated Reader 0'] } = {}) {
+    this.readerNames = new Set(readers);
+    // Reader name -> UID of the card lying on it
+    this.placements = new Map();
+    // UID -> virtual card
+    this.cards = new Map();
+    this.nfc = null;
+  }
+
+  // Called by the backend whenever the handler (re)starts
+  createNFC() {
+    const nfc = new SimulatedNFC(this);
+    this.nfc = nfc;
+
+    // Like PC/SC, announce readers (and cards already in their field) asynchronously
+    setImmediate(() => {
+      if (this.nfc !== nfc) return;
+      this.readerNames.forEach(name => {
+        const device = nfc.attachReader(name);
+        const uid = this.placements.get(name);
+        if (uid) device.insert(this.cards.get(uid));
+      });
+    });
+
+    return nfc;
+  }
+
+  detach(nfc) {
+    if (this.nfc === nfc) this.nfc = null;
+  }
+
+  device(readerName) {
+    return this.nfc ? this.nfc.devices.get(readerName) : null;
+  }
+
+  addReader(name) {
+    if (!name || this.readerNames.has(name)) {
+      throw new Error(`Reader name "${name}" is empty or already in use`);
+    }
+    this.readerNames.add(name);
+    if (this.nfc) this.nfc.attachReader(name);
+  }
+
+  removeReader(name) {
+    if (!this.readerNames.has(name)) throw new Error(`Unknown reader: ${name}`);
+    if (this.placements.has(name)) this.removeCard(name);
+    this.readerNames.delete(name);
+    if (this.nfc) this.nfc.detachReader(name);
+  }
+
+  // Place a card on a reader: `spec.uid` of a known card taps it again,
+  // otherwise a new card is created from the spec
+  tap(readerName, spec = {}) {
+    if (!this.readerNames.has(readerName)) throw new Error(`Unknown reader: ${readerName}`);
+
+    const known = spec.uid ? this.cards.get(String(spec.uid).toLowerCase()) : null;
+    const card = known || createVirtualCard(spec);
+    const uid = card.uid.toString('hex');
+    this.cards.set(uid, card);
+
+    for (const [name, placedUid] of this.placements) {
+      if (placedUid === uid && name !== readerName) this.removeCard(name);
+    }
+    if (this.placements.has(readerName)) this.removeCard(readerName);
+
+    this.placements.set(readerName, uid);
+    const device = this.device(readerName);
+    if (device) device.insert(card);
+    return card.describe();
+  }
+
+  removeCard(readerName) {
+    if (!this.placements.has(readerName)) return;
+    this.placements.delete(readerName);
+    const device = this.device(readerName);
+    if (device && device.card) device.remove();
+  }
+
+  // Update failing pages / latency / NFC counter of a known card
+  configureCard(uid, { failingPages, latency, counter } = {}) {
+    const card = this.cards.get(String(uid).toLowerCase());
+    if (!card) throw new Error(`Unknown card: ${uid}`);
+    if (failingPages !== undefined) card.failingPages = new Set(failingPages.map(Number));
+    if (latency !== undefined) card.latency = Number(latency) || 0;
+    if (counter !== undefined && card.hasCounter) card.counter = Number(counter) & 0xFFFFFF;
+    return card.describe();
+  }
+
+  forgetCard(uid) {
+    const key = String(uid).toLowerCase();
+    for (const [name, placedUid] of this.placements) {
+      if (placedUid === key) this.removeCard(name);
+    }
+    this.cards.delete(key);
+  }
+
+  describe() {
+    return {
+      models: VIRTUAL_CARD_MODELS,
+      readers: [...this.readerNames].map(name => ({
+        name,
+        card: this.placements.get(name) || null
+      })),
+      cards: [...this.cards.values()].map(card => card.describe())
+    };
+  }
+}
+
+export function createSimulatorBackend(options) {
+  const simulator = new Simulator(options);
+  return {
+    name: 'simulator',
+    simulator,
+    // Virtual NTAG / Ultralight EV1 cards are signed with the simulator key
+    originalityKeys: {
+      'NTAG21x': SIMULATOR_ORIGINALITY_KEY,
+      'Ultralight EV1': SIMULATOR_ORIGINALITY_KEY
+    },
+    createNFC: () => simulator.createNFC()
+  };
+}
@@ -0,0 +1,414 @@
+import crypto from 'crypto';
+import { TAG_LAYOUTS, PAGE_SIZE, getLockGroups, isGroupLocked } from '../tag-layout.js';
+import { CLASSIC_LAYOUTS, BLOCK_SIZE, DEFAULT_KEY, sectorOfBlock, trailerBlockOfSector } from '../mifare-classic.js';
+import { buildCapabilityContainer, buildNdefTLV, encodeMessage } from '../ndef.js';
+import { CURVE, ORIGINALITY_KEYS, pointMultiply, modInverse, bufferToBigInt } from '../originality.js';
+
+// In-memory cards for the simulator backend. They answer the same pseudo-APDUs
+// and native commands a real ACR122U passes through, so the handler cannot
+// tell them apart from physical NTAG21x / Ultralight / MIFARE Classic cards.
+
+// PC/SC "card name" bytes of the contactless ATR
+const CARD_NAMES = {
+  MIFARE_CLASSIC_1K: 0x0001,
+  MIFARE_CLASSIC_4K: 0x0002,
+  ULTRALIGHT_C: 0x003A
+};
+const TYPE2_CARD_NAME = 0x0003;
+
+const VERSIONS = {
+  NTAG213: '0004040201000F03',
+  NTAG215: '0004040201001103',
+  NTAG216: '0004040201001303',
+  ULTRALIGHT_EV1_MF0UL11: '0004030101000B03',
+  ULTRALIGHT_EV1_MF0UL21: '0004030101000E03'
+};
+
+export const VIRTUAL_CARD_MODELS = [...Object.keys(TAG_LAYOUTS), ...Object.keys(CLASSIC_LAYOUTS)];
+
+// Virtual chips cannot carry NXP's signature, so they are signed with this
+// test key instead. The simulator backend hands the public half to the
+// handler as an extra originality key.
+const SIMULATOR_SIGNING_KEY = bufferToBigInt(Buffer.from('SIMULATOR-ORIGIN'));
+const simulatorPublicPoint = pointMultiply(SIMULATOR_SIGNING_KEY, CURVE.G);
+
+export const SIMULATOR_ORIGINALITY_KEY = {
+  name: 'Simulator test key',
+  publicKey: '04' + [simulatorPublicPoint.x, simulatorPublicPoint.y]
+    .map(value => value.toString(16).padStart(32, '0')).join('').toUpperCase()
+};
+
+function signUid(uid) {
+  const { n, G } = CURVE;
+  const e = bufferToBigInt(uid);
+  for (;;) {
+    const k = bufferToBigInt(crypto.randomBytes(16)) % n;
+    if (k === 0n) continue;
+    const r = pointMultiply(k, G).x % n;
+    const s = (modInverse(k, n) * (e + r * SIMULATOR_SIGNING_KEY)) % n;
+    if (r === 0n || s === 0n) continue;
+    return Buffer.from(r.toString(16).padStart(32, '0') + s.toString(16).padStart(32, '0'), 'hex');
+  }
+}
+
+// Card-level failures. The reader wraps them the way nfc-pcsc reports errors.
+export class VirtualCardError extends Error {
+  constructor(message, statusWord = 0x6300) {
+    super(message);
+    this.name = 'VirtualCardError';
+    this.statusWord = statusWord;
+  }
+}
+
+function buildAtr(cardName) {
+  const bytes = [0x3B, 0x8F, 0x80, 0x01, 0x80, 0x4F, 0x0C, 0xA0, 0x00, 0x00, 0x03, 0x06, 0x03,
+    cardName >> 8, cardName & 0xFF, 0x00, 0x00, 0x00, 0x00];
+  const tck = bytes.slice(1).reduce((acc, byte) => acc ^ byte, 0);
+  return Buffer.from([...bytes, tck]);
+}
+
+function randomUid(length) {
+  const uid = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) uid[i] = Math.floor(Math.random() * 256);
+  uid[0] = 0x04; // NXP manufacturer code
+  return uid;
+}
+
+function parseHex(hex, name) {
+  const clean = String(hex || '').replace(/\s+/g, '');
+  if (clean.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(clean)) {
+    throw new Error(`${name} must be hex`);
+  }
+  return Buffer.from(clean, 'hex');
+}
+
+class VirtualCard {
+  constructor(spec) {
+    this.model = spec.model;
+    this.failingPages = new Set((spec.failingPages || []).map(Number));
+    this.latency = Number(spec.latency) || 0;
+  }
+
+  get info() {
+    return {
+      atr: this.atr,
+      standard: 'TAG_ISO_14443_3',
+      type: 'TAG_ISO_14443_3',
+      uid: this.uid.toString('hex')
+    };
+  }
+
+  checkFailing(address) {
+    if (this.failingPages.has(address)) {
+      throw new VirtualCardError(`Simulated failure at ${address}`);
+    }
+  }
+
+  // Called on every tap - authentication does not survive leaving the field
+  reset() {}
+
+  // InListPassiveTarget - selecting the card again drops authentication
+  select() {
+    this.reset();
+  }
+
+  describe() {
+    return {
+      uid: this.uid.toString('hex'),
+      model: this.model,
+      failingPages: [...this.failingPages],
+      latency: this.latency
+    };
+  }
+}
+
+// NFC Forum Type 2: NTAG21x and the MIFARE Ultralight family
+export class VirtualType2Card extends VirtualCard {
+  constructor(spec) {
+    super(spec);
+    this.layout = TAG_LAYOUTS[spec.model];
+    this.uid = spec.uid ? parseHex(spec.uid, 'UID') : randomUid(7);
+    this.atr = buildAtr(CARD_NAMES[spec.model] || TYPE2_CARD_NAME);
+    this.version = VERSIONS[spec.model] ? Buffer.from(VERSIONS[spec.model], 'hex') : null;
+    this.memory = Buffer.alloc(this.layout.totalPages * PAGE_SIZE);
+    this.authenticated = false;
+    this.lockGroups = getLockGroups(this.layout);
+    // A clone copies some other chip's signature, which does not match its UID
+    this.cloned = !!spec.cloned;
+    this.signature = ORIGINALITY_KEYS[this.layout.family]
+      ? signUid(this.cloned ? randomUid(7) : this.uid)
+      : null;
+    // NTAG21x 24-bit NFC counter, counted once per tap while NFC_CNT_EN is set
+    this.counter = Number(spec.counter) || 0;
+    this.counted = false;
+    // Set by a NAK: the tag ignores everything until it is selected again
+    this.halted = false;
+    this.format(spec);
+  }
+
+  format(spec) {
+    const uid = this.uid;
+    const bcc0 = 0x88 ^ uid[0] ^ uid[1] ^ uid[2];
+    const bcc1 = uid[3] ^ uid[4] ^ uid[5] ^ uid[6];
+    Buffer.from([uid[0], uid[1], uid[2], bcc0, uid[3], uid[4], uid[5], uid[6], bcc1, 0x48, 0x00, 0x00])
+      .copy(this.memory, 0);
+    buildCapabilityContainer(this.layout.ndefDataAreaSize).copy(this.memory, 3 * PAGE_SIZE);
+
+    // Factory cards carry an empty NDEF message
+    const message = spec.text ? encodeMessage([{ type: 'text', text: spec.text }]) : Buffer.alloc(0);
+    const tlv = buildNdefTLV(message);
+    tlv.copy(this.memory, this.layout.userStart * PAGE_SIZE);
+
+    if (this.layout.cfg0Page !== undefined) {
+      // AUTH0 = 0xFF: password protection disabled
+      Buffer.from([0x04, 0x00, 0x00, 0xFF]).copy(this.memory, this.layout.cfg0Page * PAGE_SIZE);
+      Buffer.from([0xFF, 0xFF, 0xFF, 0xFF]).copy(this.memory, this.layout.pwdPage * PAGE_SIZE);
+    }
+
+    // Raw memory overrides, e.g. from a saved dump
+    if (spec.memory) {
+      parseHex(spec.memory, 'Memory').copy(this.memory, 0, 0, this.memory.length);
+    }
+  }
+
+  reset() {
+    this.authenticated = false;
+    this.counted = false;
+    this.halted = false;
+  }
+
+  // Re-selection keeps the power-on state, so the counter is not bumped again
+  select() {
+    this.authenticated = false;
+    this.halted = false;
+  }
+
+  checkHalted() {
+    if (this.halted) {
+      throw new VirtualCardError('Tag is not answering (NAKed a command and was not re-selected)');
+    }
+  }
+
+  describe() {
+    return { ...super.describe(), cloned: this.cloned, counter: this.hasCounter ? this.counter : null };
+  }
+
+  get hasCounter() {
+    return this.layout.family === 'NTAG21x';
+  }
+
+  get counterEnabled() {
+    return this.hasCounter && (this.page(this.layout.cfg1Page)[0] & 0x10) !== 0;
+  }
+
+  page(page) {
+    return this.memory.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+  }
+
+  get auth0() {
+    return this.layout.cfg0Page === undefined ? 0xFF : this.page(this.layout.cfg0Page)[3];
+  }
+
+  get readProtected() {
+    return this.layout.cfg1Page !== undefined && (this.page(this.layout.cfg1Page)[0] & 0x80) !== 0;
+  }
+
+  isLocked(page) {
+    const lockPages = {};
+    this.lockGroups.forEach(group => { lockPages[group.lockPage] = this.page(group.lockPage); });
+    return this.lockGroups.some(group =>
+      page >= group.firstPage && page <= group.lastPage && isGroupLocked(group, lockPages));
+  }
+
+  readPage(page) {
+    this.checkFailing(page);
+    if (!this.authenticated && this.readProtected && page >= this.auth0) {
+      throw new VirtualCardError(`Page ${page} is read protected`);
+    }
+    // PWD and PACK always read back as zeros
+    if (page === this.layout.pwdPage || page === this.layout.packPage) {
+      return Buffer.alloc(PAGE_SIZE);
+    }
+    return this.page(page);
+  }
+
+  // READ returns 4 pages, rolling over to page 0 past the end of memory
+  readBinary(page, length) {
+    this.checkHalted();
+    if (page >= this.layout.totalPages) {
+      throw new VirtualCardError(`Page ${page} does not exist`);
+    }
+    // The first READ after entering the field bumps the NFC counter
+    if (!this.counted && this.counterEnabled) {
+      this.counter = (this.counter + 1) & 0xFFFFFF;
+    }
+    this.counted = true;
+    const pages = [];
+    for (let i = 0; i < Math.ceil(length / PAGE_SIZE); i++) {
+      pages.push(this.readPage((page + i) % this.layout.totalPages));
+    }
+    return Buffer.concat(pages).slice(0, length);
+  }
+
+  writeBinary(page, data) {
+    this.checkHalted();
+    if (data.length % PAGE_SIZE !== 0) {
+      throw new VirtualCardError('Writes must cover whole pages', 0x6700);
+    }
+    for (let i = 0; i < data.length / PAGE_SIZE; i++) {
+      this.writePage(page + i, data.slice(i * PAGE_SIZE, (i + 1) * PAGE_SIZE));
+    }
+  }
+
+  writePage(page, data) {
+    this.checkFailing(page);
+    if (page < 2 || page >= this.layout.totalPages) {
+      throw new VirtualCardError(`Page ${page} is not writable`);
+    }
+    if (!this.authenticated && page >= this.auth0) {
+      throw new VirtualCardError(`Page ${page} is write protected`);
+    }
+    if (this.isLocked(page)) {
+      throw new VirtualCardError(`Page ${page} is locked`);
+    }
+
+    const current = this.page(page);
+    if (page === 2) {
+      // Only the lock bytes can change, and only from 0 to 1
+      current[2] |= data[2];
+      current[3] |= data[3];
+    } else if (page === this.layout.dynamicLockPage) {
+      // Dynamic lock bits are one-way too; byte 3 is RFUI
+      for (let i = 0; i < 3; i++) current[i] |= data[i];
+    } else if (page === 3) {
+      // Capability Container is one-time programmable
+      for (let i = 0; i < PAGE_SIZE; i++) current[i] |= data[i];
+    } else {
+      data.copy(current);
+    }
+  }
+
+  // Native command tunnelled through InCommunicateThru. Returns the tag's
+  // answer, or null for a NAK - after which the tag stays mute until selected.
+  command(bytes) {
+    if (this.halted) return null;
+    const answer = this.answer(bytes);
+    if (!answer) this.halted = true;
+    return answer;
+  }
+
+  answer(bytes) {
+    switch (bytes[0]) {
+      case 0x60: // GET_VERSION
+        return this.version;
+      case 0x3C: // READ_SIG
+        return this.signature;
+      case 0x39: // READ_CNT - only counter 2 exists on NTAG21x, LSB first
+        if (!this.hasCounter || bytes[1] !== 0x02) return null;
+        return Buffer.from([this.counter & 0xFF, (this.counter >> 8) & 0xFF, this.counter >> 16]);
+      case 0x1B: { // PWD_AUTH
+        if (this.layout.pwdPage === undefined || bytes.length < 5) return null;
+        if (!bytes.slice(1, 5).equals(this.page(this.layout.pwdPage))) return null;
+        this.authenticated = true;
+        return this.page(this.layout.packPage).slice(0, 2);
+      }
+      default:
+        return null;
+    }
+  }
+}
+
+// MIFARE Classic 1K / 4K with per-sector key A / key B authentication
+export class VirtualClassicCard extends VirtualCard {
+  constructor(spec) {
+    super(spec);
+    this.layout = CLASSIC_LAYOUTS[spec.model];
+    this.uid = spec.uid ? parseHex(spec.uid, 'UID') : randomUid(4);
+    this.atr = buildAtr(CARD_NAMES[spec.model]);
+    this.memory = Buffer.alloc(this.layout.totalBlocks * BLOCK_SIZE);
+    this.authenticatedSector = null;
+    this.format(spec);
+  }
+
+  format(spec) {
+    const uid = this.uid;
+    const bcc = uid[0] ^ uid[1] ^ uid[2] ^ uid[3];
+    Buffer.from([uid[0], uid[1], uid[2], uid[3], bcc, 0x08, 0x04, 0x00]).copy(this.memory, 0);
+
+    // Transport configuration: both keys FFFFFFFFFFFF, key A does everything
+    const key = Buffer.from(spec.key || DEFAULT_KEY, 'hex');
+    const trailer = Buffer.concat([key, Buffer.from([0xFF, 0x07, 0x80, 0x69]), key]);
+    for (let sector = 0; sector < this.layout.sectors; sector++) {
+      trailer.copy(this.memory, trailerBlockOfSector(sector) * BLOCK_SIZE);
+    }
+
+    if (spec.text) {
+      Buffer.from(spec.text, 'utf8').copy(this.memory, 4 * BLOCK_SIZE, 0, 3 * BLOCK_SIZE);
+    }
+
+    if (spec.memory) {
+      parseHex(spec.memory, 'Memory').copy(this.memory, 0, 0, this.memory.length);
+    }
+  }
+
+  reset() {
+    this.authenticatedSector = null;
+  }
+
+  block(block) {
+    return this.memory.slice(block * BLOCK_SIZE, (block + 1) * BLOCK_SIZE);
+  }
+
+  authenticate(block, keyType, key) {
+    const sector = sectorOfBlock(block);
+    const trailer = this.block(trailerBlockOfSector(sector));
+    const expected = keyType === 0x61 ? trailer.slice(10, 16) : trailer.slice(0, 6);
+    if (!expected.equals(key)) {
+      this.authenticatedSector = null;
+      throw new VirtualCardError(`Authentication of sector ${sector} failed`);
+    }
+    this.authenticatedSector = sector;
+  }
+
+  checkAccess(block) {
+    if (block >= this.layout.totalBlocks) {
+      throw new VirtualCardError(`Block ${block} does not exist`);
+    }
+    this.checkFailing(block);
+    if (this.authenticatedSector !== sectorOfBlock(block)) {
+      throw new VirtualCardError(`Sector ${sectorOfBlock(block)} is not authenticated`);
+    }
+  }
+
+  readBinary(block, length) {
+    this.checkAccess(block);
+    const data = Buffer.from(this.block(block));
+    if (trailerBlockOfSector(sectorOfBlock(block)) === block) {
+      // Key A never reads back
+      data.fill(0, 0, 6);
+    }
+    return data.slice(0, length);
+  }
+
+  writeBinary(block, data) {
+    if (data.length !== BLOCK_SIZE) {
+      throw new VirtualCardError(`Writes must be ${BLOCK_SIZE} bytes`, 0x6700);
+    }
+    this.checkAccess(block);
+    if (block === 0) {
+      throw new VirtualCardError('Manufacturer block is read-only');
+    }
+    data.copy(this.block(block));
+  }
+
+  command() {
+    return null;
+  }
+}
+
+export function createVirtualCard(spec = {}) {
+  const model = spec.model || 'NTAG213';
+  if (TAG_LAYOUTS[model]) return new VirtualType2Card({ ...spec, model });
+  if (CLASSIC_LAYOUTS[model]) return new VirtualClassicCard({ ...spec, model });
+  throw new Error(`Unknown card model: ${model}`);
+}
@@ -0,0 +1,59 @@
+import { JsonFile } from './json-file.js';
+import { normalizeUid } from './uid.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('card-passwords');
+
+// NTAG21x passwords per card UID: { pwd, pack, mode }. Persisted so badges
+// protected in read+write mode still read after a restart. Like the payload
+// keys, the file is readable by the main process user only and never sent
+// to the renderer.
+
+export class CardPasswordStore {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath, { label: 'card passwords', mode: 0o600 });
+    this.passwords = new Map();
+    this.load();
+  }
+
+  load() {
+    const data = this.file.read();
+    if (!data) return;
+
+    Object.entries(data.cards || {}).forEach(([uid, entry]) => {
+      this.passwords.set(normalizeUid(uid), {
+        pwd: Buffer.from(entry.pwd, 'hex'),
+        pack: Buffer.from(entry.pack, 'hex'),
+        mode: entry.mode === 'readwrite' ? 'readwrite' : 'write'
+      });
+    });
+    log.info(`🔐 Loaded passwords for ${this.passwords.size} card(s)`);
+  }
+
+  save() {
+    return this.file.write({
+      version: 1,
+      cards: Object.fromEntries([...this.passwords].map(([uid, { pwd, pack, mode }]) =>
+        [uid, { pwd: pwd.toString('hex'), pack: pack.toString('hex'), mode }]))
+    });
+  }
+
+  get(uid) {
+    return this.passwords.get(normalizeUid(uid)) || null;
+  }
+
+  // The entry is kept in memory even when saving fails - the card has that
+  // password either way, so it keeps working until the app restarts
+  async set(uid, password) {
+    this.passwords.set(normalizeUid(uid), password);
+    await this.save();
+  }
+
+  async delete(uid) {
+    if (this.passwords.delete(normalizeUid(uid))) await this.save();
+  }
+
+  get size() {
+    return this.passwords.size;
+  }
+}
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { NFCError, PayloadSignatureError } from './errors.js';
+import { normalizeUid } from './uid.js';
+
+// Signed badge payloads: "<userId>.<mac>", where mac is HMAC-SHA256 over the
+// card UID and user ID, truncated to MAC_LENGTH bytes and base64url encoded.
+// Binding the UID means copying a payload onto another blank card does not
+// work, and without the site key nobody can make one for a new user ID.
+//
+// The key never leaves the main process. NFC_SITE_KEY (hex) overrides the
+// key file, which is generated on first use - every desk of a site needs the
+// same key, so copy the file (or set the variable) when adding one.
+
+export const MAC_LENGTH = 6;
+export const SEPARATOR = '.';
+const MIN_KEY_LENGTH = 16;
+
+export function loadSiteKey(filePath, env = process.env) {
+  const fromHex = (value, source) => {
+    const key = Buffer.from(value.trim(), 'hex');
+    if (key.length < MIN_KEY_LENGTH || key.toString('hex') !== value.trim().toLowerCase()) {
+      throw new Error(`${source} must be at least ${MIN_KEY_LENGTH} bytes of hex`);
+    }
+    return key;
+  };
+
+  if (env.NFC_SITE_KEY) {
+    return fromHex(env.NFC_SITE_KEY, 'NFC_SITE_KEY');
+  }
+
+  try {
+    return fromHex(fs.readFileSync(filePath, 'utf8'), filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const key = crypto.randomBytes(32);
+  fs.writeFileSync(filePath, key.toString('hex'), { encoding: 'utf8', mode: 0o600 });
+  return key;
+}
+
+function computeMac(key, userId, uid) {
+  return crypto.createHmac('sha256', key)
+    .update(`${normalizeUid(uid)}|${userId}`)
+    .digest()
+    .subarray(0, MAC_LENGTH);
+}
+
+export function signPayload(key, userId, uid) {
+  const id = String(userId || '').trim();
+  if (!id) {
+    throw new NFCError('User ID cannot be empty', 'INVALID_DATA');
+  }
+  if (id.includes(SEPARATOR)) {
+    throw new NFCError(`User ID cannot contain "${SEPARATOR}"`, 'INVALID_DATA');
+  }
+  return `${id}${SEPARATOR}${computeMac(key, id, uid).toString('base64url')}`;
+}
+
+// Returns the user ID, or throws PayloadSignatureError
+export function verifyPayload(key, payload, uid) {
+  const text = String(payload || '').trim();
+  const index = text.lastIndexOf(SEPARATOR);
+  if (index <= 0) {
+    throw new PayloadSignatureError('Card payload is not signed', 'PAYLOAD_UNSIGNED');
+  }
+
+  const userId = text.slice(0, index);
+  const mac = Buffer.from(text.slice(index + 1), 'base64url');
+  const expected = computeMac(key, userId, uid);
+  if (mac.length !== expected.length || !crypto.timingSafeEqual(mac, expected)) {
+    throw new PayloadSignatureError('Card signature does not match - the badge was not issued for this card');
+  }
+  return userId;
+}
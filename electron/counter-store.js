@@ -0,0 +1,65 @@
+import { JsonFile } from './json-file.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('counters');
+
+// Last NFC counter value seen per UID, persisted as JSON. A genuine NTAG21x
+// counter only ever goes up - by one per tap on our readers, a few more if
+// the badge is read elsewhere - so a drop or a large jump suggests a second
+// chip is answering with the same UID.
+
+// Taps elsewhere (phones, other sites) between two of ours
+export const MAX_COUNTER_JUMP = 50;
+
+export class CounterStore {
+  constructor(filePath, { maxJump = MAX_COUNTER_JUMP } = {}) {
+    this.file = new JsonFile(filePath, { label: 'tap counters' });
+    this.maxJump = maxJump;
+    this.counters = new Map();
+    this.load();
+  }
+
+  load() {
+    const data = this.file.read();
+    if (!data) return;
+
+    Object.entries(data.counters || {}).forEach(([uid, entry]) => this.counters.set(uid, entry));
+    log.info(`📂 Loaded tap counters for ${this.counters.size} card(s)`);
+  }
+
+  save() {
+    return this.file.write({ version: 1, counters: Object.fromEntries(this.counters) });
+  }
+
+  get(uid) {
+    return this.counters.get(uid) || null;
+  }
+
+  // Returns { value, previous, delta, suspicion } where suspicion is null,
+  // 'rollback' or 'jump'. The highest value stays stored after a rollback so
+  // the genuine card does not trip the check on its next tap.
+  record(uid, value) {
+    const entry = this.get(uid);
+    const previous = entry ? entry.value : null;
+    const delta = previous === null ? null : value - previous;
+
+    let suspicion = null;
+    if (delta !== null && delta < 0) {
+      suspicion = 'rollback';
+    } else if (delta !== null && delta > this.maxJump) {
+      suspicion = 'jump';
+    }
+
+    if (suspicion !== 'rollback') {
+      this.counters.set(uid, { value, updatedAt: new Date().toISOString() });
+      // Not awaited - the tap goes on, and a failed save is logged by JsonFile
+      this.save().catch(() => {});
+    }
+
+    return { value, previous, delta, suspicion };
+  }
+
+  get size() {
+    return this.counters.size;
+  }
+}
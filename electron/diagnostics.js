@@ -0,0 +1,67 @@
+import { app, dialog, BrowserWindow } from 'electron';
+import fs from 'fs';
+import path from 'path';
+import { createZip } from './zip.js';
+import { createLogger, getLogFiles, getLogLevel } from './logger.js';
+
+const log = createLogger('diagnostics');
+
+// Support bundle: the rotated main-process logs, nfc-status output, app and
+// platform versions and the renderer's activity log, zipped into one file
+// the user can attach to a ticket.
+
+export async function buildDiagnostics({ status, activityLog = [] }) {
+  const logFiles = getLogFiles();
+  const entries = await Promise.all(logFiles.map(async file => ({
+    name: `logs/${path.basename(file)}`,
+    data: await fs.promises.readFile(file)
+  })));
+
+  entries.push(
+    {
+      name: 'app.json',
+      data: JSON.stringify({
+        createdAt: new Date().toISOString(),
+        appVersion: app.getVersion(),
+        packaged: app.isPackaged,
+        platform: process.platform,
+        arch: process.arch,
+        versions: process.versions,
+        argv: process.argv.slice(1),
+        logLevel: getLogLevel()
+      }, null, 2)
+    },
+    { name: 'nfc-status.json', data: JSON.stringify(status, null, 2) },
+    { name: 'activity-log.json', data: JSON.stringify(Array.isArray(activityLog) ? activityLog : [], null, 2) }
+  );
+
+  return { zip: createZip(entries), files: entries.map(entry => entry.name) };
+}
+
+export async function saveDiagnostics({ status, activityLog }) {
+  try {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.getFocusedWindow(), {
+      title: 'Save Diagnostics',
+      defaultPath: `nfc-diagnostics-${stamp}.zip`,
+      filters: [{ name: 'Zip Archive', extensions: ['zip'] }]
+    });
+
+    if (canceled || !filePath) {
+      return { success: false, canceled: true, error: 'Save cancelled' };
+    }
+
+    const { zip, files } = await buildDiagnostics({ status, activityLog });
+    await fs.promises.writeFile(filePath, zip);
+    log.info(`🩺 Diagnostics saved to ${filePath} (${files.length} files)`);
+
+    return { success: true, filePath, files };
+
+  } catch (error) {
+    log.error('❌ Saving diagnostics failed:', error.message);
+    return {
+      success: false,
+      error: `Saving diagnostics failed: ${error.message}`
+    };
+  }
+}
@@ -0,0 +1,87 @@
+// Error types surfaced to the renderer. Every IPC failure is returned as
+// { success: false, error: <message>, code: <code> } so the UI can tell them apart.
+
+export class NFCError extends Error {
+  constructor(message, code = 'NFC_ERROR') {
+    super(message);
+    this.name = 'NFCError';
+    this.code = code;
+  }
+}
+
+// PWD_AUTH rejected, or the tag answered with an unexpected PACK
+export class AuthenticationError extends NFCError {
+  constructor(message) {
+    super(message, 'AUTH_FAILED');
+    this.name = 'AuthenticationError';
+  }
+}
+
+// A native tag command sent through the reader did not complete
+export class TagCommandError extends NFCError {
+  constructor(message, status = null) {
+    super(message, 'TAG_COMMAND_FAILED');
+    this.name = 'TagCommandError';
+    this.status = status;
+  }
+}
+
+// A queued reader operation was dropped, e.g. because the card was removed
+export class OperationCancelledError extends NFCError {
+  constructor(message) {
+    super(message, 'OPERATION_CANCELLED');
+    this.name = 'OperationCancelledError';
+  }
+}
+
+// A queued reader operation did not finish within its time limit
+export class OperationTimeoutError extends NFCError {
+  constructor(message) {
+    super(message, 'OPERATION_TIMEOUT');
+    this.name = 'OperationTimeoutError';
+  }
+}
+
+// A write did not read back as written, even after retries. `report` lists
+// the pages/blocks that were written, retried, restored or left inconsistent.
+export class WriteVerificationError extends NFCError {
+  constructor(message, report) {
+    super(message, 'WRITE_VERIFY_FAILED');
+    this.name = 'WriteVerificationError';
+    this.report = report;
+  }
+}
+
+// A badge payload without a valid HMAC for its card: PAYLOAD_UNSIGNED when
+// there is no MAC at all, SIGNATURE_INVALID when it does not match
+export class PayloadSignatureError extends NFCError {
+  constructor(message, code = 'SIGNATURE_INVALID') {
+    super(message, code);
+    this.name = 'PayloadSignatureError';
+  }
+}
+
+// IPC arguments that do not match the channel's schema
+export class IpcValidationError extends NFCError {
+  constructor(message) {
+    super(message, 'INVALID_ARGUMENT');
+    this.name = 'IpcValidationError';
+  }
+}
+
+// IPC from an untrusted frame or origin (IPC_FORBIDDEN), or for a channel
+// whose capability is off, e.g. ADMIN_REQUIRED outside admin mode
+export class IpcForbiddenError extends NFCError {
+  constructor(message, code = 'IPC_FORBIDDEN') {
+    super(message, code);
+    this.name = 'IpcForbiddenError';
+  }
+}
+
+export function toErrorResponse(error, prefix) {
+  return {
+    success: false,
+    error: prefix ? `${prefix}: ${error.message}` : error.message,
+    code: error instanceof NFCError ? error.code : 'OPERATION_FAILED'
+  };
+}
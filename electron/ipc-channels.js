@@ -0,0 +1,154 @@
+import { string, integer, boolean, oneOf, hex, array, object } from './ipc-schema.js';
+
+// Every IPC channel the renderer may invoke, with its argument schema.
+// This is the one list of channel names - the dispatcher registers fallbacks
+// and checks for missing handlers against it.
+//
+//   args        [name, validator] per positional argument
+//   capability  'admin' or 'simulator' - refused while that mode is off
+//   quiet       not logged on every call (polled or per-tap channels)
+
+const readerName = ['readerName', string({ max: 128, optional: true })];
+const uid = string({ max: 32, pattern: /^[0-9a-fA-F:\- ]+$/ });
+const page = integer({ min: 0, max: 255 });
+const block = integer({ min: 0, max: 255 });
+const configName = string({ max: 32, pattern: /^[A-Z0-9_]+$/ });
+const passwordHex = string({ max: 16 });
+const passwordMode = oneOf(['write', 'readwrite'], { optional: true });
+
+const lockRange = {
+  whole: boolean({ optional: true }),
+  startPage: integer({ min: 0, max: 255, optional: true }),
+  endPage: integer({ min: 0, max: 255, optional: true })
+};
+
+const ndefRecord = object({
+  type: oneOf(['text', 'uri']),
+  text: string({ max: 1024, optional: true }),
+  uri: string({ max: 1024, optional: true }),
+  lang: string({ max: 8, optional: true }),
+  encoding: oneOf(['utf8', 'utf16'], { optional: true })
+});
+
+const simCardOptions = {
+  failingPages: array(page, { max: 256, optional: true }),
+  latency: integer({ min: 0, max: 10000, optional: true }),
+  counter: integer({ min: 0, max: 0xFFFFFF, optional: true })
+};
+
+const classicOptions = ['options', object({ allowSectorTrailer: boolean({ optional: true }) }, { optional: true })];
+
+export const IPC_CHANNELS = {
+  'nfc-start': { args: [] },
+  'nfc-stop': { args: [] },
+  'nfc-status': { args: [] },
+
+  'nfc-read-page-text': { args: [readerName], quiet: true },
+  'nfc-write-page-text': { args: [['text', string({ max: 1024 })], readerName], quiet: true },
+  'nfc-get-card-info': { args: [readerName], quiet: true },
+  'nfc-set-page-config': { args: [['configName', configName], readerName] },
+  'nfc-list-page-configs': { args: [], quiet: true },
+  'nfc-save-page-config': {
+    args: [['config', object({
+      name: string({ max: 32 }),
+      pageNumber: integer({ min: 0, max: 255 }),
+      maxDataSize: integer({ min: 1, max: 1024 }),
+      description: string({ max: 128, optional: true })
+    })]]
+  },
+  'nfc-delete-page-config': { args: [['configName', configName]] },
+
+  'nfc-sign-payload': { args: [['userId', string({ max: 64 })], readerName] },
+  'nfc-verify-payload': { args: [['text', string({ max: 1024 })], ['uid', uid]], quiet: true },
+  'nfc-register-uid': { args: [['userId', string({ max: 64 })], ['label', string({ max: 128, optional: true })], readerName] },
+  'nfc-lookup-uid': { args: [['uid', uid]], quiet: true },
+  'nfc-unregister-uid': { args: [['uid', uid]] },
+  'nfc-set-payload-encryption': { args: [['enabled', boolean()]] },
+  'nfc-rotate-payload-key': { args: [] },
+  'nfc-set-debounce': { args: [['windowMs', integer({ min: 0, max: 3600000 })]] },
+
+  'nfc-read-ndef': { args: [readerName] },
+  'nfc-write-ndef': { args: [['records', array(ndefRecord, { max: 16 })], readerName] },
+
+  'nfc-dump-tag': { args: [readerName] },
+  'nfc-save-dump': {
+    args: [['dump', object({
+      format: oneOf(['nfc-tag-dump']),
+      uid,
+      createdAt: string({ max: 32 })
+    }, { passthrough: true })]]
+  },
+  'nfc-restore-preview': { args: [readerName] },
+  'nfc-restore-commit': { args: [['options', object({ override: boolean({ optional: true }) }, { optional: true })], readerName] },
+
+  'nfc-set-password': {
+    args: [['config', object({ pwd: passwordHex, pack: passwordHex, mode: passwordMode }, { optional: true })], readerName]
+  },
+  'nfc-protect-card': {
+    args: [['options', object({
+      pwd: passwordHex,
+      pack: passwordHex,
+      auth0: integer({ min: 0, max: 255, optional: true }),
+      mode: passwordMode
+    })], readerName]
+  },
+  'nfc-unprotect-card': { args: [readerName] },
+  'nfc-enable-counter': { args: [readerName] },
+
+  'nfc-read-pages': { args: [['startPage', page], ['count', integer({ min: 1, max: 256 })], readerName] },
+  'nfc-write-pages': {
+    args: [
+      ['startPage', page],
+      ['hexData', hex({ maxBytes: 1024 })],
+      ['options', object({ override: boolean({ optional: true }) }, { optional: true })],
+      readerName
+    ]
+  },
+  'nfc-lock-state': { args: [['range', object(lockRange)], readerName] },
+  'nfc-lock-tag': {
+    args: [['options', object({ ...lockRange, confirm: string({ max: 16, optional: true }) })], readerName]
+  },
+
+  'nfc-transmit': {
+    args: [['hexData', hex({ maxBytes: 261 })], ['responseLength', integer({ min: 2, max: 65538, optional: true })], readerName],
+    capability: 'admin'
+  },
+
+  'nfc-set-classic-key': {
+    args: [['config', object({
+      sector: integer({ min: 0, max: 39, optional: true }),
+      keyType: oneOf(['A', 'B'], { optional: true }),
+      key: string({ max: 24 })
+    }, { optional: true })]]
+  },
+  'nfc-classic-read-block': { args: [['block', block], classicOptions, readerName] },
+  'nfc-classic-write-block': { args: [['block', block], ['hex', hex({ maxBytes: 16 })], classicOptions, readerName] },
+
+  'nfc-sim-state': { args: [], capability: 'simulator', quiet: true },
+  'nfc-sim-add-reader': { args: [['name', string({ max: 128 })]], capability: 'simulator' },
+  'nfc-sim-remove-reader': { args: [['name', string({ max: 128 })]], capability: 'simulator' },
+  'nfc-sim-tap': {
+    args: [['readerName', string({ max: 128 })], ['spec', object({
+      model: string({ max: 32, optional: true }),
+      uid: string({ max: 32, pattern: /^[0-9a-fA-F]*$/, optional: true }),
+      text: string({ max: 512, optional: true }),
+      memory: hex({ maxBytes: 4096, optional: true }),
+      key: hex({ maxBytes: 6, optional: true }),
+      cloned: boolean({ optional: true }),
+      ...simCardOptions
+    }, { optional: true })]],
+    capability: 'simulator'
+  },
+  'nfc-sim-remove-card': { args: [['readerName', string({ max: 128 })]], capability: 'simulator' },
+  'nfc-sim-configure-card': { args: [['uid', uid], ['options', object(simCardOptions, { optional: true })]], capability: 'simulator' },
+  'nfc-sim-forget-card': { args: [['uid', uid]], capability: 'simulator' },
+
+  'nfc-save-diagnostics': {
+    args: [['activityLog', array(object({
+      id: integer({ min: 0, optional: true }),
+      timestamp: string({ max: 64, optional: true }),
+      message: string({ max: 4096 }),
+      type: string({ max: 16, optional: true })
+    }), { max: 500, optional: true })]]
+  }
+};
@@ -0,0 +1,119 @@
+import { IpcForbiddenError, IpcValidationError, toErrorResponse } from './errors.js';
+import { validateArgs } from './ipc-schema.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('ipc');
+
+// Single entry point for renderer → main calls. Before a handler runs, every
+// call is checked for:
+//
+//   sender      the top-level frame of mainWindow, loaded from file://
+//               (the window runs with webSecurity off, so nothing else -
+//               an iframe or a page it navigated to - may drive the reader)
+//
+// Only file: is trusted because main.js only ever loadFile()s the built app.
+// Loading the renderer from a dev server (loadURL('http://localhost:...'))
+// gets every call refused until checkSender also accepts that exact origin
+// in development builds - never in packaged ones.
+//   capability  admin / simulator channels only while that mode is on
+//   arguments   the channel's schema from ipc-channels.js
+//
+// Handlers receive the validated arguments only. Any failure, including an
+// exception from the handler, comes back as { success: false, error, code }.
+
+const TRUSTED_PROTOCOLS = ['file:'];
+
+const CAPABILITY_ERRORS = {
+  admin: ['Raw APDUs require admin mode (--nfc-admin)', 'ADMIN_REQUIRED'],
+  simulator: ['Simulator backend is not active', 'SIMULATOR_INACTIVE']
+};
+
+export class IpcDispatcher {
+  // isTrustedWindow(webContents) - true for the app's own window
+  constructor(ipcMain, channels, { isTrustedWindow }) {
+    this.ipcMain = ipcMain;
+    this.channels = channels;
+    this.isTrustedWindow = isTrustedWindow;
+    this.capabilities = {};
+    this.registered = new Set();
+  }
+
+  // check() is asked on every call, so a capability can change at runtime
+  provide(capability, check) {
+    this.capabilities[capability] = check;
+  }
+
+  handle(channel, handler) {
+    const spec = this.channels[channel];
+    if (!spec) {
+      throw new Error(`IPC channel ${channel} has no schema in ipc-channels.js`);
+    }
+    if (this.registered.has(channel)) {
+      throw new Error(`IPC channel ${channel} already has a handler`);
+    }
+
+    this.ipcMain.handle(channel, (event, ...args) => this.dispatch(channel, spec, handler, event, args));
+    this.registered.add(channel);
+  }
+
+  // Used when the NFC handler failed to load - every remaining channel answers with `handler`
+  handleMissing(handler) {
+    this.missingChannels().forEach(channel => this.handle(channel, () => handler(channel)));
+  }
+
+  missingChannels() {
+    return Object.keys(this.channels).filter(channel => !this.registered.has(channel));
+  }
+
+  async dispatch(channel, spec, handler, event, args) {
+    try {
+      this.checkSender(event, channel);
+      this.checkCapability(spec.capability);
+      const values = validateArgs(spec.args, args, channel);
+      if (!spec.quiet) log.info(`📡 IPC: ${channel} called`);
+      return await handler(...values);
+    } catch (error) {
+      if (error instanceof IpcForbiddenError) {
+        // A mode that is off is routine (the simulator panel probes for it),
+        // a foreign sender is not
+        const level = error.code === 'IPC_FORBIDDEN' ? 'warn' : 'debug';
+        log[level](`🚫 IPC ${channel} refused: ${error.message}`);
+      } else if (error instanceof IpcValidationError) {
+        log.warn(`⚠️ IPC ${channel} rejected: ${error.message}`);
+      } else {
+        log.error(`❌ IPC ${channel} failed:`, error.message);
+      }
+      return toErrorResponse(error);
+    }
+  }
+
+  checkSender(event, channel) {
+    const frame = event.senderFrame;
+    if (!frame || frame.parent) {
+      throw new IpcForbiddenError(`${channel} may only be called from the app's top-level frame`);
+    }
+
+    let protocol = null;
+    try {
+      protocol = new URL(frame.url).protocol;
+    } catch {
+      // Unparsable URL - refused below
+    }
+    if (!TRUSTED_PROTOCOLS.includes(protocol)) {
+      throw new IpcForbiddenError(`${channel} may not be called from ${frame.url || 'an unknown origin'}`);
+    }
+
+    if (!this.isTrustedWindow(event.sender)) {
+      throw new IpcForbiddenError(`${channel} may only be called from the app window`);
+    }
+  }
+
+  checkCapability(capability) {
+    if (!capability) return;
+    const check = this.capabilities[capability];
+    if (!check || !check()) {
+      const [message, code] = CAPABILITY_ERRORS[capability];
+      throw new IpcForbiddenError(message, code);
+    }
+  }
+}
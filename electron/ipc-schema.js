@@ -0,0 +1,88 @@
+import { IpcValidationError } from './errors.js';
+
+// Argument validators for IPC channels. Renderer input is untrusted: each
+// validator checks one value, bounds its size and returns what the handler
+// receives - objects keep only the keys their schema lists. Failures throw
+// IpcValidationError naming the argument.
+//
+// Every validator takes { optional } - a missing (null/undefined) optional
+// value is passed on as undefined, so handler defaults still apply.
+
+const isMissing = (value) => value === undefined || value === null;
+
+const fail = (name, expectation) => {
+  throw new IpcValidationError(`${name} must be ${expectation}`);
+};
+
+const validator = (check, { optional = false } = {}) => (value, name) => {
+  if (isMissing(value)) {
+    if (optional) return undefined;
+    fail(name, 'provided');
+  }
+  return check(value, name);
+};
+
+export const string = ({ max = 256, pattern, ...options } = {}) => validator((value, name) => {
+  if (typeof value !== 'string') fail(name, 'a string');
+  if (value.length > max) fail(name, `at most ${max} characters`);
+  if (pattern && !pattern.test(value)) fail(name, `in the format ${pattern}`);
+  return value;
+}, options);
+
+export const integer = ({ min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER, ...options } = {}) => validator((value, name) => {
+  if (!Number.isInteger(value) || value < min || value > max) fail(name, `an integer from ${min} to ${max}`);
+  return value;
+}, options);
+
+export const boolean = (options) => validator((value, name) => {
+  if (typeof value !== 'boolean') fail(name, 'true or false');
+  return value;
+}, options);
+
+export const oneOf = (values, options) => validator((value, name) => {
+  if (!values.includes(value)) fail(name, `one of ${values.join(', ')}`);
+  return value;
+}, options);
+
+// Hex with optional whitespace; passed on without the whitespace
+export const hex = ({ maxBytes, ...options }) => validator((value, name) => {
+  if (typeof value !== 'string') fail(name, 'a hex string');
+  const clean = value.replace(/\s+/g, '');
+  if (!/^([0-9a-fA-F]{2})*$/.test(clean)) fail(name, 'whole bytes of hex');
+  if (clean.length / 2 > maxBytes) fail(name, `at most ${maxBytes} bytes`);
+  return clean;
+}, options);
+
+export const array = (item, { max, ...options }) => validator((value, name) => {
+  if (!Array.isArray(value)) fail(name, 'an array');
+  if (value.length > max) fail(name, `at most ${max} items`);
+  return value.map((entry, index) => item(entry, `${name}[${index}]`));
+}, options);
+
+// `passthrough` keeps unlisted keys as well (bounded by maxBytes of JSON),
+// for documents like tag dumps that are stored rather than interpreted
+export const object = (shape, { passthrough = false, maxBytes = 64 * 1024, ...options } = {}) => validator((value, name) => {
+  if (typeof value !== 'object' || Array.isArray(value)) fail(name, 'an object');
+
+  const result = passthrough ? { ...value } : {};
+  Object.entries(shape).forEach(([key, check]) => {
+    const checked = check(value[key], `${name}.${key}`);
+    if (checked === undefined) {
+      delete result[key];
+    } else {
+      result[key] = checked;
+    }
+  });
+
+  if (passthrough && JSON.stringify(result).length > maxBytes) fail(name, `at most ${maxBytes} bytes of JSON`);
+  return result;
+}, options);
+
+// Checks a channel's argument list. Extra arguments are refused unless undefined.
+export function validateArgs(schemas, args, channel) {
+  const extra = args.slice(schemas.length);
+  if (extra.some(value => value !== undefined)) {
+    throw new IpcValidationError(`${channel} takes at most ${schemas.length} argument(s)`);
+  }
+  return schemas.map(([name, check], index) => check(args[index], name));
+}
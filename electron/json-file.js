@@ -0,0 +1,45 @@
+import fs from 'fs';
+import { NFCError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('store');
+
+// One JSON document in userData, shared by the persisted stores (page
+// configs, tap counters, profiles, UID registry, payload keys, card passwords).
+//
+// read() returns the parsed document, or null when there is none yet or it
+// cannot be parsed. write() queues a snapshot: writes are chained so an older
+// snapshot never overwrites a newer one, and the returned promise rejects with
+// SAVE_FAILED when this write did not reach the disk.
+
+export class JsonFile {
+  // label names the contents in log lines and errors, mode applies when the file is created
+  constructor(filePath, { label, mode = 0o666 }) {
+    this.filePath = filePath;
+    this.label = label;
+    this.mode = mode;
+    this.writing = Promise.resolve();
+  }
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error(`❌ Failed to load ${this.label}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  write(data) {
+    const snapshot = JSON.stringify(data, null, 2);
+    const write = this.writing.then(() => fs.promises.writeFile(this.filePath, snapshot, { encoding: 'utf8', mode: this.mode }));
+    // A failed write must not hold up the ones queued after it
+    this.writing = write.catch(() => {});
+    return write.catch(error => {
+      log.error(`❌ Failed to save ${this.label}:`, error.message);
+      throw new NFCError(`Could not save ${this.label}: ${error.message}`, 'SAVE_FAILED');
+    });
+  }
+}
@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+
+// Structured logging for the main process. Every entry is one JSON line in
+// <userData>/logs/main.log and is mirrored to the console unchanged, so the
+// dev terminal looks the same as before. The file rotates by size:
+// main.log -> main.1.log -> ... -> main.<MAX_FILES - 1>.log.
+//
+// Level comes from --log-level=<level>, NFC_LOG_LEVEL or "logLevel" in
+// <userData>/settings.json, in that order; defaults to info.
+
+export const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+export const DEFAULT_LEVEL = 'info';
+export const LOG_FILE_NAME = 'main.log';
+export const MAX_FILE_SIZE = 1024 * 1024;
+export const MAX_FILES = 5;
+
+// Entries logged before configureLogging() are kept and written once the
+// log directory is known
+const MAX_PENDING = 500;
+
+const CONSOLE_METHODS = { error: 'error', warn: 'warn', info: 'log', debug: 'log' };
+
+const state = {
+  level: DEFAULT_LEVEL,
+  directory: null,
+  size: 0,
+  pending: []
+};
+
+const isLevel = (level) => Object.hasOwn(LEVELS, level);
+
+export function resolveLogLevel(argv = process.argv, env = process.env, settingsPath = null) {
+  const flag = argv.find(arg => arg.startsWith('--log-level='));
+  const candidates = [flag && flag.split('=')[1], env.NFC_LOG_LEVEL];
+
+  if (settingsPath) {
+    try {
+      candidates.push(JSON.parse(fs.readFileSync(settingsPath, 'utf8')).logLevel);
+    } catch {
+      // No settings file (or not JSON) - fall through to the default
+    }
+  }
+
+  const level = candidates.map(value => String(value || '').toLowerCase()).find(isLevel);
+  return level || DEFAULT_LEVEL;
+}
+
+const logPath = (index) => path.join(state.directory, index === 0 ? LOG_FILE_NAME : LOG_FILE_NAME.replace('.log', `.${index}.log`));
+
+function rotate() {
+  for (let index = MAX_FILES - 1; index > 0; index--) {
+    try {
+      fs.renameSync(logPath(index - 1), logPath(index));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  state.size = 0;
+}
+
+function writeLine(line) {
+  const bytes = Buffer.byteLength(line);
+  try {
+    if (state.size > 0 && state.size + bytes > MAX_FILE_SIZE) rotate();
+    fs.appendFileSync(logPath(0), line);
+    state.size += bytes;
+  } catch (error) {
+    // Never let logging take the app down - the console still has the entry
+    console.error('❌ Failed to write log file:', error.message);
+  }
+}
+
+export function configureLogging({ directory, level = DEFAULT_LEVEL }) {
+  state.level = isLevel(level) ? level : DEFAULT_LEVEL;
+  state.directory = directory;
+
+  fs.mkdirSync(directory, { recursive: true });
+  try {
+    state.size = fs.statSync(logPath(0)).size;
+  } catch {
+    state.size = 0;
+  }
+
+  state.pending.splice(0).forEach(writeLine);
+}
+
+export function getLogLevel() {
+  return state.level;
+}
+
+export function setLogLevel(level) {
+  if (!isLevel(level)) {
+    throw new Error(`Unknown log level "${level}" (available: ${Object.keys(LEVELS).join(', ')})`);
+  }
+  state.level = level;
+}
+
+// Current file first, then older rotations
+export function getLogFiles() {
+  if (!state.directory) return [];
+  return Array.from({ length: MAX_FILES }, (_, index) => logPath(index)).filter(file => fs.existsSync(file));
+}
+
+function toEntry(level, component, args) {
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    message: util.format(...args.map(arg => (arg instanceof Error ? arg.message : arg)))
+  };
+
+  const error = args.find(arg => arg instanceof Error);
+  if (error) {
+    entry.error = { message: error.message, code: error.code, stack: error.stack };
+  }
+  return entry;
+}
+
+function log(level, component, args) {
+  if (LEVELS[level] > LEVELS[state.level]) return;
+
+  console[CONSOLE_METHODS[level]](...args);
+
+  const line = `${JSON.stringify(toEntry(level, component, args))}\n`;
+  if (state.directory) {
+    writeLine(line);
+  } else if (state.pending.push(line) > MAX_PENDING) {
+    state.pending.shift();
+  }
+}
+
+// Arguments work like console.log: log.info('✅ Wrote page', page)
+export function createLogger(component) {
+  return {
+    error: (...args) => log('error', component, args),
+    warn: (...args) => log('warn', component, args),
+    info: (...args) => log('info', component, args),
+    debug: (...args) => log('debug', component, args)
+  };
+}
@@ -1,13 +1,26 @@
-import { app, BrowserWindow } from 'electron';
+import { app, BrowserWindow, ipcMain } from 'electron';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import url from 'url';
 import fs from 'fs';
+import { createLogger, configureLogging, resolveLogLevel } from './logger.js';
+import { saveDiagnostics } from './diagnostics.js';
+import { IpcDispatcher } from './ipc-dispatcher.js';
+import { IPC_CHANNELS } from './ipc-channels.js';
+
+const log = createLogger('main');
 
 // ES6 equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Rotating JSON log files under <userData>/logs - set up before the NFC
+// handler loads so its startup messages end up in the file too
+configureLogging({
+  directory: path.join(app.getPath('userData'), 'logs'),
+  level: resolveLogLevel(process.argv, process.env, path.join(app.getPath('userData'), 'settings.json'))
+});
+
 // Import the NFC handler synchronously
 let ElectronNFCHandler;
 let nfcLoadError = null;
@@ -15,6 +28,11 @@ let nfcLoadError = null;
 let mainWindow;
 let nfcHandler;
 
+// Every renderer call goes through here - see ipc-channels.js for the schemas
+const dispatcher = new IpcDispatcher(ipcMain, IPC_CHANNELS, {
+  isTrustedWindow: (contents) => !!mainWindow && contents === mainWindow.webContents
+});
+
 const createWindow = () => {
   // Create the browser window
   mainWindow = new BrowserWindow({
@@ -69,27 +87,27 @@ const createWindow = () => {
     for (const htmlPath of possiblePaths) {
       try {
         if (fs.existsSync(htmlPath)) {
-          console.log(`Loading from: ${htmlPath}`);
+          log.info(`Loading from: ${htmlPath}`);
           
           // Method 1: Using loadFile (recommended for local files)
           mainWindow.loadFile(htmlPath);
           loaded = true;
           break;
         } else {
-          console.log(`Path does not exist: ${htmlPath}`);
+          log.info(`Path does not exist: ${htmlPath}`);
         }
       } catch (error) {
-        console.log(`Failed to load from ${htmlPath}:`, error.message);
+        log.info(`Failed to load from ${htmlPath}:`, error.message);
         continue;
       }
     }
 
     if (!loaded) {
-      console.error('Could not find index.html in any expected location');
-      console.log('Searched paths:', possiblePaths);
-      console.log('Current __dirname:', __dirname);
-      console.log('Process resourcesPath:', process.resourcesPath);
-      console.log('App isPackaged:', app.isPackaged);
+      log.error('Could not find index.html in any expected location');
+      log.info('Searched paths:', possiblePaths);
+      log.info('Current __dirname:', __dirname);
+      log.info('Process resourcesPath:', process.resourcesPath);
+      log.info('App isPackaged:', app.isPackaged);
       
       // Create a simple error page
       mainWindow.loadURL(`data:text/html;charset=utf-8,
@@ -119,100 +137,86 @@ const createWindow = () => {
 
 // Initialize NFC handler first, then create window
 const initializeApp = async () => {
-  console.log('🚀 Initializing application...');
+  log.info('🚀 Initializing application...');
   
   // Load NFC handler dynamically FIRST
   try {
-    console.log('📦 Loading NFC Handler module...');
-    console.log('🔍 Current working directory:', process.cwd());
-    console.log('🔍 __dirname:', __dirname);
-    console.log('🔍 App packaged:', app.isPackaged);
-    console.log('🔍 Resources path:', process.resourcesPath);
+    log.info('📦 Loading NFC Handler module...');
+    log.info('🔍 Current working directory:', process.cwd());
+    log.info('🔍 __dirname:', __dirname);
+    log.info('🔍 App packaged:', app.isPackaged);
+    log.info('🔍 Resources path:', process.resourcesPath);
     
     const nfcModule = await import('./nfc-handler.js');
     ElectronNFCHandler = nfcModule.default;
-    console.log('✅ NFC Handler module loaded successfully');
+    log.info('✅ NFC Handler module loaded successfully');
   } catch (error) {
-    console.error('❌ NFC Handler not found, will continue without NFC functionality:', error.message);
-    console.error('❌ Error stack:', error.stack);
+    log.error('❌ NFC Handler not found, will continue without NFC functionality:', error.message);
+    log.error('❌ Error stack:', error.stack);
     nfcLoadError = error.message;
   }
   
   // Initialize NFC handler SECOND - after loading the module
   if (ElectronNFCHandler) {
     try {
-      console.log('🔧 Initializing NFC Handler...');
-      nfcHandler = new ElectronNFCHandler();
-      console.log('✅ NFC Handler initialized successfully');
-      console.log('📋 IPC handlers should now be registered');
-      
-      // Verify handlers are registered by listing them
-      console.log('🔍 Verifying IPC handlers are registered...');
-      const { ipcMain } = await import('electron');
-      const handlerNames = ['nfc-start', 'nfc-stop', 'nfc-status', 'nfc-read-page-text', 'nfc-write-page-text', 'nfc-get-card-info', 'nfc-set-page-config'];
-      handlerNames.forEach(name => {
-        const hasHandler = ipcMain.listenerCount(name) > 0;
-        console.log(`📋 Handler '${name}': ${hasHandler ? '✅ Registered' : '❌ Missing'}`);
-      });
-      
+      log.info('🔧 Initializing NFC Handler...');
+      nfcHandler = new ElectronNFCHandler(dispatcher);
+      log.info('✅ NFC Handler initialized successfully');
+      log.info('📋 IPC handlers should now be registered');
     } catch (error) {
-      console.error('❌ Failed to initialize NFC Handler:', error.message);
-      console.error('Stack trace:', error.stack);
-      console.log('💡 Make sure nfc-pcsc is installed: npm install nfc-pcsc');
+      log.error('❌ Failed to initialize NFC Handler:', error.message);
+      log.error('Stack trace:', error.stack);
+      log.info('💡 Make sure nfc-pcsc is installed: npm install nfc-pcsc');
       nfcLoadError = error.message;
       // Continue without NFC functionality
     }
   } else {
-    console.log('📝 Running without NFC functionality' + (nfcLoadError ? `: ${nfcLoadError}` : ''));
+    log.info('📝 Running without NFC functionality' + (nfcLoadError ? `: ${nfcLoadError}` : ''));
   }
   
+  // Diagnostics work with or without the NFC handler - they matter most
+  // when it failed to load
+  dispatcher.handle('nfc-save-diagnostics', async (activityLog) => {
+    const status = nfcHandler
+      ? nfcHandler.getStatus()
+      : { initialized: false, lifecycle: 'unavailable', error: nfcLoadError };
+    return await saveDiagnostics({ status, activityLog });
+  });
+  
   // Add fallback handlers for cases where NFC handler isn't available
   if (!nfcHandler) {
-    console.log('🛡️ Setting up fallback NFC handlers...');
-    const { ipcMain } = await import('electron');
+    log.info('🛡️ Setting up fallback NFC handlers...');
     
     const fallbackResponse = {
       success: false,
       error: nfcLoadError || 'NFC functionality not available - NFC handler failed to load'
     };
     
-    const nfcHandlers = [
-      'nfc-start', 'nfc-stop', 'nfc-status', 'nfc-read-page-text', 
-      'nfc-write-page-text', 'nfc-get-card-info', 'nfc-set-page-config'
-    ];
-    
-    nfcHandlers.forEach(handlerName => {
-      if (ipcMain.listenerCount(handlerName) === 0) {
-        ipcMain.handle(handlerName, async () => {
-          console.log(`⚠️ Fallback handler called for '${handlerName}' - NFC not available`);
-          return fallbackResponse;
-        });
-        console.log(`🛡️ Fallback handler registered for '${handlerName}'`);
-      }
+    dispatcher.handleMissing((channel) => {
+      log.info(`⚠️ Fallback handler called for '${channel}' - NFC not available`);
+      return fallbackResponse;
     });
   }
   
   // Longer delay to ensure IPC handlers are fully registered
-  console.log('⏳ Waiting for IPC handlers to be fully registered...');
+  log.info('⏳ Waiting for IPC handlers to be fully registered...');
   await new Promise(resolve => setTimeout(resolve, 500));
   
   // Final verification
-  console.log('🔍 Final IPC handler verification...');
-  const { ipcMain } = await import('electron');
-  const finalHandlerNames = ['nfc-start', 'nfc-stop', 'nfc-status', 'nfc-read-page-text', 'nfc-write-page-text', 'nfc-get-card-info', 'nfc-set-page-config'];
-  const missingHandlers = finalHandlerNames.filter(name => ipcMain.listenerCount(name) === 0);
+  log.info('🔍 Final IPC handler verification...');
+  const missingHandlers = dispatcher.missingChannels();
   
   if (missingHandlers.length > 0) {
-    console.error('❌ Missing handlers after initialization:', missingHandlers);
+    log.error('❌ Missing handlers after initialization:', missingHandlers);
   } else {
-    console.log('✅ All required IPC handlers are registered');
+    log.info('✅ All required IPC handlers are registered');
   }
   
   // Now create the window
-  console.log('🪟 Creating main window...');
+  log.info('🪟 Creating main window...');
   createWindow();
   
-  console.log('✅ Application initialization complete');
+  log.info('✅ Application initialization complete');
 };
 
 // This method will be called when Electron has finished initialization
@@ -230,7 +234,7 @@ app.whenReady().then(async () => {
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     if (nfcHandler) {
-      console.log('🛑 Shutting down NFC Handler...');
+      log.info('🛑 Shutting down NFC Handler...');
       nfcHandler.shutdown();
     }
     app.quit();
@@ -239,7 +243,7 @@ app.on('window-all-closed', () => {
 
 app.on('before-quit', () => {
   if (nfcHandler) {
-    console.log('🛑 App quitting - shutting down NFC Handler...');
+    log.info('🛑 App quitting - shutting down NFC Handler...');
     nfcHandler.shutdown();
   }
 });
@@ -0,0 +1,114 @@
+import { NFCError } from './errors.js';
+
+// MIFARE Classic memory map
+//
+// 1K: 16 sectors of 4 blocks. 4K: 32 sectors of 4 blocks followed by
+// 8 sectors of 16 blocks. Blocks are 16 bytes; the last block of every
+// sector is its trailer (key A, access bits, key B) and block 0 holds the
+// manufacturer data. Every sector has to be authenticated before use.
+
+export const BLOCK_SIZE = 16;
+export const KEY_TYPE_A = 0x60;
+export const KEY_TYPE_B = 0x61;
+export const DEFAULT_KEY = 'FFFFFFFFFFFF';
+
+export const CLASSIC_LAYOUTS = {
+  MIFARE_CLASSIC_1K: {
+    name: 'MIFARE Classic 1K',
+    family: 'MIFARE Classic',
+    sectors: 16,
+    totalBlocks: 64
+  },
+  MIFARE_CLASSIC_4K: {
+    name: 'MIFARE Classic 4K',
+    family: 'MIFARE Classic',
+    sectors: 40,
+    totalBlocks: 256
+  }
+};
+
+// PC/SC contactless ATR: 3B 8F 80 01 80 4F 0C A0 00 00 03 06 <standard> <card name (2)> ...
+const LAYOUT_BY_CARD_NAME = {
+  0x0001: 'MIFARE_CLASSIC_1K',
+  0x0002: 'MIFARE_CLASSIC_4K'
+};
+
+export function classicLayoutFromAtr(atr) {
+  if (!atr || atr.length < 15 || atr[4] !== 0x80 || atr[5] !== 0x4F) return null;
+  const key = LAYOUT_BY_CARD_NAME[atr.readUInt16BE(13)];
+  return key ? { key, ...CLASSIC_LAYOUTS[key] } : null;
+}
+
+export function sectorOfBlock(block) {
+  return block < 128 ? Math.floor(block / 4) : 32 + Math.floor((block - 128) / 16);
+}
+
+export function trailerBlockOfSector(sector) {
+  return sector < 32 ? sector * 4 + 3 : 128 + (sector - 32) * 16 + 15;
+}
+
+export function isSectorTrailer(block) {
+  return trailerBlockOfSector(sectorOfBlock(block)) === block;
+}
+
+// Throws unless `block` may be accessed. Trailers hold the sector keys and
+// access bits - a bad write locks the sector for good.
+export function assertBlockAccess(layout, block, { write = false, allowSectorTrailer = false } = {}) {
+  if (!Number.isInteger(block) || block < 0 || block >= layout.totalBlocks) {
+    throw new NFCError(`Block ${block} does not exist on ${layout.name} (0-${layout.totalBlocks - 1})`, 'INVALID_BLOCK');
+  }
+  if (write && block === 0) {
+    throw new NFCError('Block 0 holds the manufacturer data and cannot be written', 'MANUFACTURER_BLOCK');
+  }
+  if (isSectorTrailer(block) && !allowSectorTrailer) {
+    throw new NFCError(`Block ${block} is the sector ${sectorOfBlock(block)} trailer - pass allowSectorTrailer to access it`, 'SECTOR_TRAILER');
+  }
+}
+
+// Keys used to authenticate sectors: one default plus per-sector overrides
+export class ClassicKeyStore {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    this.defaultKey = { keyType: KEY_TYPE_A, key: DEFAULT_KEY };
+    this.sectorKeys = new Map();
+  }
+
+  // `sector` left out sets the key used for every sector without an override
+  setKey({ sector, keyType = 'A', key }) {
+    const clean = String(key || '').replace(/\s+/g, '').toUpperCase();
+    if (!/^[0-9A-F]{12}$/.test(clean)) {
+      throw new NFCError('Key must be 12 hex characters', 'INVALID_KEY');
+    }
+    if (keyType !== 'A' && keyType !== 'B') {
+      throw new NFCError('Key type must be A or B', 'INVALID_KEY');
+    }
+
+    const entry = { keyType: keyType === 'B' ? KEY_TYPE_B : KEY_TYPE_A, key: clean };
+    if (sector === undefined || sector === null) {
+      this.defaultKey = entry;
+    } else {
+      if (!Number.isInteger(sector) || sector < 0 || sector >= CLASSIC_LAYOUTS.MIFARE_CLASSIC_4K.sectors) {
+        throw new NFCError(`Invalid sector ${sector}`, 'INVALID_KEY');
+      }
+      this.sectorKeys.set(sector, entry);
+    }
+    return entry;
+  }
+
+  getKey(sector) {
+    return this.sectorKeys.get(sector) || this.defaultKey;
+  }
+
+  // Key material stays in the main process
+  describe() {
+    const keyName = ({ keyType }) => (keyType === KEY_TYPE_B ? 'B' : 'A');
+    return {
+      defaultKeyType: keyName(this.defaultKey),
+      usingDefaultKey: this.defaultKey.key === DEFAULT_KEY,
+      sectors: [...this.sectorKeys.entries()].map(([sector, entry]) => ({ sector, keyType: keyName(entry) }))
+    };
+  }
+}
@@ -0,0 +1,334 @@
+// NDEF helpers for NFC Forum Type 2 tags (NTAG21x / MIFARE Ultralight)
+//
+// Memory layout handled here:
+//   page 3      - Capability Container (CC): E1 10 <data area size / 8> <access>
+//   page 4..n   - TLV blocks, the NDEF message lives in a 0x03 TLV, 0xFE terminates
+
+export const CC_PAGE = 3;
+export const DATA_AREA_START_PAGE = 4;
+
+export const CC_MAGIC = 0xE1;
+export const CC_VERSION = 0x10; // Mapping version 1.0
+
+// Default data area size used when formatting a blank tag (NTAG213 - 144 bytes)
+export const DEFAULT_DATA_AREA_SIZE = 144;
+
+const TLV_NULL = 0x00;
+const TLV_LOCK_CONTROL = 0x01;
+const TLV_MEMORY_CONTROL = 0x02;
+const TLV_NDEF_MESSAGE = 0x03;
+const TLV_PROPRIETARY = 0xFD;
+const TLV_TERMINATOR = 0xFE;
+
+const TNF_WELL_KNOWN = 0x01;
+
+const FLAG_MB = 0x80; // Message begin
+const FLAG_ME = 0x40; // Message end
+const FLAG_CF = 0x20; // Chunk flag
+const FLAG_SR = 0x10; // Short record
+const FLAG_IL = 0x08; // ID length present
+
+const RTD_TEXT = 'T';
+const RTD_URI = 'U';
+
+// URI identifier codes from the NFC Forum URI RTD
+const URI_PREFIXES = [
+  '',
+  'http://www.',
+  'https://www.',
+  'http://',
+  'https://',
+  'tel:',
+  'mailto:',
+  'ftp://anonymous:anonymous@',
+  'ftp://ftp.',
+  'ftps://',
+  'sftp://',
+  'smb://',
+  'nfs://',
+  'ftp://',
+  'dav://',
+  'news:',
+  'telnet://',
+  'imap:',
+  'rtsp://',
+  'urn:',
+  'pop:',
+  'sip:',
+  'sips:',
+  'tftp:',
+  'btspp://',
+  'btl2cap://',
+  'btgoep://',
+  'tcpobex://',
+  'irdaobex://',
+  'file://',
+  'urn:epc:id:',
+  'urn:epc:tag:',
+  'urn:epc:pat:',
+  'urn:epc:raw:',
+  'urn:epc:',
+  'urn:nfc:'
+];
+
+export function parseCapabilityContainer(buffer) {
+  if (!buffer || buffer.length < 4) {
+    return { valid: false, blank: false, error: 'Capability Container must be 4 bytes' };
+  }
+
+  const [magic, version, size, access] = buffer;
+  const blank = magic === 0 && version === 0 && size === 0 && access === 0;
+
+  return {
+    valid: magic === CC_MAGIC,
+    blank,
+    magic,
+    majorVersion: version >> 4,
+    minorVersion: version & 0x0F,
+    dataAreaSize: size * 8,
+    readAccess: access >> 4,
+    writeAccess: access & 0x0F,
+    writable: (access & 0x0F) === 0x00,
+    hex: buffer.slice(0, 4).toString('hex').toUpperCase()
+  };
+}
+
+export function buildCapabilityContainer(dataAreaSize = DEFAULT_DATA_AREA_SIZE, { readOnly = false } = {}) {
+  return Buffer.from([
+    CC_MAGIC,
+    CC_VERSION,
+    Math.floor(dataAreaSize / 8) & 0xFF,
+    readOnly ? 0x0F : 0x00
+  ]);
+}
+
+// Walk the TLV area and locate the first NDEF message TLV.
+// Returns `complete: false` when the buffer ends before the message does,
+// together with the number of bytes needed to finish it.
+export function parseTLVs(buffer) {
+  const tlvs = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const type = buffer[offset];
+
+    if (type === TLV_NULL) {
+      offset += 1;
+      continue;
+    }
+
+    if (type === TLV_TERMINATOR) {
+      tlvs.push({ type, offset, length: 0 });
+      return { complete: true, tlvs, ndefMessage: null };
+    }
+
+    if (offset + 1 >= buffer.length) {
+      return { complete: false, tlvs, ndefMessage: null, bytesNeeded: offset + 4 };
+    }
+
+    let length = buffer[offset + 1];
+    let headerSize = 2;
+
+    if (length === 0xFF) {
+      if (offset + 3 >= buffer.length) {
+        return { complete: false, tlvs, ndefMessage: null, bytesNeeded: offset + 4 };
+      }
+      length = buffer.readUInt16BE(offset + 2);
+      headerSize = 4;
+    }
+
+    const valueStart = offset + headerSize;
+    const valueEnd = valueStart + length;
+
+    if (type === TLV_NDEF_MESSAGE) {
+      if (valueEnd > buffer.length) {
+        return { complete: false, tlvs, ndefMessage: null, bytesNeeded: valueEnd };
+      }
+      tlvs.push({ type, offset, length });
+      return { complete: true, tlvs, ndefMessage: buffer.slice(valueStart, valueEnd) };
+    }
+
+    if (type === TLV_LOCK_CONTROL || type === TLV_MEMORY_CONTROL || type === TLV_PROPRIETARY) {
+      tlvs.push({ type, offset, length });
+      offset = valueEnd;
+      continue;
+    }
+
+    throw new Error(`Unknown TLV type 0x${type.toString(16).padStart(2, '0')} at offset ${offset}`);
+  }
+
+  return { complete: true, tlvs, ndefMessage: null };
+}
+
+export function buildNdefTLV(message) {
+  const header = message.length < 0xFF
+    ? Buffer.from([TLV_NDEF_MESSAGE, message.length])
+    : Buffer.from([TLV_NDEF_MESSAGE, 0xFF, (message.length >> 8) & 0xFF, message.length & 0xFF]);
+
+  return Buffer.concat([header, message, Buffer.from([TLV_TERMINATOR])]);
+}
+
+export function encodeTextRecord(text, lang = 'en', { utf16 = false } = {}) {
+  const langBytes = Buffer.from(lang, 'ascii');
+  // UTF-16 is written big-endian without a BOM, as the Text RTD specifies
+  const textBytes = utf16 ? Buffer.from(text, 'utf16le').swap16() : Buffer.from(text, 'utf8');
+  // Status byte: bit 7 = encoding (0 UTF-8, 1 UTF-16), bits 5..0 = language code length
+  const status = (utf16 ? 0x80 : 0x00) | (langBytes.length & 0x3F);
+  return {
+    tnf: TNF_WELL_KNOWN,
+    type: Buffer.from(RTD_TEXT, 'ascii'),
+    payload: Buffer.concat([Buffer.from([status]), langBytes, textBytes])
+  };
+}
+
+export function encodeUriRecord(uri) {
+  // Longest matching prefix wins (e.g. https://www. over https://)
+  let prefixCode = 0;
+  for (let code = 1; code < URI_PREFIXES.length; code++) {
+    const prefix = URI_PREFIXES[code];
+    if (uri.startsWith(prefix) && prefix.length > URI_PREFIXES[prefixCode].length) {
+      prefixCode = code;
+    }
+  }
+
+  return {
+    tnf: TNF_WELL_KNOWN,
+    type: Buffer.from(RTD_URI, 'ascii'),
+    payload: Buffer.concat([
+      Buffer.from([prefixCode]),
+      Buffer.from(uri.slice(URI_PREFIXES[prefixCode].length), 'utf8')
+    ])
+  };
+}
+
+// records: [{ type: 'text', text, lang, encoding: 'utf8' | 'utf16' }, { type: 'uri', uri }]
+export function encodeMessage(records) {
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new Error('NDEF message needs at least one record');
+  }
+
+  const encoded = records.map(record => {
+    switch (record.type) {
+      case 'text':
+        if (typeof record.text !== 'string') throw new Error('Text record needs a text value');
+        return encodeTextRecord(record.text, record.lang, { utf16: record.encoding === 'utf16' });
+      case 'uri':
+        if (typeof record.uri !== 'string' || record.uri.length === 0) throw new Error('URI record needs a uri value');
+        return encodeUriRecord(record.uri);
+      default:
+        throw new Error(`Unsupported NDEF record type: ${record.type}`);
+    }
+  });
+
+  return Buffer.concat(encoded.map((record, index) => {
+    const shortRecord = record.payload.length < 256;
+    let flags = record.tnf;
+    if (index === 0) flags |= FLAG_MB;
+    if (index === encoded.length - 1) flags |= FLAG_ME;
+    if (shortRecord) flags |= FLAG_SR;
+
+    const header = [flags, record.type.length];
+    if (shortRecord) {
+      header.push(record.payload.length);
+    } else {
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(record.payload.length);
+      header.push(...length);
+    }
+
+    return Buffer.concat([Buffer.from(header), record.type, record.payload]);
+  }));
+}
+
+// Text RTD UTF-16 is big-endian unless a byte order mark says otherwise
+function decodeUtf16(bytes) {
+  let littleEndian = false;
+  let body = bytes;
+  if (body[0] === 0xFE && body[1] === 0xFF) {
+    body = body.slice(2);
+  } else if (body[0] === 0xFF && body[1] === 0xFE) {
+    littleEndian = true;
+    body = body.slice(2);
+  }
+
+  // Copy before swapping so the caller's buffer is left alone; a stray odd byte is dropped
+  const units = Buffer.from(body.slice(0, body.length & ~1));
+  return (littleEndian ? units : units.swap16()).toString('utf16le');
+}
+
+function decodeTextPayload(payload) {
+  const status = payload[0];
+  const langLength = status & 0x3F;
+  const textBytes = payload.slice(1 + langLength);
+  return {
+    lang: payload.slice(1, 1 + langLength).toString('ascii'),
+    encoding: status & 0x80 ? 'utf16' : 'utf8',
+    text: status & 0x80 ? decodeUtf16(textBytes) : textBytes.toString('utf8')
+  };
+}
+
+function decodeUriPayload(payload) {
+  const prefix = URI_PREFIXES[payload[0]] || '';
+  return { uri: prefix + payload.slice(1).toString('utf8') };
+}
+
+export function decodeMessage(message) {
+  const records = [];
+  let offset = 0;
+
+  while (offset < message.length) {
+    const flags = message[offset];
+    const tnf = flags & 0x07;
+    const typeLength = message[offset + 1];
+    let cursor = offset + 2;
+
+    if (flags & FLAG_CF) {
+      throw new Error('Chunked NDEF records are not supported');
+    }
+
+    let payloadLength;
+    if (flags & FLAG_SR) {
+      payloadLength = message[cursor];
+      cursor += 1;
+    } else {
+      payloadLength = message.readUInt32BE(cursor);
+      cursor += 4;
+    }
+
+    let idLength = 0;
+    if (flags & FLAG_IL) {
+      idLength = message[cursor];
+      cursor += 1;
+    }
+
+    const type = message.slice(cursor, cursor + typeLength);
+    cursor += typeLength + idLength;
+    const payload = message.slice(cursor, cursor + payloadLength);
+    cursor += payloadLength;
+
+    if (cursor > message.length) {
+      throw new Error('NDEF record is truncated');
+    }
+
+    const record = {
+      tnf,
+      recordType: type.toString('ascii'),
+      payloadHex: payload.toString('hex').toUpperCase()
+    };
+
+    if (tnf === TNF_WELL_KNOWN && record.recordType === RTD_TEXT) {
+      Object.assign(record, { type: 'text' }, decodeTextPayload(payload));
+    } else if (tnf === TNF_WELL_KNOWN && record.recordType === RTD_URI) {
+      Object.assign(record, { type: 'uri' }, decodeUriPayload(payload));
+    } else {
+      record.type = 'unknown';
+    }
+
+    records.push(record);
+    offset = cursor;
+
+    if (flags & FLAG_ME) break;
+  }
+
+  return records;
+}
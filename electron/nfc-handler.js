@@ -1,152 +1,571 @@
-import { ipcMain, BrowserWindow } from 'electron';
+import { app, BrowserWindow, dialog } from 'electron';
 import path from 'path';
+import fs from 'fs';
 import { fileURLToPath } from 'url';
+import {
+  CC_PAGE,
+  DATA_AREA_START_PAGE,
+  parseCapabilityContainer,
+  buildCapabilityContainer,
+  parseTLVs,
+  buildNdefTLV,
+  encodeMessage,
+  decodeMessage
+} from './ndef.js';
+import {
+  PAGE_SIZE,
+  TAG_LAYOUTS,
+  layoutFromVersion,
+  layoutFromCapabilityContainer,
+  getUserMemory,
+  getConfigPages,
+  getConfigPageRange,
+  configFitsLayout,
+  getNdefRoomBeforeConfig,
+  getMaxNdefMessageSize,
+  getPageRole,
+  isProtectedPage,
+  planRestore,
+  getLockGroups,
+  planLock,
+  isGroupLocked
+} from './tag-layout.js';
+import {
+  BLOCK_SIZE,
+  KEY_TYPE_B,
+  CLASSIC_LAYOUTS,
+  ClassicKeyStore,
+  classicLayoutFromAtr,
+  sectorOfBlock,
+  trailerBlockOfSector,
+  assertBlockAccess
+} from './mifare-classic.js';
+import { NFCError, AuthenticationError, OperationCancelledError, toErrorResponse } from './errors.js';
+import { OperationQueue, PRIORITY } from './operation-queue.js';
+import { writeVerified } from './verified-write.js';
+import { ProfileCache } from './profile-cache.js';
+import { CounterStore } from './counter-store.js';
+import { TapDebouncer } from './tap-debouncer.js';
+import { getVersion, pwdAuth, readSignature, readCounter, readUid, reselect } from './tag-commands.js';
+import { ORIGINALITY_KEYS, checkOriginality } from './originality.js';
+import { createBackend } from './backends/index.js';
+import { resolveAdminMode } from './admin-mode.js';
+import { describeStatusWord, describeTunnelStatus } from './status-words.js';
+import { loadSiteKey, signPayload, verifyPayload } from './card-signature.js';
+import { PayloadKeyring, ENVELOPE_OVERHEAD, isEnvelope, sealPayload, openPayload } from './payload-crypto.js';
+import { TEXT_HEADER_SIZE, TEXT_FORMATS, encodeText, decodeText } from './text-format.js';
+import { PageConfigStore, DEFAULT_PAGE_CONFIG } from './page-config-store.js';
+import { ReaderWatchdog } from './reader-watchdog.js';
+import { UidRegistry } from './uid-registry.js';
+import { CardPasswordStore } from './card-password-store.js';
+import { normalizeUid } from './uid.js';
+import { createLogger, getLogLevel } from './logger.js';
 
-console.log('🔍 NFC Handler: Module loading started...');
-console.log('🔍 NFC Handler: Current file:', fileURLToPath(import.meta.url));
-
-let NFC;
-try {
-  console.log('📦 Attempting to import nfc-pcsc...');
-  const nfcPcsc = await import('nfc-pcsc');
-  NFC = nfcPcsc.NFC;
-  console.log('✅ nfc-pcsc imported successfully');
-} catch (importError) {
-  console.error('❌ Failed to import nfc-pcsc:', importError.message);
-  console.error('❌ Import error stack:', importError.stack);
-  throw new Error(`Failed to import nfc-pcsc: ${importError.message}`);
-}
+const log = createLogger('nfc');
+
+log.info('🔍 NFC Handler: Module loading started...');
+log.info('🔍 NFC Handler: Current file:', fileURLToPath(import.meta.url));
+
+// Dumps and restores read or write every page of the card
+const BULK_TIMEOUT = 20000;
+
+const pageList = ({ firstPage, lastPage }) =>
+  Array.from({ length: lastPage - firstPage + 1 }, (_, index) => firstPage + index);
+
+// pcsc unless NFC_BACKEND / --nfc-backend picks another one
+const defaultBackend = await createBackend();
 
 class ElectronNFCHandler {
-  constructor() {
-    console.log('🏗️ Creating ElectronNFCHandler instance...');
+  // `dispatcher` is the IpcDispatcher from main.js the handlers register with
+  constructor(dispatcher, backend = defaultBackend) {
+    log.info('🏗️ Creating ElectronNFCHandler instance...');
     
-    try {
-      console.log('📦 Initializing NFC instance from nfc-pcsc...');
-      this.nfc = new NFC();
-      console.log('✅ NFC instance created successfully');
-    } catch (error) {
-      console.error('❌ Failed to create NFC instance:', error.message);
-      console.error('Stack:', error.stack);
-      throw error;
-    }
+    this.backend = backend;
     
-    this.isInitialized = false;
-    this.currentReader = null;
-    this.currentCard = null;
-    this.readers = [];
+    // NFC instance from the backend - recreated on every start, since close()
+    // releases its PC/SC context for good
+    this.nfc = null;
     
-    // Simplified single-page configurations
-    this.pageConfigs = {
-      'PAGE_4': {
-        pageNumber: 4,
-        byteAddress: 16, // Page 4 = byte 16
-        maxDataSize: 16, // Single page = 16 bytes max
-        description: 'Single Page 4 - 16 bytes simple storage'
-      },
-      'PAGE_5': {
-        pageNumber: 5,
-        byteAddress: 20, // Page 5 = byte 20
-        maxDataSize: 16,
-        description: 'Single Page 5 - 16 bytes simple storage'
-      },
-      'PAGE_6': {
-        pageNumber: 6,
-        byteAddress: 24, // Page 6 = byte 24
-        maxDataSize: 16,
-        description: 'Single Page 6 - 16 bytes simple storage'
-      },
-      'PAGE_7': {
-        pageNumber: 7,
-        byteAddress: 28, // Page 7 = byte 28
-        maxDataSize: 16,
-        description: 'Single Page 7 - 16 bytes simple storage'
-      },
-      'MULTI_PAGE_BLOCK': {
-        pageNumber: 4,
-        byteAddress: 16,
-        maxDataSize: 64, // Try reading 4 pages as a block (16 bytes each)
-        description: 'Multi-page block read - 64 bytes (4 pages)'
-      }
-    };
+    // 'running' while attached to PC/SC, 'paused' after nfc-stop,
+    // 'stopped' before the first start and after shutdown
+    this.lifecycle = 'stopped';
+    
+    // Bumped on every start so events from a released context are dropped
+    this.session = 0;
     
-    // Default to page 4
-    this.currentPageConfig = this.pageConfigs['PAGE_4'];
+    // Recreates the NFC instance when the PC/SC context dies or every reader is gone
+    this.watchdog = new ReaderWatchdog({
+      restart: (reason) => this.restartContext(reason),
+      hasReaders: () => this.readers.size > 0,
+      isRunning: () => this.lifecycle === 'running',
+      onChange: (state) => this.sendToRenderer('nfc-reader-recovery', state)
+    });
+    
+    // Per-reader state keyed by reader name:
+    // { name, reader, card, tagModel, pageConfig, profileKey, profileCached, pendingRestore, queue, connectedAt, cardDetectedAt }
+    // profileKey is the profile cache key of an unidentified chip
+    // profileCached is set while pageConfig came from that profile
+    this.readers = new Map();
+    
+    // NTAG21x passwords used to authenticate before reads/writes, per card UID
+    // and saved to disk. Per card, so protecting one card never changes the
+    // password tried on another.
+    this.cardPasswords = new CardPasswordStore(path.join(app.getPath('userData'), 'card-passwords.json'));
+    
+    // Trial-read results for cards GET_VERSION could not identify
+    this.profiles = new ProfileCache(path.join(app.getPath('userData'), 'compatibility-profiles.json'));
+    
+    // Repeat taps of a UID inside the window are reported as nfc-card-repeat
+    this.debouncer = new TapDebouncer();
+    
+    // --nfc-admin / NFC_ADMIN=1 unlocks the raw APDU console
+    this.adminMode = resolveAdminMode();
+    
+    // HMAC key for signed badge payloads (NFC_SITE_KEY or <userData>/site-key)
+    this.siteKey = loadSiteKey(path.join(app.getPath('userData'), 'site-key'));
+    
+    // Optional AES envelope for page-text payloads, with rotatable keys
+    this.payloadKeys = new PayloadKeyring(path.join(app.getPath('userData'), 'payload-keys.json'));
     
-    console.log('🔧 Setting up IPC handlers...');
-    this.setupIPC();
-    console.log('✅ IPC handlers setup completed');
+    // Last NTAG21x NFC counter value seen per UID, for clone detection
+    this.counters = new CounterStore(path.join(app.getPath('userData'), 'tap-counters.json'));
     
-    console.log('🚀 Initializing NFC system...');
+    // MIFARE Classic sector keys (factory default FFFFFFFFFFFF, key A)
+    this.classicKeys = new ClassicKeyStore();
+    
+    // Built-in page configurations plus user-defined ones saved to disk
+    this.pageConfigs = new PageConfigStore(path.join(app.getPath('userData'), 'page-configs.json'));
+    
+    // Card UID → user for UID-only attendance with cards we cannot write
+    this.uidRegistry = new UidRegistry(path.join(app.getPath('userData'), 'uid-registry.json'));
+    
+    // Default to page 4 - applied to every reader that connects
+    this.defaultPageConfig = this.pageConfigs.get(DEFAULT_PAGE_CONFIG);
+    
+    // MIFARE Classic cards keep their text in the data blocks of sector 1
+    // (sector 0 holds the manufacturer block and, on NDEF cards, the MAD)
+    this.classicTextConfig = {
+      startBlock: 4,
+      blockCount: 3,
+      maxDataSize: 48,
+      description: 'MIFARE Classic sector 1 - 48 bytes'
+    };
+    
+    log.info('🔧 Setting up IPC handlers...');
+    this.setupIPC(dispatcher);
+    log.info('✅ IPC handlers setup completed');
+    
+    log.info('🚀 Initializing NFC system...');
+    this.start();
+    log.info('✅ NFC system initialization completed');
+  }
+
+  // Attach to PC/SC. Returns false when already running, so listeners are
+  // only ever registered once per context.
+  start() {
+    if (this.lifecycle === 'running' && this.nfc) {
+      log.info('ℹ️ NFC already running');
+      return false;
+    }
+
+    // A watchdog restart could not attach - try again now instead of
+    // waiting for its next attempt
+    if (this.lifecycle === 'running') {
+      this.restartContext('start requested');
+      return true;
+    }
+
+    this.attach();
+    // No reader within the first delay starts the recovery cycle
+    this.watchdog.trigger('no-readers');
+    return true;
+  }
+
+  attach() {
+    try {
+      log.info(`📦 Initializing NFC instance from the ${this.backend.name} backend...`);
+      this.nfc = this.backend.createNFC();
+      log.info('✅ NFC instance created successfully');
+    } catch (error) {
+      log.error('❌ Failed to create NFC instance:', error.message);
+      log.error('Stack:', error.stack);
+      throw error;
+    }
+
+    this.session += 1;
     this.init();
-    console.log('✅ NFC system initialization completed');
+  }
+
+  // Watchdog recovery: drop the (possibly dead) context and attach afresh.
+  // The lifecycle stays 'running' throughout - when attaching fails there is
+  // no context until the watchdog's next attempt (or a start) succeeds, and
+  // stop() still works.
+  restartContext(reason) {
+    log.info(`🔄 Recreating NFC instance (${reason})...`);
+    this.session += 1;
+    this.releaseContext('recovering');
+    this.attach();
+  }
+
+  // Drop card events and release the PC/SC context. A paused handler can be
+  // started again; `final` is used on app shutdown.
+  stop({ final = false } = {}) {
+    const nextState = final ? 'stopped' : 'paused';
+    if (this.lifecycle !== 'running') {
+      if (final) this.lifecycle = 'stopped';
+      return { success: true, lifecycle: this.lifecycle };
+    }
+
+    log.info(`⏸️ Releasing PC/SC context (${nextState})...`);
+    this.lifecycle = nextState;
+    this.session += 1;
+    this.watchdog.reset();
+    this.releaseContext(nextState);
+
+    log.info(`✅ NFC ${nextState}`);
+    return { success: true, lifecycle: this.lifecycle };
+  }
+
+  // reason: 'paused', 'stopped' or 'recovering' - passed on to the renderer
+  releaseContext(reason) {
+    // The released context can still emit errors - keep a listener so they
+    // are not thrown as unhandled 'error' events
+    const ignoreError = () => {};
+    this.readers.forEach(({ name, reader, queue }) => {
+      queue.cancelAll(`NFC ${reason}`);
+      reader.removeAllListeners();
+      reader.on('error', ignoreError);
+      this.sendReaderDisconnected(name, reason);
+    });
+    this.readers.clear();
+
+    // None after a recovery attempt that could not attach
+    const nfc = this.nfc;
+    if (!nfc) return;
+    this.nfc = null;
+    nfc.removeAllListeners();
+    nfc.on('error', ignoreError);
+
+    try {
+      nfc.close();
+    } catch (error) {
+      log.error('❌ Failed to close PC/SC context:', error.message);
+    }
+  }
+
+  sendReaderDisconnected(readerName, reason) {
+    this.sendToRenderer('nfc-reader-disconnected', {
+      reader: readerName,
+      reason,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Events belonging to an older session arrived after a stop - drop them
+  isCurrentSession(session) {
+    return session === this.session && this.lifecycle === 'running';
   }
 
   init() {
+    const session = this.session;
+
     this.nfc.on('reader', (reader) => {
-      console.log(`📱 Reader connected: ${reader.reader.name}`);
-      this.readers.push(reader.reader.name);
-      this.currentReader = reader;
+      const readerName = reader.reader.name;
+      log.info(`📱 Reader connected: ${readerName}`);
+      
+      // nfc-pcsc only reports ISO 14443-4 cards (transit passes, bank and
+      // building cards) when an AID is set, and then selects that
+      // application. The UID is read in the 'card' handler instead, so any
+      // card the reader sees is reported.
+      reader.autoProcessing = false;
+      
+      const state = {
+        name: readerName,
+        reader,
+        card: null,
+        tagModel: null,
+        originality: null,
+        counter: null,
+        pageConfig: this.defaultPageConfig,
+        profileKey: null,
+        profileCached: false,
+        pendingRestore: null,
+        queue: new OperationQueue(readerName),
+        connectedAt: new Date().toISOString(),
+        cardDetectedAt: null
+      };
+      this.readers.set(readerName, state);
+      this.watchdog.readerConnected();
+      this.sendToRenderer('nfc-reader-connected', {
+        reader: readerName,
+        timestamp: state.connectedAt
+      });
       
       reader.on('card', async (card) => {
+        if (!this.isCurrentSession(session)) return;
         try {
-          console.log(`🔍 Card detected: ${card.uid}`);
-          this.currentCard = card;
+          if (!card.uid) {
+            const uid = await state.queue.enqueue('read-uid', () => readUid(reader), { priority: PRIORITY.HIGH, timeout: 5000 });
+            if (!this.isCurrentSession(session)) return;
+            card = { ...card, uid };
+          }
+          log.info(`🔍 Card detected on ${readerName}: ${card.uid}`);
+          state.card = card;
+          state.cardDetectedAt = Date.now();
+          const tap = this.debouncer.check(card.uid, state.cardDetectedAt);
+          
+          // Identify the card and test which pages/methods work for it,
+          // ahead of any reads the UI queues in the meantime
+          const compatibility = await state.queue.enqueue('identify-card', async () => {
+            state.tagModel = await this.detectTagModel(state);
+            const result = await this.testCardCompatibility(state, card);
+            state.originality = await this.checkCardOriginality(state);
+            state.counter = await this.readTapCounter(state);
+            return result;
+          }, { priority: PRIORITY.HIGH, timeout: 10000 });
           
-          // Test which pages/methods work for this card
-          const compatibility = await this.testCardCompatibility(reader, card);
+          // Stopped while the card was being identified
+          if (!this.isCurrentSession(session)) return;
           
-          // Notify renderer about card detection
-          this.sendToRenderer('nfc-card-detected', {
+          const detection = {
+            reader: readerName,
             uid: card.uid,
             type: card.type,
             standard: card.standard,
             atr: card.atr ? card.atr.toString('hex') : null,
+            model: state.tagModel,
+            originality: state.originality,
+            counter: state.counter,
             compatibility: compatibility,
             timestamp: new Date().toISOString()
-          });
+          };
+
+          if (tap.repeat) {
+            log.info(`🔁 Repeat tap of ${card.uid} on ${readerName} ${tap.sinceMs}ms after the last one - suppressed`);
+            this.sendToRenderer('nfc-card-repeat', {
+              ...detection,
+              acceptedAt: new Date(tap.acceptedAt).toISOString(),
+              sinceMs: tap.sinceMs,
+              windowMs: this.debouncer.windowMs
+            });
+          } else {
+            this.debouncer.accept(card.uid, state.cardDetectedAt);
+            // Notify renderer about card detection
+            this.sendToRenderer('nfc-card-detected', detection);
+          }
+
+          if (state.counter && state.counter.suspicion) {
+            this.sendToRenderer('nfc-suspected-clone', {
+              reader: readerName,
+              uid: card.uid,
+              reason: state.counter.suspicion,
+              counter: state.counter.value,
+              previous: state.counter.previous,
+              timestamp: new Date().toISOString()
+            });
+          }
         } catch (error) {
-          console.error('❌ Error processing card:', error);
+          if (error instanceof OperationCancelledError) {
+            log.info(`ℹ️ Card on ${readerName} left before it was identified`);
+            return;
+          }
+          log.error(`❌ Error processing card on ${readerName}:`, error);
           this.sendToRenderer('nfc-error', {
             type: 'card_processing',
+            reader: readerName,
             message: `Error processing card: ${error.message}`,
             timestamp: new Date().toISOString()
           });
         }
       });
       
-      reader.on('card.off', () => {
-        console.log('📤 Card removed');
-        this.currentCard = null;
+      reader.on('card.off', (card) => {
+        if (!this.isCurrentSession(session)) return;
+        log.info(`📤 Card removed from ${readerName}`);
+        // Without auto-processing nfc-pcsc's card object carries no UID
+        const uid = state.card ? state.card.uid : card && card.uid;
+        state.queue.cancelAll('card removed');
+        state.card = null;
+        state.tagModel = null;
+        state.profileKey = null;
+        state.profileCached = false;
+        state.originality = null;
+        state.counter = null;
+        state.cardDetectedAt = null;
+        state.pendingRestore = null;
         this.sendToRenderer('nfc-card-removed', {
+          reader: readerName,
+          uid: uid || null,
           timestamp: new Date().toISOString()
         });
       });
       
       reader.on('error', (err) => {
-        console.error('📱 Reader error:', err.message);
+        log.error(`📱 Reader error on ${readerName}:`, err.message);
         this.sendToRenderer('nfc-error', {
           type: 'reader',
+          reader: readerName,
           message: err.message,
           timestamp: new Date().toISOString()
         });
       });
+      
+      reader.on('end', () => {
+        if (!this.isCurrentSession(session)) return;
+        log.info(`📱 Reader disconnected: ${readerName}`);
+        state.queue.cancelAll('reader disconnected');
+        this.readers.delete(readerName);
+        this.sendReaderDisconnected(readerName, 'unplugged');
+        // With the last reader gone the PC/SC context may go with it
+        if (this.readers.size === 0) this.watchdog.trigger('no-readers');
+      });
     });
     
     this.nfc.on('error', (err) => {
-      console.error('💥 NFC System Error:', err.message);
+      if (!this.isCurrentSession(session)) return;
+      log.error('💥 NFC System Error:', err.message);
       this.sendToRenderer('nfc-error', {
         type: 'system',
         message: err.message,
+        recovering: true,
         timestamp: new Date().toISOString()
       });
+      this.watchdog.trigger('context-error');
     });
     
-    this.isInitialized = true;
+    this.lifecycle = 'running';
+  }
+
+  // NXP originality check. READ_SIG is only sent to chips GET_VERSION
+  // identified as a signed family - older Ultralights do not know it. A failed
+  // READ_SIG counts as unsupported rather than fake, so a bad read never
+  // rejects a real badge.
+  async checkCardOriginality(state) {
+    const model = state.tagModel;
+    if (!model || model.source !== 'GET_VERSION' || !ORIGINALITY_KEYS[model.family]) {
+      return { status: 'unsupported', family: model ? model.family : null };
+    }
+
+    try {
+      const signature = await readSignature(state.reader);
+      const result = checkOriginality(Buffer.from(state.card.uid, 'hex'), signature, model.family, this.backend.originalityKeys);
+      log.info(`🔏 Originality signature: ${result.status}${result.key ? ` (${result.key})` : ''}`);
+      return { ...result, signature: signature.toString('hex').toUpperCase() };
+    } catch (error) {
+      log.info(`⚠️ READ_SIG failed: ${error.message}`);
+      await this.reselectAfterNak(state, 'READ_SIG');
+      return { status: 'unsupported', family: model.family, error: error.message };
+    }
+  }
+
+  // A Type 2 tag that NAKs a native command stays mute until it is selected
+  // again, which would fail every later read of the tap. A failed re-select
+  // is only logged - the next read reports the real error.
+  async reselectAfterNak(state, command) {
+    try {
+      await reselect(state.reader);
+      log.info(`🔄 Card re-selected after ${command} NAK`);
+    } catch (error) {
+      log.info(`⚠️ Re-select after ${command} failed: ${error.message}`);
+    }
+  }
+
+  // NTAG21x NFC counter, compared with the last value seen for this UID.
+  // Returns null for chips without the counter.
+  async readTapCounter(state) {
+    const model = state.tagModel;
+    if (!model || model.source !== 'GET_VERSION' || model.family !== 'NTAG21x') return null;
+
+    try {
+      const value = await readCounter(state.reader);
+      const result = this.counters.record(state.card.uid, value);
+      if (result.suspicion) {
+        log.info(`🚨 Suspected clone ${state.card.uid}: counter ${result.previous} -> ${value} (${result.suspicion})`);
+      } else {
+        log.info(`🔢 NFC counter: ${value}`);
+      }
+      return result;
+    } catch (error) {
+      // NFC_CNT_PWD_PROT hides the counter behind the password
+      log.info(`⚠️ READ_CNT failed: ${error.message}`);
+      await this.reselectAfterNak(state, 'READ_CNT');
+      return { value: null, error: error.message };
+    }
+  }
+
+  // Identify the chip with GET_VERSION, falling back to the CC size. Tags
+  // without GET_VERSION (Ultralight, Ultralight C) NAK it and are re-selected
+  // before anything else is read. MIFARE Classic is recognised from the ATR
+  // and never sent either.
+  async detectTagModel(state) {
+    const { reader, card } = state;
+    state.profileKey = null;
+    if (card.standard !== 'TAG_ISO_14443_3') return null;
+
+    const classicLayout = classicLayoutFromAtr(card.atr);
+    if (classicLayout) {
+      log.info(`🏷️ Detected ${classicLayout.name} via ATR`);
+      const dataBlocks = classicLayout.totalBlocks - classicLayout.sectors - 1;
+      return {
+        key: classicLayout.key,
+        name: classicLayout.name,
+        family: classicLayout.family,
+        source: 'ATR',
+        storage: 'classic',
+        sectors: classicLayout.sectors,
+        totalBlocks: classicLayout.totalBlocks,
+        userMemory: { blocks: dataBlocks, bytes: dataBlocks * BLOCK_SIZE },
+        maxPayloadSize: this.classicTextConfig.maxDataSize
+      };
+    }
+
+    let cc = null;
+    try {
+      cc = parseCapabilityContainer(await reader.read(CC_PAGE, 4));
+    } catch (error) {
+      log.info(`❌ Capability Container read failed: ${error.message}`);
+    }
+
+    let version = null;
+    try {
+      version = await getVersion(reader);
+    } catch (error) {
+      log.info(`ℹ️ GET_VERSION not answered: ${error.message}`);
+      await this.reselectAfterNak(state, 'GET_VERSION');
+    }
+
+    let layout = layoutFromVersion(version);
+    let source = 'GET_VERSION';
+    if (!layout) {
+      layout = layoutFromCapabilityContainer(cc, { versionSupported: !!version });
+      source = 'CC';
+    }
+
+    if (!layout) {
+      log.info(`❓ Unknown tag model (version: ${version ? version.toString('hex') : 'none'}, CC: ${cc ? cc.hex : 'unreadable'})`);
+      state.profileKey = ProfileCache.keyFor(card, { version, cc });
+      return null;
+    }
+
+    log.info(`🏷️ Detected ${layout.name} via ${source}`);
+
+    return {
+      key: layout.key,
+      name: layout.name,
+      family: layout.family,
+      source,
+      storage: 'pages',
+      version: version ? version.toString('hex').toUpperCase() : null,
+      totalPages: layout.totalPages,
+      userMemory: getUserMemory(layout),
+      configPages: getConfigPages(layout),
+      maxPayloadSize: getMaxNdefMessageSize(layout)
+    };
   }
 
-  async testCardCompatibility(reader, card) {
-    console.log('🧪 Testing card compatibility with different read methods...');
+  // `reprobe` skips the profile cache, e.g. after a cached profile failed
+  async testCardCompatibility(state, card, { reprobe = false } = {}) {
+    const { reader } = state;
     const results = {
       cardInfo: {
         type: card.type,
@@ -158,20 +577,68 @@ class ElectronNFCHandler {
       workingPages: []
     };
 
-    // Test different read methods and pages
+    if (this.isClassicCard(state)) {
+      results.model = state.tagModel.name;
+      results.recommendedMethod = 'MIFARE_CLASSIC';
+      log.info(`🔧 Using config: ${this.classicTextConfig.description}`);
+      return results;
+    }
+
+    // A known chip has a known memory map - pick a config that fits it
+    if (state.tagModel) {
+      const layout = TAG_LAYOUTS[state.tagModel.key];
+      results.model = state.tagModel.name;
+      results.supportedConfigs = this.pageConfigs.list()
+        .filter(config => configFitsLayout(config, layout))
+        .map(config => config.name);
+
+      if (!configFitsLayout(state.pageConfig, layout) && results.supportedConfigs.length > 0) {
+        state.pageConfig = this.pageConfigs.get(results.supportedConfigs[0]);
+      }
+      results.recommendedMethod = state.pageConfig.name || null;
+
+      log.info(`🎯 ${state.tagModel.name} supports: ${results.supportedConfigs.join(', ') || 'no page configs'}`);
+      log.info(`🔧 Using config: ${state.pageConfig.description}`);
+      return results;
+    }
+
+    // Unidentified chips need trial reads - unless the same kind of chip was probed before
+    const profileKey = state.profileKey || ProfileCache.keyFor(card);
+    state.profileKey = profileKey;
+    // Profiles name their config; ones naming a deleted config are probed again
+    const profile = reprobe ? null : this.profiles.get(profileKey);
+    const profileConfig = profile && profile.configName ? this.pageConfigs.get(profile.configName) : null;
+    if (profileConfig) {
+      state.pageConfig = profileConfig;
+      state.profileCached = true;
+      log.info(`⚡ Using cached compatibility profile: ${profile.configName}`);
+      return { ...profile.results, cached: true };
+    }
+    state.profileCached = false;
+
+    log.info(`🧪 Testing card compatibility on ${state.name} with different read methods...`);
+
+    // Test different read methods and pages. `config` is the registry entry
+    // a successful read selects, in order of preference.
     const testCases = [
-      { name: 'PAGE_4_SINGLE', address: 16, length: 4, description: 'Single page 4 (4 bytes)' },
-      { name: 'PAGE_4_EXTENDED', address: 16, length: 16, description: 'Page 4 extended (16 bytes)' },
-      { name: 'PAGE_5_SINGLE', address: 20, length: 4, description: 'Single page 5 (4 bytes)' },
-      { name: 'PAGE_6_SINGLE', address: 24, length: 4, description: 'Single page 6 (4 bytes)' },
-      { name: 'PAGE_7_SINGLE', address: 28, length: 4, description: 'Single page 7 (4 bytes)' },
-      { name: 'MULTI_PAGE_BLOCK', address: 16, length: 64, description: 'Multi-page block (64 bytes)' },
+      { name: 'PAGE_4_SINGLE', address: 16, length: 4, description: 'Single page 16 (4 bytes)' },
+      { name: 'PAGE_4_EXTENDED', address: 16, length: 16, description: 'Pages 16-19 (16 bytes)' },
+      { name: 'PAGE_5_SINGLE', address: 20, length: 4, description: 'Single page 20 (4 bytes)' },
+      { name: 'PAGE_6_SINGLE', address: 24, length: 4, description: 'Single page 24 (4 bytes)' },
+      { name: 'PAGE_7_SINGLE', address: 28, length: 4, description: 'Single page 28 (4 bytes)' },
+      { name: 'MULTI_PAGE_BLOCK', address: 16, length: 64, description: 'Pages 16-31 (64 bytes)' },
       { name: 'HEADER_READ', address: 0, length: 16, description: 'Header pages (0-3)' },
     ];
+    const preferredConfigs = [
+      { test: 'PAGE_4_EXTENDED', config: 'PAGE_4' },
+      { test: 'PAGE_4_SINGLE', config: 'PAGE_4_SINGLE' },
+      { test: 'PAGE_5_SINGLE', config: 'PAGE_5_SINGLE' },
+      { test: 'MULTI_PAGE_BLOCK', config: 'MULTI_PAGE_BLOCK' }
+    ];
 
     for (const testCase of testCases) {
       try {
-        console.log(`🧪 Testing ${testCase.name}: ${testCase.description}`);
+        log.info(`🧪 Testing ${testCase.name}: ${testCase.description}`);
         const data = await reader.read(testCase.address, testCase.length);
         results.readMethods[testCase.name] = {
           success: true,
@@ -179,12 +646,11 @@ class ElectronNFCHandler {
           sample: data.slice(0, Math.min(8, data.length)).toString('hex'),
           description: testCase.description
         };
-        console.log(`✅ ${testCase.name} successful - read ${data.length} bytes`);
+        log.info(`✅ ${testCase.name} successful - read ${data.length} bytes`);
         
         // If this is a page test, add to working pages
         if (testCase.name.includes('PAGE_')) {
-          const pageNum = Math.floor(testCase.address / 4);
-          results.workingPages.push(pageNum);
+          results.workingPages.push(testCase.address);
         }
         
       } catch (error) {
@@ -193,232 +659,635 @@ class ElectronNFCHandler {
           error: error.message,
           description: testCase.description
         };
-        console.log(`❌ ${testCase.name} failed: ${error.message}`);
+        log.info(`❌ ${testCase.name} failed: ${error.message}`);
       }
     }
 
-    // Determine the best method to use
-    if (results.readMethods.PAGE_4_EXTENDED?.success) {
-      results.recommendedMethod = 'PAGE_4_EXTENDED';
-      this.currentPageConfig = {
-        pageNumber: 4,
-        byteAddress: 16,
-        maxDataSize: 16,
-        description: 'Page 4 extended mode - 16 bytes'
-      };
-    } else if (results.readMethods.PAGE_4_SINGLE?.success) {
-      results.recommendedMethod = 'PAGE_4_SINGLE';
-      this.currentPageConfig = {
-        pageNumber: 4,
-        byteAddress: 16,
-        maxDataSize: 4,
-        description: 'Page 4 single mode - 4 bytes'
-      };
-    } else if (results.readMethods.PAGE_5_SINGLE?.success) {
-      results.recommendedMethod = 'PAGE_5_SINGLE';
-      this.currentPageConfig = {
-        pageNumber: 5,
-        byteAddress: 20,
-        maxDataSize: 4,
-        description: 'Page 5 single mode - 4 bytes'
-      };
-    } else if (results.readMethods.MULTI_PAGE_BLOCK?.success) {
-      results.recommendedMethod = 'MULTI_PAGE_BLOCK';
-      this.currentPageConfig = {
-        pageNumber: 4,
-        byteAddress: 16,
-        maxDataSize: 64,
-        description: 'Multi-page block mode - 64 bytes'
-      };
+    // Determine the best method to use - always a named config, so the
+    // renderer can show it and nfc-set-page-config can select it again
+    const preferred = preferredConfigs.find(({ test }) => results.readMethods[test]?.success);
+    if (preferred) {
+      results.recommendedMethod = preferred.config;
+      state.pageConfig = this.pageConfigs.get(preferred.config);
     }
 
-    console.log(`🎯 Recommended method: ${results.recommendedMethod || 'NONE'}`);
-    console.log(`🔧 Using config: ${this.currentPageConfig.description}`);
+    log.info(`🎯 Recommended method: ${results.recommendedMethod || 'NONE'}`);
+    log.info(`🔧 Using config: ${state.pageConfig.description}`);
+
+    if (results.recommendedMethod) {
+      this.profiles.set(profileKey, { configName: state.pageConfig.name, results });
+    }
 
     return results;
   }
 
-  setupIPC() {
-    console.log('📋 Registering IPC handlers...');
+  // Handlers receive arguments already checked against ipc-channels.js
+  setupIPC(dispatcher) {
+    log.info('📋 Registering IPC handlers...');
+    dispatcher.provide('admin', () => this.adminMode);
+    dispatcher.provide('simulator', () => !!this.backend.simulator);
     
     // Start NFC
-    ipcMain.handle('nfc-start', async () => {
-      console.log('📡 IPC: nfc-start called');
+    dispatcher.handle('nfc-start', async () => {
       try {
-        if (!this.isInitialized) {
-          this.init();
-        }
-        return { success: true };
+        const started = this.start();
+        return { success: true, alreadyRunning: !started, lifecycle: this.lifecycle };
       } catch (error) {
         return { success: false, error: error.message };
       }
     });
 
     // Stop NFC
-    ipcMain.handle('nfc-stop', async () => {
-      console.log('📡 IPC: nfc-stop called');
+    dispatcher.handle('nfc-stop', async () => {
       try {
-        return { success: true };
+        return this.stop();
       } catch (error) {
         return { success: false, error: error.message };
       }
     });
 
     // Get NFC status
-    ipcMain.handle('nfc-status', async () => {
-      console.log('📡 IPC: nfc-status called');
-      return {
-        initialized: this.isInitialized,
-        readers: this.readers,
-        readerCount: this.readers.length,
-        hasCard: !!this.currentCard,
-        currentConfig: this.currentPageConfig
-      };
+    dispatcher.handle('nfc-status', async () => {
+      return this.getStatus();
     });
 
     // Read text from single page
-    ipcMain.handle('nfc-read-page-text', async () => {
-      return await this.readPageText();
+    dispatcher.handle('nfc-read-page-text', async (readerName) => {
+      return await this.queueOperation(readerName, 'read-page-text', name => this.readPageText(name));
     });
 
     // Write text to single page
-    ipcMain.handle('nfc-write-page-text', async (event, text) => {
-      return await this.writePageText(text);
+    dispatcher.handle('nfc-write-page-text', async (text, readerName) => {
+      return await this.queueOperation(readerName, 'write-page-text', name => this.writePageText(text, name));
+    });
+
+    // Signed badge payloads - the site key stays in the main process
+    dispatcher.handle('nfc-sign-payload', async (userId, readerName) => {
+      return this.signPayload(userId, readerName);
+    });
+
+    dispatcher.handle('nfc-verify-payload', async (text, uid) => {
+      return this.verifyPayload(text, uid);
+    });
+
+    // UID-only attendance - cards are linked to users without writing to them
+    dispatcher.handle('nfc-register-uid', async (userId, label, readerName) => {
+      return await this.registerUid(userId, label, readerName);
+    });
+
+    dispatcher.handle('nfc-lookup-uid', async (uid) => {
+      return this.lookupUid(uid);
+    });
+
+    dispatcher.handle('nfc-unregister-uid', async (uid) => {
+      return await this.unregisterUid(uid);
+    });
+
+    // Encrypted page-text payloads
+    dispatcher.handle('nfc-set-payload-encryption', async (enabled) => {
+      try {
+        await this.payloadKeys.setEnabled(enabled);
+        log.info(`🗝️ Payload encryption ${this.payloadKeys.enabled ? 'enabled' : 'disabled'}`);
+        return { success: true, ...this.payloadKeys.describe() };
+      } catch (error) {
+        return toErrorResponse(error, 'Changing payload encryption failed');
+      }
+    });
+
+    dispatcher.handle('nfc-rotate-payload-key', async () => {
+      try {
+        const keyId = await this.payloadKeys.rotate();
+        return { success: true, keyId, ...this.payloadKeys.describe() };
+      } catch (error) {
+        return toErrorResponse(error, 'Key rotation failed');
+      }
     });
 
     // Get card information
-    ipcMain.handle('nfc-get-card-info', async () => {
-      return await this.getCardInfo();
+    dispatcher.handle('nfc-get-card-info', async (readerName) => {
+      return await this.queueOperation(readerName, 'get-card-info', name => this.getCardInfo(name), { priority: PRIORITY.LOW });
     });
 
     // Set page configuration
-    ipcMain.handle('nfc-set-page-config', async (event, configName) => {
-      console.log('📡 IPC: nfc-set-page-config called');
-      return await this.setPageConfig(configName);
+    dispatcher.handle('nfc-set-page-config', async (configName, readerName) => {
+      // A per-reader switch waits for that reader's in-flight operation
+      if (!readerName) return await this.setPageConfig(configName);
+      return await this.queueOperation(readerName, 'set-page-config', name => this.setPageConfig(configName, name));
+    });
+
+    // Page config registry - built-ins plus user configs saved to disk
+    dispatcher.handle('nfc-list-page-configs', async () => {
+      return this.listPageConfigs();
+    });
+
+    dispatcher.handle('nfc-save-page-config', async (config) => {
+      return await this.savePageConfig(config);
+    });
+
+    dispatcher.handle('nfc-delete-page-config', async (configName) => {
+      return await this.deletePageConfig(configName);
+    });
+
+    // Read NDEF message
+    dispatcher.handle('nfc-read-ndef', async (readerName) => {
+      return await this.queueOperation(readerName, 'read-ndef', name => this.readNdef(name));
+    });
+
+    // Write NDEF message
+    dispatcher.handle('nfc-write-ndef', async (records, readerName) => {
+      return await this.queueOperation(readerName, 'write-ndef', name => this.writeNdef(records, name));
+    });
+
+    // Dump full tag memory
+    dispatcher.handle('nfc-dump-tag', async (readerName) => {
+      return await this.queueOperation(readerName, 'dump-tag', name => this.dumpTag(name), { priority: PRIORITY.LOW, timeout: BULK_TIMEOUT });
+    });
+
+    // Save a dump to a JSON file
+    dispatcher.handle('nfc-save-dump', async (dump) => {
+      return await this.saveDump(dump);
+    });
+
+    // Load a dump and diff it against the current card
+    dispatcher.handle('nfc-restore-preview', async (readerName) => {
+      // Pick the file first - the reader stays free while the dialog is open
+      const picked = await this.pickDumpFile();
+      if (!picked.success) return picked;
+      return await this.queueOperation(readerName, 'restore-preview', name => this.previewRestore(picked, name), { priority: PRIORITY.LOW, timeout: BULK_TIMEOUT });
+    });
+
+    // Write the previewed dump to the current card
+    dispatcher.handle('nfc-restore-commit', async (options, readerName) => {
+      return await this.queueOperation(readerName, 'restore-commit', name => this.commitRestore(options, name), { timeout: BULK_TIMEOUT });
+    });
+
+    // Set the password used to authenticate with the current card
+    dispatcher.handle('nfc-set-password', async (config, readerName) => {
+      return this.setPasswordConfig(config, readerName);
+    });
+
+    // Enable password protection on the current card
+    dispatcher.handle('nfc-protect-card', async (options, readerName) => {
+      return await this.queueOperation(readerName, 'protect-card', name => this.protectCard(options, name));
+    });
+
+    // Disable password protection on the current card
+    dispatcher.handle('nfc-unprotect-card', async (readerName) => {
+      return await this.queueOperation(readerName, 'unprotect-card', name => this.unprotectCard(name));
+    });
+
+    // Troubleshooting: raw page access outside the configured text window
+    dispatcher.handle('nfc-read-pages', async (startPage, count, readerName) => {
+      return await this.queueOperation(readerName, 'read-pages', name => this.readPages(startPage, count, name), { timeout: BULK_TIMEOUT });
+    });
+
+    dispatcher.handle('nfc-write-pages', async (startPage, hexData, options, readerName) => {
+      return await this.queueOperation(readerName, 'write-pages', name => this.writePages(startPage, hexData, options, name), { timeout: BULK_TIMEOUT });
+    });
+
+    // Turn on the NTAG21x NFC counter (NFC_CNT_EN)
+    dispatcher.handle('nfc-enable-counter', async (readerName) => {
+      return await this.queueOperation(readerName, 'enable-counter', name => this.enableCounter(name));
+    });
+
+    // Window in which repeat taps of the same UID are suppressed (0 = off)
+    dispatcher.handle('nfc-set-debounce', async (windowMs) => {
+      try {
+        this.debouncer.setWindow(windowMs);
+        log.info(`🔁 Repeat taps suppressed for ${this.debouncer.windowMs}ms`);
+        return { success: true, windowMs: this.debouncer.windowMs };
+      } catch (error) {
+        return toErrorResponse(error);
+      }
+    });
+
+    // Raw APDU console (admin mode only)
+    dispatcher.handle('nfc-transmit', async (hexData, responseLength, readerName) => {
+      return await this.queueOperation(readerName, 'transmit', name => this.transmit(hexData, responseLength, name));
+    });
+
+    // Current lock bits, plus what locking `range` would cover
+    dispatcher.handle('nfc-lock-state', async (range, readerName) => {
+      return await this.queueOperation(readerName, 'lock-state', name => this.getLockState(range, name));
+    });
+
+    // Permanently lock pages - cannot be undone
+    dispatcher.handle('nfc-lock-tag', async (options, readerName) => {
+      return await this.queueOperation(readerName, 'lock-tag', name => this.lockTag(options, name));
+    });
+
+    // Set (or with no config, reset) a MIFARE Classic sector key
+    dispatcher.handle('nfc-set-classic-key', async (config) => {
+      return this.setClassicKey(config);
+    });
+
+    // Simulator dev panel: virtual readers and card taps
+    dispatcher.handle('nfc-sim-state', async () => {
+      return this.simulatorAction(() => null);
+    });
+
+    dispatcher.handle('nfc-sim-add-reader', async (name) => {
+      return this.simulatorAction(simulator => simulator.addReader(name));
+    });
+
+    dispatcher.handle('nfc-sim-remove-reader', async (name) => {
+      return this.simulatorAction(simulator => simulator.removeReader(name));
+    });
+
+    dispatcher.handle('nfc-sim-tap', async (readerName, spec) => {
+      return this.simulatorAction(simulator => simulator.tap(readerName, spec));
+    });
+
+    dispatcher.handle('nfc-sim-remove-card', async (readerName) => {
+      return this.simulatorAction(simulator => simulator.removeCard(readerName));
+    });
+
+    dispatcher.handle('nfc-sim-configure-card', async (uid, options) => {
+      return this.simulatorAction(simulator => simulator.configureCard(uid, options));
+    });
+
+    dispatcher.handle('nfc-sim-forget-card', async (uid) => {
+      return this.simulatorAction(simulator => simulator.forgetCard(uid));
+    });
+
+    // MIFARE Classic 16-byte block I/O
+    dispatcher.handle('nfc-classic-read-block', async (block, options, readerName) => {
+      return await this.queueOperation(readerName, 'classic-read-block', name => this.readClassicBlock(block, options, name));
+    });
+
+    dispatcher.handle('nfc-classic-write-block', async (block, hex, options, readerName) => {
+      return await this.queueOperation(readerName, 'classic-write-block', name => this.writeClassicBlock(block, hex, options, name));
     });
     
-    console.log('📋 All IPC handlers registered successfully');
+    log.info('📋 All IPC handlers registered successfully');
   }
 
-  async setPageConfig(configName) {
-    if (this.pageConfigs[configName]) {
-      this.currentPageConfig = this.pageConfigs[configName];
-      console.log(`🔧 Switched to ${configName}: ${this.currentPageConfig.description}`);
-      return { success: true, config: this.currentPageConfig };
-    } else {
-      return { 
-        success: false, 
-        error: `Unknown config: ${configName}`,
-        availableConfigs: Object.keys(this.pageConfigs)
-      };
+  // Resolve the reader an IPC call targets. Without a name this is the only
+  // connected reader, or otherwise the one that most recently saw a card.
+  getReaderState(readerName) {
+    if (readerName) {
+      return this.readers.get(readerName) || null;
+    }
+
+    const states = [...this.readers.values()];
+    if (states.length <= 1) {
+      return states[0] || null;
     }
+
+    const withCard = states
+      .filter(state => state.card)
+      .sort((a, b) => b.cardDetectedAt - a.cardDetectedAt);
+    return withCard[0] || states[0];
   }
 
-  async getCardInfo() {
-    if (!this.currentReader || !this.currentCard) {
-      return { 
-        success: false, 
-        error: 'No card present. Please place a card on the reader.' 
-      };
+  // Run a card operation on its reader's queue so APDUs from concurrent
+  // callers never interleave. The operation receives the resolved reader name.
+  async queueOperation(readerName, label, operation, options = {}) {
+    const state = this.getReaderState(readerName);
+    if (!state) {
+      return operation(readerName);
     }
 
     try {
-      console.log('🔍 Getting card info...');
-      
-      // Test current configuration
-      const testResult = await this.testSingleRead();
-      
-      return {
-        success: true,
-        uid: this.currentCard.uid,
-        type: this.currentCard.type,
-        standard: this.currentCard.standard,
-        atr: this.currentCard.atr ? this.currentCard.atr.toString('hex') : null,
-        currentConfig: this.currentPageConfig,
-        testResult: testResult,
-        timestamp: new Date().toISOString()
-      };
-      
+      return await state.queue.enqueue(label, () => operation(state.name), options);
     } catch (error) {
-      console.error('❌ Failed to get card info:', error.message);
-      return {
-        success: false,
-        error: `Failed to get card info: ${error.message}`
-      };
+      log.error(`❌ ${label} on ${state.name} failed:`, error.message);
+      return toErrorResponse(error);
     }
   }
 
-  async testSingleRead() {
-    try {
-      console.log(`🧪 Testing read with current config: ${this.currentPageConfig.description}`);
-      const data = await this.currentReader.read(
-        this.currentPageConfig.byteAddress, 
-        this.currentPageConfig.maxDataSize
-      );
-      
-      return {
-        success: true,
-        dataLength: data.length,
-        hexData: data.toString('hex').toUpperCase(),
-        textData: this.bufferToText(data),
-        config: this.currentPageConfig
-      };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        config: this.currentPageConfig
-      };
+  noCardResponse(readerName) {
+    if (readerName && !this.readers.has(readerName)) {
+      return { success: false, error: `Unknown reader: ${readerName}` };
     }
+    return { 
+      success: false, 
+      error: 'No card present. Please place a card on the reader.' 
+    };
   }
 
-  async readPageText() {
-    if (!this.currentReader || !this.currentCard) {
-      return { 
+  getStatus() {
+    const readerStates = [...this.readers.values()].map(state => ({
+      name: state.name,
+      connectedAt: state.connectedAt,
+      hasCard: !!state.card,
+      queue: state.queue.describe(),
+      card: state.card ? {
+        uid: state.card.uid,
+        type: state.card.type,
+        standard: state.card.standard,
+        model: state.tagModel ? state.tagModel.name : null,
+        originality: state.originality ? state.originality.status : null,
+        counter: state.counter ? state.counter.value : null
+      } : null,
+      currentConfig: state.pageConfig
+    }));
+    const defaultState = this.getReaderState();
+
+    return {
+      initialized: this.lifecycle === 'running' && this.nfc !== null,
+      lifecycle: this.lifecycle,
+      backend: this.backend.name,
+      readers: readerStates.map(state => state.name),
+      readerCount: readerStates.length,
+      readerStates,
+      hasCard: readerStates.some(state => state.hasCard),
+      cachedProfiles: this.profiles.size,
+      trackedCounters: this.counters.size,
+      registeredUids: this.uidRegistry.size,
+      adminMode: this.adminMode,
+      debounceWindowMs: this.debouncer.windowMs,
+      logLevel: getLogLevel(),
+      payloadEncryption: this.payloadKeys.describe(),
+      watchdog: this.watchdog.describe(),
+      classicKeys: this.classicKeys.describe(),
+      currentConfig: defaultState ? defaultState.pageConfig : this.defaultPageConfig
+    };
+  }
+
+  // Without a reader name the config becomes the default for every reader
+  async setPageConfig(configName, readerName) {
+    const config = this.pageConfigs.get(configName);
+    if (config) {
+
+      const targets = readerName
+        ? [this.readers.get(readerName)].filter(Boolean)
+        : [...this.readers.values()];
+      if (readerName && targets.length === 0) {
+        return { success: false, error: `Unknown reader: ${readerName}` };
+      }
+
+      for (const state of targets) {
+        const error = this.pageConfigError(state, config);
+        if (error) {
+          return { success: false, error, code: 'CONFIG_UNSUPPORTED', reader: state.name };
+        }
+      }
+
+      if (readerName) {
+        targets[0].pageConfig = config;
+      } else {
+        this.defaultPageConfig = config;
+        this.readers.forEach(state => {
+          state.pageConfig = config;
+        });
+      }
+
+      log.info(`🔧 Switched ${readerName || 'all readers'} to ${configName}: ${config.description}`);
+      return { success: true, config, reader: readerName || null, warnings: this.pageConfigWarnings(config, targets) };
+    } else {
+      return { 
         success: false, 
-        error: 'No card present. Please place a card on the reader.' 
+        error: `Unknown config: ${configName}`,
+        availableConfigs: this.pageConfigs.names()
       };
     }
+  }
+
+  listPageConfigs() {
+    return {
+      success: true,
+      configs: this.pageConfigs.list(),
+      defaultConfig: this.defaultPageConfig.name
+    };
+  }
+
+  // A range that would reach the lock or config pages of a card on a reader
+  // is refused before it is saved; NDEF overlap is only a warning, since
+  // every raw range lies inside the NDEF data area of the smaller tags
+  async savePageConfig(config) {
+    try {
+      const validated = PageConfigStore.validate(config || {});
+      for (const state of this.readers.values()) {
+        const error = this.pageConfigError(state, validated);
+        if (error) {
+          return { success: false, error, code: 'CONFIG_UNSUPPORTED', reader: state.name };
+        }
+      }
+
+      const saved = await this.pageConfigs.set(validated);
+      this.replaceActiveConfig(saved.name, saved);
+      log.info(`💾 Saved page config ${saved.name}: ${saved.description}`);
+      return { success: true, config: saved, configs: this.pageConfigs.list(), warnings: this.pageConfigWarnings(saved, [...this.readers.values()]) };
+    } catch (error) {
+      log.error('❌ Saving page config failed:', error.message);
+      return toErrorResponse(error, 'Saving page config failed');
+    }
+  }
+
+  // Readers using a deleted config fall back to the built-in default
+  async deletePageConfig(configName) {
+    try {
+      await this.pageConfigs.delete(configName);
+      this.replaceActiveConfig(configName, this.pageConfigs.get(DEFAULT_PAGE_CONFIG));
+      log.info(`🗑️ Deleted page config ${configName}`);
+      return { success: true, configs: this.pageConfigs.list() };
+    } catch (error) {
+      log.error('❌ Deleting page config failed:', error.message);
+      return toErrorResponse(error, 'Deleting page config failed');
+    }
+  }
+
+  // Readers holding the old version of an edited config pick up the new one
+  replaceActiveConfig(configName, config) {
+    if (this.defaultPageConfig.name === configName) {
+      this.defaultPageConfig = config;
+    }
+    this.readers.forEach(state => {
+      if (state.pageConfig && state.pageConfig.name === configName) {
+        state.pageConfig = config;
+      }
+    });
+  }
+
+  // Sharing pages with the NDEF data area of a card on one of the readers
+  pageConfigWarnings(config, states) {
+    const models = new Set(states
+      .filter(state => state.tagModel && !this.isClassicCard(state))
+      .map(state => state.tagModel.key));
+
+    return [...models].flatMap(key => {
+      const layout = TAG_LAYOUTS[key];
+      const room = getNdefRoomBeforeConfig(config, layout);
+      if (room === null) return [];
+      const warning = `${config.name} shares pages with the ${layout.name} NDEF data area - NDEF messages over ${room} bytes overwrite it, and writing it corrupts them`;
+      log.warn(`⚠️ ${warning}`);
+      return [warning];
+    });
+  }
+
+  // Configs reaching past user memory would land on lock or config pages
+  pageConfigError(state, config) {
+    if (!state.tagModel || this.isClassicCard(state)) return null;
+
+    const layout = TAG_LAYOUTS[state.tagModel.key];
+    if (configFitsLayout(config, layout)) return null;
+
+    const { startPage, endPage } = getConfigPageRange(config);
+    return `${config.description} needs pages ${startPage}-${endPage}, but ${layout.name} user memory is pages ${layout.userStart}-${layout.userEnd}`;
+  }
+
+  async getCardInfo(readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    const { card } = state;
 
     try {
-      console.log(`📖 Reading from ${this.currentPageConfig.description}...`);
+      log.info('🔍 Getting card info...');
       
-      const data = await this.currentReader.read(
-        this.currentPageConfig.byteAddress,
-        this.currentPageConfig.maxDataSize
+      // Test current configuration
+      const testResult = await this.testSingleRead(state);
+      
+      return {
+        success: true,
+        reader: state.name,
+        uid: card.uid,
+        type: card.type,
+        standard: card.standard,
+        atr: card.atr ? card.atr.toString('hex') : null,
+        model: state.tagModel,
+        originality: state.originality,
+        counter: state.counter,
+        currentConfig: state.pageConfig,
+        testResult: testResult,
+        timestamp: new Date().toISOString()
+      };
+      
+    } catch (error) {
+      log.error('❌ Failed to get card info:', error.message);
+      return {
+        success: false,
+        error: `Failed to get card info: ${error.message}`
+      };
+    }
+  }
+
+  async testSingleRead(state) {
+    try {
+      log.info(`🧪 Testing read with current config: ${state.pageConfig.description}`);
+      const data = await state.reader.read(
+        state.pageConfig.pageNumber, 
+        state.pageConfig.maxDataSize
       );
       
-      const text = this.bufferToText(data);
+      return {
+        success: true,
+        dataLength: data.length,
+        hexData: data.toString('hex').toUpperCase(),
+        textData: this.bufferToText(data),
+        config: state.pageConfig
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        config: state.pageConfig
+      };
+    }
+  }
+
+  // Where readPageText/writePageText keep their text, chosen by card type
+  getTextStorage(state) {
+    if (this.isClassicCard(state)) {
+      const config = this.classicTextConfig;
+      return {
+        kind: 'classic',
+        config,
+        start: config.startBlock,
+        unitName: 'block',
+        unitSize: BLOCK_SIZE,
+        read: () => this.readClassicBlocks(state, config.startBlock, config.blockCount),
+        readUnits: (block, count) => this.readClassicBlocks(state, block, count),
+        writeUnit: (block, data) => this.writeClassicBlocks(state, block, data)
+      };
+    }
+
+    const config = state.pageConfig;
+    return {
+      kind: 'pages',
+      config,
+      start: config.pageNumber,
+      read: () => state.reader.read(config.pageNumber, config.maxDataSize),
+      ...this.pageWriteTarget(state.reader)
+    };
+  }
+
+  // Page access in the shape writeVerified expects
+  pageWriteTarget(reader) {
+    return {
+      unitName: 'page',
+      unitSize: PAGE_SIZE,
+      readUnits: (page, count) => this.readPageRange(reader, page, count),
+      writeUnit: (page, data) => reader.write(page, data)
+    };
+  }
+
+  async readPageText(readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+
+    const configError = this.pageConfigError(state, state.pageConfig);
+    if (configError) {
+      return { success: false, error: configError, code: 'CONFIG_UNSUPPORTED' };
+    }
+
+    const storage = this.getTextStorage(state);
+
+    try {
+      log.info(`📖 Reading from ${storage.config.description}...`);
+      
+      await this.authenticateCard(state, 'read');
+      
+      const data = await storage.read();
+      
+      // Encrypted cards are opened with whichever key they were issued with
+      const envelope = isEnvelope(data) ? openPayload(this.payloadKeys, data, state.card.uid) : null;
+      if (envelope && envelope.stale) {
+        log.warn(`🗝️ Card ${state.card.uid} uses key ${envelope.keyId} (current ${this.payloadKeys.currentKeyId}) - re-issue it`);
+      }
+      
+      const { text, format } = decodeText(envelope ? envelope.data : data);
       const hexData = data.toString('hex').toUpperCase();
       
-      console.log(`📖 Read successful: "${text}" (${data.length} bytes)`);
-      console.log(`📖 Hex: ${hexData}`);
+      // Card contents stay out of the logs (and diagnostics bundles)
+      log.info(`📖 Read successful: ${text.length} character(s) (${data.length} bytes, ${format}${envelope ? `, decrypted with key ${envelope.keyId}` : ''})`);
       
       return {
         success: true,
+        reader: state.name,
         text: text,
         rawHex: hexData,
         dataSize: data.length,
-        config: this.currentPageConfig,
+        config: storage.config,
         isEmpty: text.length === 0,
+        format,
+        encrypted: !!envelope,
+        keyId: envelope ? envelope.keyId : null,
+        staleKey: envelope ? envelope.stale : false,
         timestamp: new Date().toISOString()
       };
       
     } catch (error) {
-      console.error('❌ Read failed:', error.message);
-      return {
-        success: false,
-        error: `Read failed: ${error.message}`
-      };
+      // A cached profile that stopped working is dropped and the card re-probed
+      if (state.profileCached && state.card && !(error instanceof NFCError)) {
+        log.info(`🔄 Cached profile failed (${error.message}) - re-probing card...`);
+        this.profiles.delete(state.profileKey);
+        await this.testCardCompatibility(state, state.card, { reprobe: true });
+        return this.readPageText(state.name);
+      }
+      log.error('❌ Read failed:', error.message);
+      return toErrorResponse(error, 'Read failed');
     }
   }
 
-  async writePageText(text) {
-    if (!this.currentReader || !this.currentCard) {
-      return { 
-        success: false, 
-        error: 'No card present. Please place a card on the reader.' 
-      };
+  async writePageText(text, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
     }
 
     if (!text || text.trim().length === 0) {
@@ -428,113 +1297,1313 @@ class ElectronNFCHandler {
       };
     }
 
-    try {
-      console.log(`📝 Writing to ${this.currentPageConfig.description}: "${text}"`);
+    const configError = this.pageConfigError(state, state.pageConfig);
+    if (configError) {
+      return { success: false, error: configError, code: 'CONFIG_UNSUPPORTED' };
+    }
+
+    const storage = this.getTextStorage(state);
+    const { config } = storage;
 
-      // Convert text to buffer and check size
+    // Refused before anything is written: a config without room for the
+    // envelope must never end up holding the payload in plaintext
+    const encrypt = this.payloadKeys.enabled;
+    if (encrypt && config.maxDataSize <= TEXT_HEADER_SIZE + ENVELOPE_OVERHEAD) {
+      return {
+        success: false,
+        error: `${config.description} is too small for encrypted payloads (needs more than ${TEXT_HEADER_SIZE + ENVELOPE_OVERHEAD} bytes) - choose a larger storage configuration`,
+        code: 'CONFIG_TOO_SMALL_FOR_ENCRYPTION'
+      };
+    }
+
+    try {
+      // Length-prefixed UTF-8 (text-format.js); the envelope takes another
+      // ENVELOPE_OVERHEAD bytes of the storage when encryption is on
       const textBuffer = Buffer.from(text, 'utf8');
-      if (textBuffer.length > this.currentPageConfig.maxDataSize) {
+      log.info(`📝 Writing ${textBuffer.length} byte(s) of text to ${config.description}${encrypt ? ' (encrypted)' : ''}`);
+      const capacity = config.maxDataSize - TEXT_HEADER_SIZE - (encrypt ? ENVELOPE_OVERHEAD : 0);
+      if (textBuffer.length > capacity) {
         return { 
           success: false, 
-          error: `Text too long (maximum ${this.currentPageConfig.maxDataSize} bytes for ${this.currentPageConfig.description})` 
+          error: `Text too long (maximum ${capacity} bytes for ${config.description}${encrypt ? ' with encryption' : ''})`,
+          code: 'PAYLOAD_TOO_LARGE'
         };
       }
 
+      const encoded = encodeText(text);
+      const payload = encrypt ? sealPayload(this.payloadKeys, encoded, state.card.uid) : encoded;
+
       // Pad buffer to exact page size
-      const writeBuffer = Buffer.alloc(this.currentPageConfig.maxDataSize);
-      textBuffer.copy(writeBuffer);
+      const writeBuffer = Buffer.alloc(config.maxDataSize);
+      payload.copy(writeBuffer);
       
-      console.log(`📝 Writing ${writeBuffer.length} bytes: ${writeBuffer.toString('hex').toUpperCase()}`);
+      await this.authenticateCard(state, 'write');
+
+      // Every page/block is read back and compared byte for byte; a failed
+      // write is retried and then rolled back to the snapshot
+      const report = await writeVerified(storage, storage.start, writeBuffer);
+
+      log.info(`📝 Write verified ✅ (${report.written.length} written, ${report.unchanged.length} unchanged, ${report.retried.length} retried)`);
+
+      return {
+        success: true,
+        message: `Text "${text}" written successfully to ${config.description}${encrypt ? ` (encrypted with key ${this.payloadKeys.currentKeyId})` : ''}`,
+        verified: true,
+        dataSize: textBuffer.length,
+        format: TEXT_FORMATS.V1,
+        encrypted: encrypt,
+        keyId: encrypt ? this.payloadKeys.currentKeyId : null,
+        config: config,
+        hexData: writeBuffer.toString('hex').toUpperCase(),
+        unit: storage.unitName,
+        ...report,
+        timestamp: new Date().toISOString()
+      };
       
-      // Try different write methods
-      let writeSuccess = false;
-      let writeError = null;
+    } catch (error) {
+      log.error('❌ Write failed:', error.message);
+      return this.writeErrorResponse(error, 'Write failed', storage.unitName);
+    }
+  }
+
+  // Failed verified writes carry the written/retried/restored report
+  writeErrorResponse(error, prefix, unitName) {
+    const response = toErrorResponse(error, prefix);
+    return error.report
+      ? { ...response, verified: false, unit: unitName, ...error.report }
+      : response;
+  }
+
+  // Payload for the card currently on the reader - the UID never comes from
+  // the renderer, so a payload can only be made for a card that is present
+  signPayload(userId, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+
+    try {
+      const payload = signPayload(this.siteKey, userId, state.card.uid);
+      log.info(`✍️ Signed payload for user ${String(userId).trim()} on card ${state.card.uid}`);
+      return { success: true, reader: state.name, uid: state.card.uid, payload };
+    } catch (error) {
+      log.error('❌ Signing failed:', error.message);
+      return toErrorResponse(error, 'Signing failed');
+    }
+  }
+
+  // `uid` is the one from nfc-card-detected, so the check still works when
+  // the card leaves the reader right after the read
+  verifyPayload(text, uid) {
+    if (!uid) {
+      return { success: false, error: 'Card UID is required', code: 'INVALID_DATA' };
+    }
+
+    try {
+      const userId = verifyPayload(this.siteKey, text, uid);
+      return { success: true, uid, userId };
+    } catch (error) {
+      log.warn(`🚫 Payload on card ${uid} rejected: ${error.message}`);
+      return toErrorResponse(error);
+    }
+  }
+
+  // Like signPayload, the UID is taken from the card on the reader
+  async registerUid(userId, label, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+
+    try {
+      const entry = await this.uidRegistry.register(state.card.uid, userId, label);
+      if (entry.previous && entry.previous.userId !== entry.userId) {
+        log.warn(`🪪 UID ${entry.uid} moved from user ${entry.previous.userId} to ${entry.userId}`);
+      } else {
+        log.info(`🪪 Registered UID ${entry.uid} for user ${entry.userId}`);
+      }
+      return { success: true, reader: state.name, ...entry };
+    } catch (error) {
+      log.error('❌ Registering UID failed:', error.message);
+      return toErrorResponse(error, 'Registering UID failed');
+    }
+  }
+
+  lookupUid(uid) {
+    const entry = this.uidRegistry.lookup(uid);
+    if (!entry) {
+      return { success: false, uid, error: `Card ${uid} is not registered`, code: 'UID_UNKNOWN' };
+    }
+    return { success: true, ...entry };
+  }
+
+  async unregisterUid(uid) {
+    try {
+      await this.uidRegistry.unregister(uid);
+      log.info(`🗑️ Unregistered UID ${uid}`);
+      return { success: true, uid };
+    } catch (error) {
+      return toErrorResponse(error, 'Unregistering UID failed');
+    }
+  }
+
+  async readNdef(readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    const { reader } = state;
+
+    if (this.isClassicCard(state)) {
+      return { success: false, error: 'NDEF is not supported on MIFARE Classic cards', code: 'NDEF_UNSUPPORTED' };
+    }
+
+    try {
+      log.info('📖 Reading NDEF message...');
+
+      await this.authenticateCard(state, 'read');
+
+      const cc = parseCapabilityContainer(await reader.read(CC_PAGE, 4));
+      if (!cc.valid) {
+        return {
+          success: false,
+          formatted: false,
+          error: `Card is not NDEF formatted (CC: ${cc.hex})`
+        };
+      }
+
+      // Read the first 16 bytes, then only as much as the NDEF TLV needs
+      let area = await reader.read(DATA_AREA_START_PAGE, 16);
+      let parsed = parseTLVs(area);
+
+      if (!parsed.complete) {
+        const needed = Math.ceil(parsed.bytesNeeded / 4) * 4;
+        if (needed > cc.dataAreaSize) {
+          return {
+            success: false,
+            formatted: true,
+            error: `NDEF message exceeds the data area (${parsed.bytesNeeded} > ${cc.dataAreaSize} bytes)`
+          };
+        }
+        area = await reader.read(DATA_AREA_START_PAGE, needed);
+        parsed = parseTLVs(area);
+
+        // A short follow-up read must not pass for an empty tag
+        if (!parsed.complete) {
+          return {
+            success: false,
+            formatted: true,
+            error: `NDEF message is truncated (read ${area.length} of ${parsed.bytesNeeded} bytes)`,
+            code: 'NDEF_TRUNCATED'
+          };
+        }
+      }
+
+      const records = parsed.ndefMessage ? decodeMessage(parsed.ndefMessage) : [];
+      const textRecord = records.find(record => record.type === 'text');
+
+      log.info(`📖 NDEF read successful: ${records.length} record(s)`);
+
+      return {
+        success: true,
+        formatted: true,
+        capabilityContainer: cc,
+        records: records,
+        text: textRecord ? textRecord.text : '',
+        isEmpty: records.length === 0,
+        dataSize: parsed.ndefMessage ? parsed.ndefMessage.length : 0,
+        rawHex: parsed.ndefMessage ? parsed.ndefMessage.toString('hex').toUpperCase() : '',
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      log.error('❌ NDEF read failed:', error.message);
+      return toErrorResponse(error, 'NDEF read failed');
+    }
+  }
 
-      // Method 1: Direct write
+  async writeNdef(records, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    const { reader } = state;
+
+    if (this.isClassicCard(state)) {
+      return { success: false, error: 'NDEF is not supported on MIFARE Classic cards', code: 'NDEF_UNSUPPORTED' };
+    }
+
+    try {
+      // Text records are what phones read, so they cannot carry the sealed
+      // envelope - with encryption on, badges go to page storage instead
+      if (this.payloadKeys.enabled && records.some(record => record.type === 'text')) {
+        return {
+          success: false,
+          error: 'Payload encryption is on - NDEF text records would be stored in plaintext. Write the card as raw page data.',
+          code: 'ENCRYPTION_REQUIRES_PAGE_FORMAT'
+        };
+      }
+
+      let message;
       try {
-        await this.currentReader.write(
-          this.currentPageConfig.byteAddress,
-          writeBuffer,
-          writeBuffer.length
-        );
-        writeSuccess = true;
-        console.log('✅ Direct write successful');
+        message = encodeMessage(records);
       } catch (error) {
-        console.log(`❌ Direct write failed: ${error.message}`);
-        writeError = error.message;
+        return { success: false, error: error.message };
       }
 
-      // Method 2: Single page write (4 bytes at a time) if direct write failed
-      if (!writeSuccess && this.currentPageConfig.maxDataSize > 4) {
-        try {
-          console.log('🔄 Trying single page write method...');
-          const pageData = writeBuffer.slice(0, 4);
-          await this.currentReader.write(
-            this.currentPageConfig.byteAddress,
-            pageData,
-            4
-          );
-          writeSuccess = true;
-          console.log('✅ Single page write successful');
-        } catch (error) {
-          console.log(`❌ Single page write failed: ${error.message}`);
-          writeError = error.message;
+      await this.authenticateCard(state, 'write');
+
+      let cc = parseCapabilityContainer(await reader.read(CC_PAGE, 4));
+
+      // Factory-blank tags need a CC before any reader will accept the data area.
+      // The CC is one-time programmable, so a chip of unknown size is never
+      // formatted - a guessed size would stay wrong for good.
+      if (cc.blank) {
+        const layout = state.tagModel ? TAG_LAYOUTS[state.tagModel.key] : null;
+        if (!layout) {
+          return {
+            success: false,
+            error: 'Card is not formatted for NDEF and its chip model is unknown - format it with a tool that knows the chip, or write raw page data',
+            code: 'TAG_MODEL_UNKNOWN'
+          };
         }
+        log.info('🔧 Blank Capability Container - formatting card for NDEF...');
+        const ccBuffer = buildCapabilityContainer(layout.ndefDataAreaSize);
+        await reader.write(CC_PAGE, ccBuffer);
+        cc = parseCapabilityContainer(ccBuffer);
+      } else if (!cc.valid) {
+        return { success: false, error: `Card has an invalid Capability Container (${cc.hex})` };
+      }
+
+      if (!cc.writable) {
+        return { success: false, error: 'Card is NDEF read-only' };
       }
 
-      if (!writeSuccess) {
+      const tlv = buildNdefTLV(message);
+      if (tlv.length > cc.dataAreaSize) {
         return {
           success: false,
-          error: `Write failed: ${writeError}`
+          error: `NDEF message too long (${tlv.length} bytes, data area is ${cc.dataAreaSize} bytes)`
         };
       }
-      
-      // Verify the write by reading back
-      console.log('🔍 Verifying write operation...');
-      const verification = await this.readPageText();
-      const success = verification.success && verification.text.trim() === text.trim();
-      
-      console.log(`📝 Write verification: ${success ? 'Verified ✅' : 'Verification failed ❌'}`);
-      
+
+      // Writes must cover whole 4-byte pages
+      const writeBuffer = Buffer.alloc(Math.ceil(tlv.length / 4) * 4);
+      tlv.copy(writeBuffer);
+
+      log.info(`📝 Writing NDEF message (${records.length} record(s), ${message.length} bytes)`);
+      const report = await writeVerified(this.pageWriteTarget(reader), DATA_AREA_START_PAGE, writeBuffer);
+
+      log.info(`📝 NDEF write verified ✅ (${report.written.length} written, ${report.unchanged.length} unchanged, ${report.retried.length} retried)`);
+
       return {
         success: true,
-        message: `Text "${text}" written successfully to ${this.currentPageConfig.description}`,
-        verified: success,
-        dataSize: textBuffer.length,
-        config: this.currentPageConfig,
+        message: `NDEF message with ${records.length} record(s) written successfully`,
+        verified: true,
+        dataSize: message.length,
+        capabilityContainer: cc,
         hexData: writeBuffer.toString('hex').toUpperCase(),
+        unit: 'page',
+        ...report,
         timestamp: new Date().toISOString()
       };
-      
+
     } catch (error) {
-      console.error('❌ Write failed:', error.message);
+      log.error('❌ NDEF write failed:', error.message);
+      return this.writeErrorResponse(error, 'NDEF write failed', 'page');
+    }
+  }
+
+  // Read `count` pages starting at `startPage`, one 16-byte READ at a time.
+  // Tags roll over past their last page, so surplus bytes are discarded.
+  async readPageRange(reader, startPage, count) {
+    const chunks = [];
+    for (let page = startPage; page < startPage + count; page += 4) {
+      const data = await reader.read(page, 16);
+      const pagesWanted = Math.min(4, startPage + count - page);
+      chunks.push(data.slice(0, pagesWanted * PAGE_SIZE));
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // Raw page read for troubleshooting. Pages are read four at a time and a
+  // failed READ only marks its own pages, so one bad page does not hide the rest.
+  async readPages(startPage, count, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    const { reader } = state;
+
+    if (this.isClassicCard(state)) {
+      return { success: false, error: 'MIFARE Classic cards are read by block, not by page', code: 'PAGES_UNSUPPORTED' };
+    }
+
+    try {
+      const start = Number(startPage);
+      const total = Number(count);
+      const layout = await this.getCardLayout(state);
+      const lastPage = layout ? layout.totalPages - 1 : 0xFF;
+
+      if (!Number.isInteger(start) || !Number.isInteger(total) || start < 0 || total < 1 || start + total - 1 > lastPage) {
+        throw new NFCError(`Page range must be within pages 0-${lastPage}`, 'INVALID_RANGE');
+      }
+
+      await this.authenticateCard(state, 'read');
+
+      log.info(`📖 Reading pages ${start}-${start + total - 1}...`);
+
+      const pages = [];
+      for (let page = start; page < start + total; page += 4) {
+        const pagesWanted = Math.min(4, start + total - page);
+        let data = null;
+        let readError = null;
+        try {
+          data = await reader.read(page, 16);
+        } catch (error) {
+          readError = error.message;
+        }
+
+        for (let i = 0; i < pagesWanted; i++) {
+          const entry = { page: page + i, role: layout ? getPageRole(layout, page + i) : null };
+          if (data) {
+            entry.success = true;
+            entry.hex = data.slice(i * PAGE_SIZE, (i + 1) * PAGE_SIZE).toString('hex').toUpperCase();
+          } else {
+            entry.success = false;
+            entry.error = readError;
+          }
+          pages.push(entry);
+        }
+      }
+
+      const failed = pages.filter(entry => !entry.success).length;
+
       return {
-        success: false,
-        error: `Write failed: ${error.message}`
+        success: failed === 0,
+        error: failed > 0 ? `${failed} page(s) could not be read` : undefined,
+        tagType: layout ? layout.name : 'Unknown',
+        pages,
+        timestamp: new Date().toISOString()
       };
+
+    } catch (error) {
+      log.error('❌ Page read failed:', error.message);
+      return toErrorResponse(error, 'Page read failed');
     }
   }
 
-  bufferToText(buffer) {
+  // Raw page write. UID, CC, lock, config and reserved pages are refused
+  // unless `options.override` is set - nothing is written when any page in
+  // the range is refused.
+  async writePages(startPage, hexData, options = {}, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    const { reader } = state;
+
+    if (this.isClassicCard(state)) {
+      return { success: false, error: 'MIFARE Classic cards are written by block, not by page', code: 'PAGES_UNSUPPORTED' };
+    }
+
     try {
-      if (!buffer || buffer.length === 0) return '';
-      
-      let result = '';
-      for (let i = 0; i < buffer.length; i++) {
-        const byte = buffer[i];
-        
-        // Only include printable ASCII characters
-        if (byte >= 32 && byte <= 126) {
-          result += String.fromCharCode(byte);
-        } else if (byte === 0) {
-          // Stop at null terminator
-          break;
-        }
+      const clean = String(hexData || '').replace(/\s+/g, '');
+      if (!clean || !/^([0-9a-fA-F]{8})+$/.test(clean)) {
+        throw new NFCError('Data must be whole pages of hex (8 hex characters per page)', 'INVALID_DATA');
       }
-      
-      return result.trim();
+      const data = Buffer.from(clean, 'hex');
+      const start = Number(startPage);
+      const total = data.length / PAGE_SIZE;
+
+      const layout = await this.getCardLayout(state);
+      if (!layout) {
+        return { success: false, error: 'Cannot determine tag model or size' };
+      }
+      if (!Number.isInteger(start) || start < 0 || start + total > layout.totalPages) {
+        throw new NFCError(`Page range must be within pages 0-${layout.totalPages - 1}`, 'INVALID_RANGE');
+      }
+
+      const pages = [];
+      for (let i = 0; i < total; i++) {
+        const page = start + i;
+        const role = getPageRole(layout, page);
+        pages.push({
+          page,
+          role,
+          hex: data.slice(i * PAGE_SIZE, (i + 1) * PAGE_SIZE).toString('hex').toUpperCase(),
+          guarded: isProtectedPage(layout, page) || role === 'cc'
+        });
+      }
+
+      const guarded = pages.filter(entry => entry.guarded);
+      if (guarded.length > 0 && !options.override) {
+        return {
+          success: false,
+          error: `Refusing to write ${guarded.map(entry => `page ${entry.page} (${entry.role})`).join(', ')} without override`,
+          code: 'PROTECTED_PAGE',
+          pages: pages.map(entry => ({ ...entry, success: false, skipped: true }))
+        };
+      }
+
+      await this.authenticateCard(state, 'write');
+
+      log.info(`📝 Writing pages ${start}-${start + total - 1}${guarded.length > 0 ? ' (override)' : ''}...`);
+
+      for (const entry of pages) {
+        try {
+          await reader.write(entry.page, Buffer.from(entry.hex, 'hex'));
+          entry.success = true;
+        } catch (error) {
+          log.info(`❌ Write of page ${entry.page} failed: ${error.message}`);
+          entry.success = false;
+          entry.error = error.message;
+        }
+      }
+
+      const failed = pages.filter(entry => !entry.success).length;
+
+      return {
+        success: failed === 0,
+        error: failed > 0 ? `${failed} page(s) could not be written` : undefined,
+        tagType: layout.name,
+        pages,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      log.error('❌ Page write failed:', error.message);
+      return toErrorResponse(error, 'Page write failed');
+    }
+  }
+
+  async dumpTag(readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    const { reader, card } = state;
+
+    try {
+      log.info('💾 Dumping tag memory...');
+
+      await this.authenticateCard(state, 'read');
+
+      const layout = await this.getCardLayout(state);
+      if (!layout) {
+        return {
+          success: false,
+          error: 'Cannot determine tag model or size'
+        };
+      }
+
+      const memory = await this.readPageRange(reader, 0, layout.totalPages);
+      const pages = [];
+      for (let page = 0; page < layout.totalPages; page++) {
+        pages.push({
+          page,
+          role: getPageRole(layout, page),
+          hex: memory.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE).toString('hex').toUpperCase()
+        });
+      }
+
+      log.info(`💾 Dumped ${pages.length} pages from ${layout.name}`);
+
+      return {
+        success: true,
+        dump: {
+          format: 'nfc-tag-dump',
+          version: 1,
+          uid: card.uid,
+          atr: card.atr ? card.atr.toString('hex') : null,
+          type: card.type,
+          standard: card.standard,
+          tagType: layout.name,
+          layoutKey: layout.key,
+          pageCount: pages.length,
+          createdAt: new Date().toISOString(),
+          pages
+        }
+      };
+
+    } catch (error) {
+      log.error('❌ Dump failed:', error.message);
+      return toErrorResponse(error, 'Dump failed');
+    }
+  }
+
+  async saveDump(dump) {
+    if (!dump || dump.format !== 'nfc-tag-dump') {
+      return { success: false, error: 'Nothing to save - dump the card first' };
+    }
+
+    try {
+      const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.getFocusedWindow(), {
+        title: 'Save Card Dump',
+        defaultPath: `card-${dump.uid}-${dump.createdAt.slice(0, 10)}.json`,
+        filters: [{ name: 'Card Dump', extensions: ['json'] }]
+      });
+
+      if (canceled || !filePath) {
+        return { success: false, canceled: true, error: 'Save cancelled' };
+      }
+
+      await fs.promises.writeFile(filePath, JSON.stringify(dump, null, 2), 'utf8');
+      log.info(`💾 Dump saved to ${filePath}`);
+
+      return { success: true, filePath };
+
+    } catch (error) {
+      log.error('❌ Saving dump failed:', error.message);
+      return {
+        success: false,
+        error: `Saving dump failed: ${error.message}`
+      };
+    }
+  }
+
+  async pickDumpFile() {
+    try {
+      const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.getFocusedWindow(), {
+        title: 'Open Card Dump',
+        properties: ['openFile'],
+        filters: [{ name: 'Card Dump', extensions: ['json'] }]
+      });
+
+      if (canceled || filePaths.length === 0) {
+        return { success: false, canceled: true, error: 'Restore cancelled' };
+      }
+
+      const dump = JSON.parse(await fs.promises.readFile(filePaths[0], 'utf8'));
+      if (dump.format !== 'nfc-tag-dump' || !Array.isArray(dump.pages)) {
+        return { success: false, error: 'Selected file is not a card dump' };
+      }
+
+      return { success: true, dump, filePath: filePaths[0] };
+
+    } catch (error) {
+      log.error('❌ Opening dump failed:', error.message);
+      return toErrorResponse(error, 'Opening dump failed');
+    }
+  }
+
+  async previewRestore({ dump, filePath }, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    const { reader, card } = state;
+
+    try {
+      await this.authenticateCard(state, 'read');
+
+      let layout = await this.getCardLayout(state);
+      if (!layout && TAG_LAYOUTS[dump.layoutKey]) {
+        // Unidentified, unformatted target - assume it is the same chip as the source
+        layout = { key: dump.layoutKey, ...TAG_LAYOUTS[dump.layoutKey] };
+      }
+      if (!layout) {
+        return { success: false, error: 'Cannot determine target tag model or size' };
+      }
+
+      const current = await this.readPageRange(reader, 0, layout.totalPages);
+
+      const diff = planRestore(layout, dump.pages, current);
+
+      const userMemory = current.slice(layout.userStart * PAGE_SIZE, (layout.userEnd + 1) * PAGE_SIZE);
+      const targetBlank = userMemory.every(byte => byte === 0);
+
+      state.pendingRestore = {
+        uid: card.uid,
+        targetBlank,
+        pages: diff.filter(entry => entry.action === 'write')
+      };
+
+      log.info(`♻️ Restore preview: ${state.pendingRestore.pages.length} page(s) to write onto ${card.uid}`);
+
+      return {
+        success: true,
+        filePath,
+        sourceUid: dump.uid,
+        targetUid: card.uid,
+        tagType: layout.name,
+        targetBlank,
+        diff,
+        summary: {
+          write: diff.filter(entry => entry.action === 'write').length,
+          same: diff.filter(entry => entry.action === 'same').length,
+          skip: diff.filter(entry => entry.action === 'skip').length
+        }
+      };
+
+    } catch (error) {
+      log.error('❌ Restore preview failed:', error.message);
+      return toErrorResponse(error, 'Restore preview failed');
+    }
+  }
+
+  // A restore is meant for blank cards - overwriting one that holds data
+  // takes { override: true } after the preview showed it is not blank
+  async commitRestore({ override = false } = {}, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    const { reader, card } = state;
+
+    if (!state.pendingRestore) {
+      return { success: false, error: 'No restore has been previewed' };
+    }
+
+    if (state.pendingRestore.uid !== card.uid) {
+      return { success: false, error: 'A different card is on the reader - preview the restore again' };
+    }
+
+    if (!state.pendingRestore.targetBlank && !override) {
+      return {
+        success: false,
+        error: 'Target card is not blank - confirm overwriting its user data to restore onto it',
+        code: 'TARGET_NOT_BLANK'
+      };
+    }
+
+    const { pages } = state.pendingRestore;
+    state.pendingRestore = null;
+
+    try {
+      await this.authenticateCard(state, 'write');
+    } catch (error) {
+      return toErrorResponse(error, 'Restore failed');
+    }
+
+    const written = [];
+    const failed = [];
+
+    log.info(`♻️ Restoring ${pages.length} page(s)...`);
+
+    for (const { page, target } of pages) {
+      try {
+        await reader.write(page, Buffer.from(target, 'hex'));
+        written.push(page);
+      } catch (error) {
+        log.error(`❌ Restore of page ${page} failed: ${error.message}`);
+        failed.push({ page, error: error.message });
+      }
+    }
+
+    log.info(`♻️ Restore finished: ${written.length} written, ${failed.length} failed`);
+
+    return {
+      success: failed.length === 0,
+      error: failed.length > 0 ? `${failed.length} page(s) could not be restored` : undefined,
+      written,
+      failed,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Applies to the card on the reader; the password follows that card's UID
+  async setPasswordConfig(config, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    const uid = normalizeUid(state.card.uid);
+
+    try {
+      if (!config) {
+        await this.cardPasswords.delete(uid);
+        log.info(`🔓 Card password cleared for ${uid}`);
+        return { success: true, passwordSet: false, uid };
+      }
+
+      const password = {
+        pwd: this.parseHexBytes(config.pwd, 4, 'PWD'),
+        pack: this.parseHexBytes(config.pack, 2, 'PACK'),
+        mode: config.mode === 'readwrite' ? 'readwrite' : 'write'
+      };
+      await this.cardPasswords.set(uid, password);
+      log.info(`🔐 Card password set for ${uid} (${password.mode} protection)`);
+      return { success: true, passwordSet: true, mode: password.mode, uid };
+    } catch (error) {
+      return toErrorResponse(error);
+    }
+  }
+
+  getCardPassword(state) {
+    return state.card ? this.cardPasswords.get(state.card.uid) : null;
+  }
+
+  parseHexBytes(hex, length, name) {
+    const clean = String(hex || '').replace(/\s+/g, '');
+    if (!new RegExp(`^[0-9a-fA-F]{${length * 2}}$`).test(clean)) {
+      throw new Error(`${name} must be ${length * 2} hex characters`);
+    }
+    return Buffer.from(clean, 'hex');
+  }
+
+  // The model detected on tap, or the CC size when the chip was not identified.
+  // MIFARE Classic has no page layout.
+  async getCardLayout(state) {
+    if (this.isClassicCard(state)) return null;
+    if (state.tagModel) {
+      return { key: state.tagModel.key, ...TAG_LAYOUTS[state.tagModel.key] };
+    }
+    const cc = parseCapabilityContainer(await state.reader.read(CC_PAGE, 4));
+    return layoutFromCapabilityContainer(cc);
+  }
+
+  // Run PWD_AUTH before an access the configured protection mode covers.
+  // Write-only protection leaves the config pages readable, so writes first
+  // check AUTH0 and skip authentication on cards that are not protected.
+  async authenticateCard(state, access) {
+    const { reader } = state;
+    const password = this.getCardPassword(state);
+    if (!password || this.isClassicCard(state)) return false;
+    if (access === 'read' && password.mode !== 'readwrite') return false;
+
+    if (password.mode === 'write') {
+      const layout = await this.getCardLayout(state);
+      if (!layout || layout.cfg0Page === undefined) return false;
+
+      const cfg0 = await reader.read(layout.cfg0Page, 4);
+      if (cfg0[3] >= layout.totalPages) return false;
+    }
+
+    log.info('🔐 Authenticating with card password...');
+    let pack;
+    try {
+      pack = await pwdAuth(reader, password.pwd);
+    } catch (error) {
+      // A wrong password is NAKed like any other command
+      await this.reselectAfterNak(state, 'PWD_AUTH');
+      throw error;
+    }
+
+    if (!pack.equals(password.pack)) {
+      throw new AuthenticationError(`Card answered with unexpected PACK ${pack.toString('hex').toUpperCase()}`);
+    }
+
+    log.info('✅ Card password accepted');
+    return true;
+  }
+
+  async protectCard(options = {}, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    const { reader } = state;
+
+    try {
+      const pwd = this.parseHexBytes(options.pwd, 4, 'PWD');
+      const pack = this.parseHexBytes(options.pack, 2, 'PACK');
+      const mode = options.mode === 'readwrite' ? 'readwrite' : 'write';
+
+      const layout = await this.getCardLayout(state);
+      if (!layout || layout.cfg0Page === undefined) {
+        return { success: false, error: 'This card does not support NTAG21x password protection' };
+      }
+
+      const auth0 = options.auth0 === undefined ? layout.userStart : Number(options.auth0);
+      if (!Number.isInteger(auth0) || auth0 < layout.userStart || auth0 > 0xFF) {
+        return { success: false, error: `AUTH0 must be a page number from ${layout.userStart} to 255` };
+      }
+
+      // Re-protecting an already protected card needs the current password
+      await this.authenticateCard(state, 'write');
+
+      log.info(`🔐 Protecting card from page ${auth0} (${mode} protection)...`);
+
+      const cfg0 = await reader.read(layout.cfg0Page, 4);
+      const cfg1 = await reader.read(layout.cfg1Page, 4);
+
+      // ACCESS bit 7 (PROT): 0 = write access protected, 1 = read and write protected
+      const access = mode === 'readwrite' ? cfg1[0] | 0x80 : cfg1[0] & 0x7F;
+
+      await reader.write(layout.pwdPage, pwd);
+      await reader.write(layout.packPage, Buffer.from([pack[0], pack[1], 0x00, 0x00]));
+      await reader.write(layout.cfg1Page, Buffer.from([access, cfg1[1], cfg1[2], cfg1[3]]));
+      // AUTH0 goes last - protection is active as soon as it is written
+      await reader.write(layout.cfg0Page, Buffer.from([cfg0[0], cfg0[1], cfg0[2], auth0]));
+
+      // The card is protected now - a password that did not reach the disk
+      // is reported, not treated as a failed protect
+      let warning;
+      try {
+        await this.cardPasswords.set(state.card.uid, { pwd, pack, mode });
+      } catch (error) {
+        warning = `${error.message} - re-enter this card's password after the app restarts`;
+      }
+
+      log.info('✅ Card password protection enabled');
+
+      return {
+        success: true,
+        message: `Card protected from page ${auth0} (${mode === 'readwrite' ? 'read and write' : 'write only'})`,
+        warning,
+        auth0,
+        mode,
+        tagType: layout.name,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      log.error('❌ Protect card failed:', error.message);
+      return toErrorResponse(error, 'Protect card failed');
+    }
+  }
+
+  async unprotectCard(readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    const { reader } = state;
+
+    try {
+      const layout = await this.getCardLayout(state);
+      if (!layout || layout.cfg0Page === undefined) {
+        return { success: false, error: 'This card does not support NTAG21x password protection' };
+      }
+
+      await this.authenticateCard(state, 'write');
+
+      const cfg0 = await reader.read(layout.cfg0Page, 4);
+      const cfg1 = await reader.read(layout.cfg1Page, 4);
+
+      await reader.write(layout.cfg0Page, Buffer.from([cfg0[0], cfg0[1], cfg0[2], 0xFF]));
+      await reader.write(layout.cfg1Page, Buffer.from([cfg1[0] & 0x7F, cfg1[1], cfg1[2], cfg1[3]]));
+      log.info('🔓 Card password protection disabled');
+      // The card no longer asks for it - a stale saved entry is only logged
+      await this.cardPasswords.delete(state.card.uid).catch(() => {});
+
+      return {
+        success: true,
+        message: 'Card password protection removed',
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      log.error('❌ Unprotect card failed:', error.message);
+      return toErrorResponse(error, 'Unprotect card failed');
+    }
+  }
+
+  async enableCounter(readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    const { reader } = state;
+
+    try {
+      const layout = await this.getCardLayout(state);
+      if (!layout || layout.family !== 'NTAG21x') {
+        return { success: false, error: 'Only NTAG213/215/216 cards have an NFC counter', code: 'COUNTER_UNSUPPORTED' };
+      }
+
+      await this.authenticateCard(state, 'write');
+
+      // ACCESS bit 4 (NFC_CNT_EN): count the first READ of every tap
+      const cfg1 = await reader.read(layout.cfg1Page, 4);
+      if (cfg1[0] & 0x10) {
+        return { success: true, alreadyEnabled: true, message: 'NFC counter already enabled' };
+      }
+
+      await reader.write(layout.cfg1Page, Buffer.from([cfg1[0] | 0x10, cfg1[1], cfg1[2], cfg1[3]]));
+
+      const readBack = await reader.read(layout.cfg1Page, 4);
+      if (!(readBack[0] & 0x10)) {
+        return { success: false, error: 'NFC_CNT_EN did not read back as set', code: 'WRITE_VERIFY_FAILED' };
+      }
+
+      log.info('🔢 NFC counter enabled');
+
+      return {
+        success: true,
+        alreadyEnabled: false,
+        message: 'NFC counter enabled',
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      log.error('❌ Enable counter failed:', error.message);
+      return toErrorResponse(error, 'Enable counter failed');
+    }
+  }
+
+  // Sends an APDU or reader pseudo-APDU as-is. `responseLength` is the
+  // buffer PC/SC may fill, status word included.
+  async transmit(hexData, responseLength = 258, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+
+    try {
+      const clean = String(hexData || '').replace(/\s+/g, '');
+      if (!/^([0-9a-fA-F]{2}){4,}$/.test(clean)) {
+        throw new NFCError('APDU must be at least 4 bytes of hex', 'INVALID_DATA');
+      }
+      const maxLength = Number(responseLength);
+      if (!Number.isInteger(maxLength) || maxLength < 2 || maxLength > 65538) {
+        throw new NFCError('Response length must be between 2 and 65538 bytes', 'INVALID_DATA');
+      }
+
+      const command = Buffer.from(clean, 'hex');
+      // Only the header and status word are logged - data in either direction
+      // can be card contents
+      log.info(`🧾 APDU > ${command.subarray(0, 4).toString('hex').toUpperCase()} (${command.length} bytes)`);
+
+      const startedAt = Date.now();
+      const response = await state.reader.transmit(command, maxLength);
+      const durationMs = Date.now() - startedAt;
+
+      log.info(`🧾 APDU < ${response.length} bytes, SW ${response.subarray(-2).toString('hex').toUpperCase()} (${durationMs}ms)`);
+
+      const result = {
+        success: true,
+        reader: state.name,
+        command: command.toString('hex').toUpperCase(),
+        response: response.toString('hex').toUpperCase(),
+        durationMs,
+        timestamp: new Date().toISOString()
+      };
+
+      if (response.length >= 2) {
+        const sw = response.readUInt16BE(response.length - 2);
+        result.data = response.slice(0, -2).toString('hex').toUpperCase();
+        result.sw = sw.toString(16).toUpperCase().padStart(4, '0');
+        result.statusText = describeStatusWord(sw);
+      }
+
+      // Tunnelled tag command: D5 43 <status> <tag answer> SW1 SW2
+      if (response.length >= 5 && response[0] === 0xD5 && response[1] === 0x43) {
+        result.tagStatus = response[2];
+        result.tagStatusText = describeTunnelStatus(response[2]);
+      }
+
+      return result;
+
+    } catch (error) {
+      log.error('❌ Transmit failed:', error.message);
+      return toErrorResponse(error, 'Transmit failed');
+    }
+  }
+
+  // `{ whole: true }` selects the user area, otherwise startPage-endPage.
+  // Page 3 (the CC) may be included - locking it is how NFC Forum cards are
+  // made read-only.
+  resolveLockRange(layout, range = {}) {
+    const startPage = range.whole ? layout.userStart : Number(range.startPage);
+    const endPage = range.whole ? layout.userEnd : Number(range.endPage);
+
+    if (!Number.isInteger(startPage) || !Number.isInteger(endPage) ||
+        startPage < CC_PAGE || endPage > layout.userEnd || startPage > endPage) {
+      throw new NFCError(`Lock range must be within pages ${CC_PAGE}-${layout.userEnd}`, 'INVALID_RANGE');
+    }
+    return { startPage, endPage };
+  }
+
+  async readLockPages(reader, groups) {
+    const lockPages = {};
+    for (const page of new Set(groups.map(group => group.lockPage))) {
+      lockPages[page] = await reader.read(page, 4);
+    }
+    return lockPages;
+  }
+
+  describeLockGroups(groups, lockPages) {
+    return groups.map(group => ({
+      firstPage: group.firstPage,
+      lastPage: group.lastPage,
+      lockPage: group.lockPage,
+      locked: isGroupLocked(group, lockPages)
+    }));
+  }
+
+  async getLockState(range, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    const { reader } = state;
+
+    try {
+      const layout = await this.getCardLayout(state);
+      if (!layout) {
+        return { success: false, error: 'Lock bits are only available on NFC Forum Type 2 cards', code: 'LOCK_UNSUPPORTED' };
+      }
+
+      await this.authenticateCard(state, 'read');
+
+      const groups = getLockGroups(layout);
+      const lockPages = await this.readLockPages(reader, groups);
+      const described = this.describeLockGroups(groups, lockPages);
+
+      const result = {
+        success: true,
+        tagType: layout.name,
+        userStart: layout.userStart,
+        userEnd: layout.userEnd,
+        groups: described,
+        lockedPages: described.filter(group => group.locked).flatMap(group => pageList(group)),
+        lockBytes: Object.fromEntries(Object.entries(lockPages)
+          .map(([page, data]) => [page, data.toString('hex').toUpperCase()]))
+      };
+
+      if (range) {
+        const { startPage, endPage } = this.resolveLockRange(layout, range);
+        const plan = planLock(layout, startPage, endPage);
+        result.plan = {
+          startPage,
+          endPage,
+          groups: this.describeLockGroups(plan.groups, lockPages),
+          pages: plan.groups.flatMap(group => pageList(group)),
+          uncovered: plan.uncovered
+        };
+      }
+
+      return result;
+
+    } catch (error) {
+      log.error('❌ Lock state read failed:', error.message);
+      return toErrorResponse(error, 'Lock state read failed');
+    }
+  }
+
+  // Sets static/dynamic lock bits for the requested pages, then reads the
+  // lock bytes back. Lock bits can only go from 0 to 1, so existing locks are
+  // OR-ed in and never cleared.
+  async lockTag(options = {}, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    const { reader } = state;
+
+    if (options.confirm !== 'LOCK') {
+      return { success: false, error: 'Locking is permanent - type LOCK to confirm', code: 'CONFIRMATION_REQUIRED' };
+    }
+
+    try {
+      const layout = await this.getCardLayout(state);
+      if (!layout) {
+        return { success: false, error: 'Lock bits are only available on NFC Forum Type 2 cards', code: 'LOCK_UNSUPPORTED' };
+      }
+
+      const { startPage, endPage } = this.resolveLockRange(layout, options);
+      const plan = planLock(layout, startPage, endPage);
+      if (plan.uncovered.length > 0) {
+        return {
+          success: false,
+          error: `${layout.name} has no lock bits for pages ${plan.uncovered[0]}-${plan.uncovered[plan.uncovered.length - 1]}`,
+          code: 'LOCK_UNSUPPORTED'
+        };
+      }
+
+      // The dynamic lock page may sit behind AUTH0
+      await this.authenticateCard(state, 'write');
+
+      const lockPages = await this.readLockPages(reader, plan.groups);
+
+      log.info(`🔒 Locking pages ${startPage}-${endPage} on ${layout.name}...`);
+
+      for (const [page, current] of Object.entries(lockPages)) {
+        const updated = Buffer.from(current);
+        plan.groups
+          .filter(group => group.lockPage === Number(page))
+          .forEach(group => { updated[group.byte] |= 1 << group.bit; });
+
+        if (Number(page) === layout.dynamicLockPage) updated[3] = 0x00; // RFUI
+        if (updated.equals(current)) continue;
+
+        log.info(`🔒 Page ${page}: ${current.toString('hex').toUpperCase()} -> ${updated.toString('hex').toUpperCase()}`);
+        await reader.write(Number(page), updated);
+      }
+
+      log.info('🔍 Verifying lock bits...');
+      const readBack = await this.readLockPages(reader, plan.groups);
+      const groups = this.describeLockGroups(plan.groups, readBack);
+      const failed = groups.filter(group => !group.locked);
+      const verified = failed.length === 0;
+
+      log.info(`🔒 Lock verification: ${verified ? 'Verified ✅' : 'Verification failed ❌'}`);
+
+      const lockedPages = groups.filter(group => group.locked).flatMap(group => pageList(group));
+
+      if (!verified) {
+        return {
+          success: false,
+          error: `Lock bits not set for ${failed.map(group => `pages ${group.firstPage}-${group.lastPage}`).join(', ')}`,
+          code: 'LOCK_VERIFY_FAILED',
+          verified,
+          lockedPages,
+          groups
+        };
+      }
+
+      return {
+        success: true,
+        message: `Pages ${startPage}-${endPage} are now permanently read-only`,
+        verified,
+        tagType: layout.name,
+        lockedPages,
+        groups,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      log.error('❌ Lock tag failed:', error.message);
+      return toErrorResponse(error, 'Lock tag failed');
+    }
+  }
+
+  // Dev panel actions only exist on the simulator backend
+  simulatorAction(action) {
+    const { simulator } = this.backend;
+    if (!simulator) {
+      return { success: false, error: 'Simulator backend is not active', code: 'SIMULATOR_INACTIVE' };
+    }
+
+    try {
+      const result = action(simulator);
+      return { success: true, result: result ?? null, simulator: simulator.describe() };
+    } catch (error) {
+      return toErrorResponse(error);
+    }
+  }
+
+  isClassicCard(state) {
+    return !!state.tagModel && state.tagModel.storage === 'classic';
+  }
+
+  setClassicKey(config) {
+    try {
+      if (!config) {
+        this.classicKeys.clear();
+        log.info('🔑 MIFARE Classic keys reset to factory default');
+      } else {
+        this.classicKeys.setKey(config);
+        log.info(`🔑 MIFARE Classic key ${config.keyType || 'A'} set for ${config.sector ?? 'all sectors'}`);
+      }
+      return { success: true, keys: this.classicKeys.describe() };
+    } catch (error) {
+      return toErrorResponse(error);
+    }
+  }
+
+  async authenticateClassicSector(state, sector) {
+    const { keyType, key } = this.classicKeys.getKey(sector);
+    try {
+      await state.reader.authenticate(trailerBlockOfSector(sector), keyType, key);
+    } catch (error) {
+      throw new AuthenticationError(`Sector ${sector} rejected key ${keyType === KEY_TYPE_B ? 'B' : 'A'}: ${error.message}`);
+    }
+  }
+
+  // Read `count` blocks from `startBlock`, authenticating each sector once
+  async readClassicBlocks(state, startBlock, count, options = {}) {
+    const layout = CLASSIC_LAYOUTS[state.tagModel.key];
+    for (let block = startBlock; block < startBlock + count; block++) {
+      assertBlockAccess(layout, block, options);
+    }
+
+    const chunks = [];
+    let sector = null;
+    for (let block = startBlock; block < startBlock + count; block++) {
+      if (sectorOfBlock(block) !== sector) {
+        sector = sectorOfBlock(block);
+        await this.authenticateClassicSector(state, sector);
+      }
+      chunks.push(await state.reader.read(block, BLOCK_SIZE, BLOCK_SIZE));
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async writeClassicBlocks(state, startBlock, data, options = {}) {
+    if (data.length === 0 || data.length % BLOCK_SIZE !== 0) {
+      throw new NFCError(`Data must be a multiple of ${BLOCK_SIZE} bytes`, 'INVALID_DATA');
+    }
+
+    const layout = CLASSIC_LAYOUTS[state.tagModel.key];
+    const count = data.length / BLOCK_SIZE;
+    for (let block = startBlock; block < startBlock + count; block++) {
+      assertBlockAccess(layout, block, { ...options, write: true });
+    }
+
+    let sector = null;
+    for (let i = 0; i < count; i++) {
+      const block = startBlock + i;
+      if (sectorOfBlock(block) !== sector) {
+        sector = sectorOfBlock(block);
+        await this.authenticateClassicSector(state, sector);
+      }
+      await state.reader.write(block, data.slice(i * BLOCK_SIZE, (i + 1) * BLOCK_SIZE), BLOCK_SIZE);
+    }
+  }
+
+  async readClassicBlock(block, options = {}, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    if (!this.isClassicCard(state)) {
+      return { success: false, error: 'Card is not a MIFARE Classic card', code: 'UNSUPPORTED_CARD' };
+    }
+
+    try {
+      const data = await this.readClassicBlocks(state, block, 1, options);
+      // Block contents stay out of the log - they can hold badge text or an envelope
+      log.info(`📖 Block ${block} read (sector ${sectorOfBlock(block)})`);
+      return {
+        success: true,
+        reader: state.name,
+        block,
+        sector: sectorOfBlock(block),
+        hex: data.toString('hex').toUpperCase(),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      log.error(`❌ Block ${block} read failed:`, error.message);
+      return toErrorResponse(error, 'Block read failed');
+    }
+  }
+
+  async writeClassicBlock(block, hex, options = {}, readerName) {
+    const state = this.getReaderState(readerName);
+    if (!state || !state.card) {
+      return this.noCardResponse(readerName);
+    }
+    if (!this.isClassicCard(state)) {
+      return { success: false, error: 'Card is not a MIFARE Classic card', code: 'UNSUPPORTED_CARD' };
+    }
+
+    try {
+      const data = this.parseHexBytes(hex, BLOCK_SIZE, 'Block data');
+      await this.writeClassicBlocks(state, block, data, options);
+      log.info(`📝 Block ${block} written (sector ${sectorOfBlock(block)})`);
+      return {
+        success: true,
+        reader: state.name,
+        block,
+        sector: sectorOfBlock(block),
+        hex: data.toString('hex').toUpperCase(),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      log.error(`❌ Block ${block} write failed:`, error.message);
+      return toErrorResponse(error, 'Block write failed');
+    }
+  }
+
+  // Text only, for diagnostics - an unreadable format shows as empty
+  bufferToText(buffer) {
+    try {
+      return decodeText(buffer).text;
     } catch (error) {
-      console.error('Error converting buffer to text:', error);
+      log.error('Error converting buffer to text:', error);
       return '';
     }
   }
@@ -547,8 +2616,8 @@ class ElectronNFCHandler {
   }
 
   shutdown() {
-    console.log('🛑 Shutting down NFC Handler...');
-    this.isInitialized = false;
+    log.info('🛑 Shutting down NFC Handler...');
+    this.stop({ final: true });
   }
 }
 
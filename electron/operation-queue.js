@@ -0,0 +1,114 @@
+import { OperationCancelledError, OperationTimeoutError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('queue');
+
+// Runs one reader transaction at a time. PC/SC happily accepts APDUs from
+// several callers at once, but a multi-step operation (auth + read, read +
+// verify...) falls apart when another caller's commands land in between.
+
+export const PRIORITY = {
+  HIGH: 0,   // identifying a freshly tapped card
+  NORMAL: 1, // reads and writes requested by the UI
+  LOW: 2     // diagnostics and bulk reads
+};
+
+export const DEFAULT_TIMEOUT = 5000;
+
+export class OperationQueue {
+  constructor(name, { defaultTimeout = DEFAULT_TIMEOUT } = {}) {
+    this.name = name;
+    this.defaultTimeout = defaultTimeout;
+    this.pending = [];
+    this.current = null;
+  }
+
+  // Resolves with the operation's result. `timeout` of 0 disables the limit.
+  enqueue(label, fn, { priority = PRIORITY.NORMAL, timeout = this.defaultTimeout } = {}) {
+    return new Promise((resolve, reject) => {
+      const operation = { label, fn, priority, timeout, resolve, reject, settled: false };
+
+      // First-come first-served within a priority
+      const index = this.pending.findIndex(queued => queued.priority > priority);
+      if (index === -1) {
+        this.pending.push(operation);
+      } else {
+        this.pending.splice(index, 0, operation);
+      }
+
+      this.runNext();
+    });
+  }
+
+  async runNext() {
+    if (this.current || this.pending.length === 0) return;
+
+    const operation = this.pending.shift();
+    this.current = operation;
+
+    let finished = false;
+    const work = Promise.resolve().then(() => operation.fn());
+    work.then(() => { finished = true; }, () => { finished = true; });
+
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      if (operation.timeout > 0) {
+        timer = setTimeout(() => {
+          reject(new OperationTimeoutError(`${operation.label} timed out after ${operation.timeout}ms`));
+        }, operation.timeout);
+      }
+    });
+
+    try {
+      this.settle(operation, null, await Promise.race([work, timeout]));
+    } catch (error) {
+      this.settle(operation, error);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // A timed-out or cancelled command may still be on the wire - give it
+    // one more timeout period to finish before the next one starts
+    if (!finished) {
+      await Promise.race([
+        work.catch(() => {}),
+        new Promise(resolve => setTimeout(resolve, operation.timeout || this.defaultTimeout))
+      ]);
+    }
+
+    this.current = null;
+    this.runNext();
+  }
+
+  settle(operation, error, result) {
+    if (operation.settled) return;
+    operation.settled = true;
+    if (error) {
+      operation.reject(error);
+    } else {
+      operation.resolve(result);
+    }
+  }
+
+  // Reject everything queued plus the running operation's caller
+  cancelAll(reason) {
+    const cancelled = this.pending.splice(0);
+    if (this.current) cancelled.push(this.current);
+
+    cancelled.forEach(operation => {
+      this.settle(operation, new OperationCancelledError(`${operation.label} cancelled: ${reason}`));
+    });
+
+    if (cancelled.length > 0) {
+      log.info(`🚫 Cancelled ${cancelled.length} operation(s) on ${this.name}: ${reason}`);
+    }
+    return cancelled.length;
+  }
+
+  describe() {
+    return {
+      running: this.current ? this.current.label : null,
+      pending: this.pending.length
+    };
+  }
+}
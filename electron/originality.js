@@ -0,0 +1,115 @@
+// NXP originality signature check. NTAG21x and Ultralight EV1 chips carry a
+// 32-byte ECDSA signature (r || s) over their 7-byte UID, made on secp128r1
+// with NXP's private key and no hashing. A clone can copy the UID and memory
+// but not produce a valid signature for a new UID.
+
+const hex = (value) => BigInt(`0x${value}`);
+
+export const CURVE = {
+  p: hex('FFFFFFFDFFFFFFFFFFFFFFFFFFFFFFFF'),
+  a: hex('FFFFFFFDFFFFFFFFFFFFFFFFFFFFFFFC'),
+  b: hex('E87579C11079F43DD824993C2CEE5ED3'),
+  n: hex('FFFFFFFE0000000075A30D1B9038A115'),
+  G: {
+    x: hex('161FF7528B899B2D0C28607CA52C5B86'),
+    y: hex('CF5AC8395BAFEB13C02DA292DDED7A83')
+  }
+};
+
+// Keyed by tag-layout family
+export const ORIGINALITY_KEYS = {
+  'NTAG21x': {
+    name: 'NXP NTAG21x',
+    publicKey: '04494E1A386D3D3CFE3DC10E5DE68A499B1C202DB5B132393E89ED19FE5BE8BC61'
+  },
+  'Ultralight EV1': {
+    name: 'NXP Ultralight EV1',
+    publicKey: '0490933BDCD6E99B4E255E3DA55389A827564E11718E017292FAF23226A96614B8'
+  }
+};
+
+export const SIGNATURE_LENGTH = 32;
+
+const mod = (value, modulus) => {
+  const result = value % modulus;
+  return result >= 0n ? result : result + modulus;
+};
+
+export function modInverse(value, modulus) {
+  let [oldR, r] = [mod(value, modulus), modulus];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const quotient = oldR / r;
+    [oldR, r] = [r, oldR - quotient * r];
+    [oldS, s] = [s, oldS - quotient * s];
+  }
+  if (oldR !== 1n) throw new Error('Value is not invertible');
+  return mod(oldS, modulus);
+}
+
+// Affine point arithmetic; null is the point at infinity
+function pointAdd(P, Q) {
+  const { p, a } = CURVE;
+  if (!P) return Q;
+  if (!Q) return P;
+  if (P.x === Q.x && mod(P.y + Q.y, p) === 0n) return null;
+
+  const slope = P.x === Q.x
+    ? mod((3n * P.x * P.x + a) * modInverse(2n * P.y, p), p)
+    : mod((Q.y - P.y) * modInverse(Q.x - P.x, p), p);
+  const x = mod(slope * slope - P.x - Q.x, p);
+  return { x, y: mod(slope * (P.x - x) - P.y, p) };
+}
+
+export function pointMultiply(k, P) {
+  let result = null;
+  let addend = P;
+  for (let scalar = k; scalar > 0n; scalar >>= 1n) {
+    if (scalar & 1n) result = pointAdd(result, addend);
+    addend = pointAdd(addend, addend);
+  }
+  return result;
+}
+
+export function bufferToBigInt(buffer) {
+  return buffer.length === 0 ? 0n : BigInt(`0x${buffer.toString('hex')}`);
+}
+
+function parsePublicKey(publicKey) {
+  const bytes = Buffer.from(publicKey, 'hex');
+  if (bytes.length !== 33 || bytes[0] !== 0x04) {
+    throw new Error('Public key must be an uncompressed secp128r1 point');
+  }
+  return { x: bufferToBigInt(bytes.slice(1, 17)), y: bufferToBigInt(bytes.slice(17)) };
+}
+
+export function verifySignature(message, signature, publicKey) {
+  const { n, G } = CURVE;
+  if (signature.length !== SIGNATURE_LENGTH) return false;
+
+  const r = bufferToBigInt(signature.slice(0, 16));
+  const s = bufferToBigInt(signature.slice(16));
+  if (r <= 0n || r >= n || s <= 0n || s >= n) return false;
+
+  const e = bufferToBigInt(message);
+  const w = modInverse(s, n);
+  const point = pointAdd(
+    pointMultiply(mod(e * w, n), G),
+    pointMultiply(mod(r * w, n), parsePublicKey(publicKey))
+  );
+  return point !== null && mod(point.x, n) === r;
+}
+
+// status: 'genuine' | 'not-genuine' | 'unsupported'. `extraKeys` lets a
+// backend vouch for its own cards (the simulator signs with a test key).
+export function checkOriginality(uid, signature, family, extraKeys = {}) {
+  const keys = [ORIGINALITY_KEYS[family], extraKeys[family]].filter(Boolean);
+  if (keys.length === 0) {
+    return { status: 'unsupported', family };
+  }
+
+  const key = keys.find(candidate => verifySignature(uid, signature, candidate.publicKey));
+  return key
+    ? { status: 'genuine', family, key: key.name }
+    : { status: 'not-genuine', family };
+}
@@ -0,0 +1,175 @@
+import { NFCError } from './errors.js';
+import { JsonFile } from './json-file.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('page-configs');
+
+// Page configurations for readPageText / writePageText. The built-ins are
+// fixed; user configs are added or replaced by name and persisted as JSON.
+//
+// `pageNumber` is the first page of the range - what reader.read()/write()
+// receive - for built-ins and user configs alike. The built-in names date
+// from an older scheme that counted in 4-byte units; their ranges were kept
+// so cards written by older versions stay readable, and their descriptions
+// give the pages they really use.
+
+export const BUILTIN_PAGE_CONFIGS = {
+  'PAGE_4': {
+    pageNumber: 16,
+    maxDataSize: 16,
+    description: 'Pages 16-19 - 16 bytes simple storage'
+  },
+  'PAGE_5': {
+    pageNumber: 20,
+    maxDataSize: 16,
+    description: 'Pages 20-23 - 16 bytes simple storage'
+  },
+  'PAGE_6': {
+    pageNumber: 24,
+    maxDataSize: 16,
+    description: 'Pages 24-27 - 16 bytes simple storage'
+  },
+  'PAGE_7': {
+    pageNumber: 28,
+    maxDataSize: 16,
+    description: 'Pages 28-31 - 16 bytes simple storage'
+  },
+  'PAGE_4_SINGLE': {
+    pageNumber: 16,
+    maxDataSize: 4,
+    description: 'Page 16 single mode - 4 bytes'
+  },
+  'PAGE_5_SINGLE': {
+    pageNumber: 20,
+    maxDataSize: 4,
+    description: 'Page 20 single mode - 4 bytes'
+  },
+  'MULTI_PAGE_BLOCK': {
+    pageNumber: 16,
+    maxDataSize: 64, // Four 16-byte READs
+    description: 'Pages 16-31 - 64 bytes multi-page block'
+  }
+};
+
+export const DEFAULT_PAGE_CONFIG = 'PAGE_4';
+
+const NAME_PATTERN = /^[A-Z0-9_]{1,32}$/;
+const MAX_PAGE = 255;
+const MAX_DATA_SIZE = 512;
+
+const withName = (name, config, builtIn) => ({ name, ...config, builtIn });
+
+export class PageConfigStore {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath, { label: 'page configs' });
+    this.configs = new Map(Object.entries(BUILTIN_PAGE_CONFIGS).map(([name, config]) => [name, withName(name, config, true)]));
+    this.load();
+  }
+
+  load() {
+    const data = this.file.read();
+    if (!data) return;
+
+    let loaded = 0;
+    Object.entries(data.configs || {}).forEach(([name, config]) => {
+      const existing = this.configs.get(String(name).trim().toUpperCase());
+      if (existing && existing.builtIn) {
+        log.warn(`⚠️ Skipping page config ${name}: a built-in config has that name`);
+        return;
+      }
+      try {
+        this.configs.set(name, PageConfigStore.validate({ ...config, name }));
+        loaded++;
+      } catch (error) {
+        log.warn(`⚠️ Skipping page config ${name}: ${error.message}`);
+      }
+    });
+    log.info(`📂 Loaded ${loaded} user page config(s)`);
+  }
+
+  save() {
+    const userConfigs = [...this.configs.values()]
+      .filter(config => !config.builtIn)
+      .map(({ name, pageNumber, maxDataSize, description }) => [name, { pageNumber, maxDataSize, description }]);
+    return this.file.write({ version: 1, configs: Object.fromEntries(userConfigs) });
+  }
+
+  // Applies a change and saves it, undoing the change when the save fails
+  async commit(name, config) {
+    const previous = this.configs.get(name);
+    if (config) {
+      this.configs.set(name, config);
+    } else {
+      this.configs.delete(name);
+    }
+
+    try {
+      await this.save();
+    } catch (error) {
+      if (previous) {
+        this.configs.set(name, previous);
+      } else {
+        this.configs.delete(name);
+      }
+      throw error;
+    }
+  }
+
+  static validate(config) {
+    const name = String(config.name || '').trim().toUpperCase();
+    if (!NAME_PATTERN.test(name)) {
+      throw new NFCError('Config name must be 1-32 letters, digits or underscores', 'INVALID_CONFIG');
+    }
+
+    const pageNumber = Number(config.pageNumber);
+    if (!Number.isInteger(pageNumber) || pageNumber < 4 || pageNumber > MAX_PAGE) {
+      throw new NFCError(`Start page must be between 4 and ${MAX_PAGE}`, 'INVALID_CONFIG');
+    }
+
+    const maxDataSize = Number(config.maxDataSize);
+    if (!Number.isInteger(maxDataSize) || maxDataSize < 4 || maxDataSize > MAX_DATA_SIZE || maxDataSize % 4 !== 0) {
+      throw new NFCError(`Size must be a multiple of 4 between 4 and ${MAX_DATA_SIZE} bytes`, 'INVALID_CONFIG');
+    }
+
+    const description = String(config.description || '').trim() ||
+      `Pages ${pageNumber}-${pageNumber + maxDataSize / 4 - 1} - ${maxDataSize} bytes`;
+
+    return withName(name, { pageNumber, maxDataSize, description }, false);
+  }
+
+  // Adds or replaces a user config; built-ins cannot be overwritten
+  async set(config) {
+    const validated = PageConfigStore.validate(config);
+    const existing = this.configs.get(validated.name);
+    if (existing && existing.builtIn) {
+      throw new NFCError(`${validated.name} is a built-in config and cannot be changed`, 'CONFIG_READ_ONLY');
+    }
+
+    await this.commit(validated.name, validated);
+    return validated;
+  }
+
+  async delete(name) {
+    const existing = this.configs.get(name);
+    if (!existing) {
+      throw new NFCError(`Unknown config: ${name}`, 'INVALID_CONFIG');
+    }
+    if (existing.builtIn) {
+      throw new NFCError(`${name} is a built-in config and cannot be deleted`, 'CONFIG_READ_ONLY');
+    }
+
+    await this.commit(name, null);
+  }
+
+  get(name) {
+    return this.configs.get(name) || null;
+  }
+
+  names() {
+    return [...this.configs.keys()];
+  }
+
+  list() {
+    return [...this.configs.values()];
+  }
+}
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { NFCError } from './errors.js';
+import { JsonFile } from './json-file.js';
+import { normalizeUid } from './uid.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('payload-keys');
+
+// Optional AES-256-GCM envelope for page-text payloads:
+//
+//   FE | keyId | IV (12) | tag (16) | length | ciphertext
+//
+// 0xFE never occurs in UTF-8 text, so an envelope cannot be mistaken for a
+// plaintext payload. The card UID is bound in as additional data, so an
+// envelope copied to another card fails to open.
+//
+// Only page-text payloads are sealed. NDEF text records stay readable by
+// phones, so the handler refuses to write badges as NDEF while encryption is on.
+//
+// Keys live in a keyring file in the main process. Rotating adds a key and
+// makes it current; older keys stay so cards issued with them still read.
+// Every desk of a site needs the same keyring - copy the file when rotating.
+
+export const ENVELOPE_MAGIC = 0xFE;
+export const ENVELOPE_OVERHEAD = 31;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const MAX_KEY_ID = 255;
+
+export class PayloadKeyring {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath, { label: 'payload keys', mode: 0o600 });
+    this.enabled = false;
+    this.currentKeyId = null;
+    this.keys = new Map();
+    this.load();
+  }
+
+  load() {
+    const data = this.file.read();
+    if (!data) return;
+
+    Object.entries(data.keys || {}).forEach(([id, entry]) => {
+      this.keys.set(Number(id), { key: Buffer.from(entry.key, 'hex'), createdAt: entry.createdAt });
+    });
+    this.currentKeyId = this.keys.has(data.currentKeyId) ? data.currentKeyId : null;
+    this.enabled = !!data.enabled && this.currentKeyId !== null;
+    log.info(`🗝️ Loaded ${this.keys.size} payload key(s)${this.enabled ? `, encrypting with key ${this.currentKeyId}` : ''}`);
+  }
+
+  save({ enabled, currentKeyId, keys } = this) {
+    return this.file.write({
+      version: 1,
+      enabled,
+      currentKeyId,
+      keys: Object.fromEntries([...keys].map(([id, entry]) => [id, { key: entry.key.toString('hex'), createdAt: entry.createdAt }]))
+    });
+  }
+
+  // A card written with a key that was never saved could not be read again,
+  // so a change only takes effect once the keyring with it is on disk. When
+  // the save fails the keyring stays as it was and the error is thrown.
+  async commit(changes) {
+    const next = { enabled: this.enabled, currentKeyId: this.currentKeyId, keys: this.keys, ...changes };
+    await this.save(next);
+    Object.assign(this, next);
+  }
+
+  async rotate() {
+    const keyId = this.keys.size === 0 ? 1 : Math.max(...this.keys.keys()) + 1;
+    if (keyId > MAX_KEY_ID) {
+      throw new NFCError(`Key IDs are exhausted (maximum ${MAX_KEY_ID})`, 'KEYRING_FULL');
+    }
+
+    const keys = new Map(this.keys).set(keyId, { key: crypto.randomBytes(KEY_LENGTH), createdAt: new Date().toISOString() });
+    await this.commit({ keys, currentKeyId: keyId });
+    log.info(`🗝️ Payload key rotated - new cards use key ${keyId}`);
+    return keyId;
+  }
+
+  async setEnabled(enabled) {
+    if (enabled && this.currentKeyId === null) {
+      await this.rotate();
+    }
+    await this.commit({ enabled: !!enabled });
+  }
+
+  get(keyId) {
+    const entry = this.keys.get(keyId);
+    return entry ? entry.key : null;
+  }
+
+  describe() {
+    return {
+      enabled: this.enabled,
+      currentKeyId: this.currentKeyId,
+      keyIds: [...this.keys.keys()]
+    };
+  }
+}
+
+const additionalData = (keyId, uid) =>
+  Buffer.concat([Buffer.from([keyId]), Buffer.from(normalizeUid(uid), 'hex')]);
+
+export function isEnvelope(buffer) {
+  return buffer.length >= ENVELOPE_OVERHEAD && buffer[0] === ENVELOPE_MAGIC;
+}
+
+export function sealPayload(keyring, plaintext, uid) {
+  const keyId = keyring.currentKeyId;
+  const key = keyring.get(keyId);
+  if (!key) {
+    throw new NFCError('No payload key configured', 'PAYLOAD_KEY_UNKNOWN');
+  }
+  if (plaintext.length > 255) {
+    throw new NFCError('Payload too long to encrypt (maximum 255 bytes)', 'INVALID_DATA');
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv, { authTagLength: TAG_LENGTH });
+  cipher.setAAD(additionalData(keyId, uid));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return Buffer.concat([
+    Buffer.from([ENVELOPE_MAGIC, keyId]),
+    iv,
+    cipher.getAuthTag(),
+    Buffer.from([ciphertext.length]),
+    ciphertext
+  ]);
+}
+
+// Returns { data, keyId, stale } - stale when the card predates the current key
+export function openPayload(keyring, buffer, uid) {
+  const keyId = buffer[1];
+  const key = keyring.get(keyId);
+  if (!key) {
+    throw new NFCError(`Card was encrypted with unknown key ${keyId}`, 'PAYLOAD_KEY_UNKNOWN');
+  }
+
+  const iv = buffer.subarray(2, 2 + IV_LENGTH);
+  const tag = buffer.subarray(2 + IV_LENGTH, 2 + IV_LENGTH + TAG_LENGTH);
+  const length = buffer[ENVELOPE_OVERHEAD - 1];
+  const ciphertext = buffer.subarray(ENVELOPE_OVERHEAD, ENVELOPE_OVERHEAD + length);
+  if (ciphertext.length !== length) {
+    throw new NFCError('Encrypted payload is truncated', 'PAYLOAD_DECRYPT_FAILED');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv, { authTagLength: TAG_LENGTH });
+    decipher.setAAD(additionalData(keyId, uid));
+    decipher.setAuthTag(tag);
+    const data = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    return { data, keyId, stale: keyId !== keyring.currentKeyId };
+  } catch {
+    throw new NFCError('Encrypted payload failed authentication - it was altered or copied from another card', 'PAYLOAD_DECRYPT_FAILED');
+  }
+}
@@ -8,10 +8,75 @@ contextBridge.exposeInMainWorld('nfcAPI', {
   getNFCStatus: () => ipcRenderer.invoke('nfc-status'),
   
   // Single page operations
-  readPageText: () => ipcRenderer.invoke('nfc-read-page-text'),
-  writePageText: (text) => ipcRenderer.invoke('nfc-write-page-text', text),
-  getCardInfo: () => ipcRenderer.invoke('nfc-get-card-info'),
-  setPageConfig: (configName) => ipcRenderer.invoke('nfc-set-page-config', configName),
+  // Every card operation takes an optional reader name; without one the
+  // reader that most recently detected a card is used
+  readPageText: (readerName) => ipcRenderer.invoke('nfc-read-page-text', readerName),
+  writePageText: (text, readerName) => ipcRenderer.invoke('nfc-write-page-text', text, readerName),
+  getCardInfo: (readerName) => ipcRenderer.invoke('nfc-get-card-info', readerName),
+  setPageConfig: (configName, readerName) => ipcRenderer.invoke('nfc-set-page-config', configName, readerName),
+  
+  // Page config registry: { name, pageNumber, maxDataSize, description } - built-ins are read-only
+  listPageConfigs: () => ipcRenderer.invoke('nfc-list-page-configs'),
+  savePageConfig: (config) => ipcRenderer.invoke('nfc-save-page-config', config),
+  deletePageConfig: (configName) => ipcRenderer.invoke('nfc-delete-page-config', configName),
+  
+  // Signed badges: "<userId>.<mac>" bound to the card's UID
+  signPayload: (userId, readerName) => ipcRenderer.invoke('nfc-sign-payload', userId, readerName),
+  verifyPayload: (text, uid) => ipcRenderer.invoke('nfc-verify-payload', text, uid),
+  
+  // UID-only attendance: card UID → user ID, nothing is written to the card
+  registerUid: (userId, label, readerName) => ipcRenderer.invoke('nfc-register-uid', userId, label, readerName),
+  lookupUid: (uid) => ipcRenderer.invoke('nfc-lookup-uid', uid),
+  unregisterUid: (uid) => ipcRenderer.invoke('nfc-unregister-uid', uid),
+  
+  // AES envelope for page text - older keys keep working after a rotation
+  setPayloadEncryption: (enabled) => ipcRenderer.invoke('nfc-set-payload-encryption', enabled),
+  rotatePayloadKey: () => ipcRenderer.invoke('nfc-rotate-payload-key'),
+  
+  // Repeat taps of a UID within windowMs arrive as onCardRepeat instead of onCardDetected
+  setDebounce: (windowMs) => ipcRenderer.invoke('nfc-set-debounce', windowMs),
+  
+  // NDEF operations (phone-readable cards)
+  readNDEF: (readerName) => ipcRenderer.invoke('nfc-read-ndef', readerName),
+  writeNDEF: (records, readerName) => ipcRenderer.invoke('nfc-write-ndef', records, readerName),
+  
+  // Backup & restore
+  dumpTag: (readerName) => ipcRenderer.invoke('nfc-dump-tag', readerName),
+  saveDump: (dump) => ipcRenderer.invoke('nfc-save-dump', dump),
+  previewRestore: (readerName) => ipcRenderer.invoke('nfc-restore-preview', readerName),
+  commitRestore: (options, readerName) => ipcRenderer.invoke('nfc-restore-commit', options, readerName),
+  
+  // Zip of the main-process logs, nfc-status output and the given activity log
+  saveDiagnostics: (activityLog) => ipcRenderer.invoke('nfc-save-diagnostics', activityLog),
+  
+  // NTAG21x password protection and NFC counter
+  setPassword: (config, readerName) => ipcRenderer.invoke('nfc-set-password', config, readerName),
+  protectCard: (options, readerName) => ipcRenderer.invoke('nfc-protect-card', options, readerName),
+  unprotectCard: (readerName) => ipcRenderer.invoke('nfc-unprotect-card', readerName),
+  enableCounter: (readerName) => ipcRenderer.invoke('nfc-enable-counter', readerName),
+  
+  // Raw page access and permanent locking
+  readPages: (startPage, count, readerName) => ipcRenderer.invoke('nfc-read-pages', startPage, count, readerName),
+  writePages: (startPage, hexData, options, readerName) => ipcRenderer.invoke('nfc-write-pages', startPage, hexData, options, readerName),
+  getLockState: (range, readerName) => ipcRenderer.invoke('nfc-lock-state', range, readerName),
+  lockTag: (options, readerName) => ipcRenderer.invoke('nfc-lock-tag', options, readerName),
+  
+  // Raw APDUs and reader pseudo-APDUs - main refuses them outside admin mode
+  transmit: (hexData, responseLength, readerName) => ipcRenderer.invoke('nfc-transmit', hexData, responseLength, readerName),
+  
+  // MIFARE Classic - sector trailers are refused unless options.allowSectorTrailer is set
+  setClassicKey: (config) => ipcRenderer.invoke('nfc-set-classic-key', config),
+  readClassicBlock: (block, options, readerName) => ipcRenderer.invoke('nfc-classic-read-block', block, options, readerName),
+  writeClassicBlock: (block, hex, options, readerName) => ipcRenderer.invoke('nfc-classic-write-block', block, hex, options, readerName),
+  
+  // Simulator backend (NFC_BACKEND=simulator) - virtual readers and cards
+  simGetState: () => ipcRenderer.invoke('nfc-sim-state'),
+  simAddReader: (name) => ipcRenderer.invoke('nfc-sim-add-reader', name),
+  simRemoveReader: (name) => ipcRenderer.invoke('nfc-sim-remove-reader', name),
+  simTap: (readerName, spec) => ipcRenderer.invoke('nfc-sim-tap', readerName, spec),
+  simRemoveCard: (readerName) => ipcRenderer.invoke('nfc-sim-remove-card', readerName),
+  simConfigureCard: (uid, options) => ipcRenderer.invoke('nfc-sim-configure-card', uid, options),
+  simForgetCard: (uid) => ipcRenderer.invoke('nfc-sim-forget-card', uid),
   
   // Event listeners
   onCardDetected: (callback) => {
@@ -20,12 +85,42 @@ contextBridge.exposeInMainWorld('nfcAPI', {
     return () => ipcRenderer.removeListener('nfc-card-detected', handler);
   },
   
+  onCardRepeat: (callback) => {
+    const handler = (event, data) => callback(data);
+    ipcRenderer.on('nfc-card-repeat', handler);
+    return () => ipcRenderer.removeListener('nfc-card-repeat', handler);
+  },
+  
   onCardRemoved: (callback) => {
     const handler = (event, data) => callback(data);
     ipcRenderer.on('nfc-card-removed', handler);
     return () => ipcRenderer.removeListener('nfc-card-removed', handler);
   },
   
+  onSuspectedClone: (callback) => {
+    const handler = (event, data) => callback(data);
+    ipcRenderer.on('nfc-suspected-clone', handler);
+    return () => ipcRenderer.removeListener('nfc-suspected-clone', handler);
+  },
+  
+  onReaderConnected: (callback) => {
+    const handler = (event, data) => callback(data);
+    ipcRenderer.on('nfc-reader-connected', handler);
+    return () => ipcRenderer.removeListener('nfc-reader-connected', handler);
+  },
+  
+  onReaderDisconnected: (callback) => {
+    const handler = (event, data) => callback(data);
+    ipcRenderer.on('nfc-reader-disconnected', handler);
+    return () => ipcRenderer.removeListener('nfc-reader-disconnected', handler);
+  },
+  
+  onReaderRecovery: (callback) => {
+    const handler = (event, data) => callback(data);
+    ipcRenderer.on('nfc-reader-recovery', handler);
+    return () => ipcRenderer.removeListener('nfc-reader-recovery', handler);
+  },
+  
   onNFCError: (callback) => {
     const handler = (event, data) => callback(data);
     ipcRenderer.on('nfc-error', handler);
@@ -35,34 +130,69 @@ contextBridge.exposeInMainWorld('nfcAPI', {
   // Remove listeners (cleanup)
   removeAllListeners: () => {
     ipcRenderer.removeAllListeners('nfc-card-detected');
+    ipcRenderer.removeAllListeners('nfc-card-repeat');
     ipcRenderer.removeAllListeners('nfc-card-removed');
+    ipcRenderer.removeAllListeners('nfc-suspected-clone');
+    ipcRenderer.removeAllListeners('nfc-reader-connected');
+    ipcRenderer.removeAllListeners('nfc-reader-disconnected');
+    ipcRenderer.removeAllListeners('nfc-reader-recovery');
     ipcRenderer.removeAllListeners('nfc-error');
   }
 });
 
+// The sandboxed preload cannot import text-format.js, so its rules are
+// repeated here - test/preload.test.js checks both sides agree
+const TEXT_FORMAT_VERSION = 1;
+const TEXT_HEADER_SIZE = 2;
+const MAX_TEXT_LENGTH = 255;
+const LAST_RESERVED_VERSION = 0x1F;
+const ENVELOPE_OVERHEAD = 31;
+
 // Expose utilities for single-page data conversion
 contextBridge.exposeInMainWorld('nfcUtils', {
-  // Convert text to hex for writing
+  // Convert text to hex for writing - same on-card format as writePageText:
+  // version byte (01), length byte, UTF-8 bytes
   textToHex: (text) => {
     try {
-      return Array.from(text)
-        .map(char => char.charCodeAt(0).toString(16).padStart(2, '0'))
+      const bytes = new TextEncoder().encode(text);
+      if (bytes.length > MAX_TEXT_LENGTH) return '';
+      return [TEXT_FORMAT_VERSION, bytes.length, ...bytes]
+        .map(byte => byte.toString(16).padStart(2, '0'))
         .join('');
     } catch (error) {
       return '';
     }
   },
   
-  // Convert hex to text for reading
+  // Convert hex to text for reading - the versioned format, or legacy text
+  // up to the first null (UTF-8 when it decodes, printable ASCII otherwise).
+  // Truncated text and reserved versions (02-1F) read as empty.
   hexToText: (hex) => {
     try {
-      const bytes = hex.match(/.{2}/g);
-      if (!bytes) return '';
-      return bytes
-        .map(byte => parseInt(byte, 16))
-        .filter(byte => byte >= 32 && byte <= 126) // Only printable ASCII
+      const bytes = (hex.replace(/\s+/g, '').match(/.{2}/g) || []).map(byte => parseInt(byte, 16));
+      if (bytes.length === 0 || bytes[0] === 0) return '';
+      
+      const decoder = new TextDecoder('utf-8', { fatal: true });
+      if (bytes[0] === TEXT_FORMAT_VERSION) {
+        const text = bytes.slice(TEXT_HEADER_SIZE, TEXT_HEADER_SIZE + bytes[1]);
+        return text.length === bytes[1] ? decoder.decode(new Uint8Array(text)) : '';
+      }
+      if (bytes[0] <= LAST_RESERVED_VERSION) return '';
+      
+      const end = bytes.indexOf(0);
+      const legacy = end === -1 ? bytes : bytes.slice(0, end);
+      if (!legacy.some(byte => byte < 32 || byte === 127)) {
+        try {
+          return decoder.decode(new Uint8Array(legacy)).trim();
+        } catch {
+          // Not UTF-8 - fall back to printable ASCII
+        }
+      }
+      return legacy
+        .filter(byte => byte >= 32 && byte <= 126)
         .map(byte => String.fromCharCode(byte))
-        .join('');
+        .join('')
+        .trim();
     } catch (error) {
       return '';
     }
@@ -77,57 +207,24 @@ contextBridge.exposeInMainWorld('nfcUtils', {
     }
   },
   
-  // Validate text input for single page storage
-  validateText: (text, maxSize = 16) => {
-    if (!text) return { valid: false, error: 'Text cannot be empty' };
+  // Validate text for a page config of maxDataSize bytes, the way
+  // writePageText does: the 2-byte header (and the envelope when encrypted)
+  // comes out of the config's size
+  validateText: (text, maxDataSize = 16, { encrypted = false } = {}) => {
+    if (!text || text.trim().length === 0) return { valid: false, error: 'Text cannot be empty' };
     
-    const textBytes = Buffer.from(text, 'utf8').length;
+    const textBytes = new TextEncoder().encode(text).length;
+    const capacity = Math.min(maxDataSize - TEXT_HEADER_SIZE - (encrypted ? ENVELOPE_OVERHEAD : 0), MAX_TEXT_LENGTH);
     
-    if (textBytes > maxSize) {
+    if (textBytes > capacity) {
       return { 
         valid: false, 
-        error: `Text too long (${textBytes} bytes, max ${maxSize} bytes)` 
+        error: `Text too long (${textBytes} bytes, max ${Math.max(capacity, 0)} bytes)` 
       };
     }
     return { valid: true, byteLength: textBytes };
   },
   
-  // Get page configuration options
-  getPageConfigs: () => {
-    return {
-      'PAGE_4': {
-        name: 'Page 4 (Single)',
-        maxSize: 4,
-        description: '4 bytes - Employee ID or short code'
-      },
-      'PAGE_5': {
-        name: 'Page 5 (Single)', 
-        maxSize: 4,
-        description: '4 bytes - Alternative page'
-      },
-      'PAGE_6': {
-        name: 'Page 6 (Single)',
-        maxSize: 4, 
-        description: '4 bytes - Alternative page'
-      },
-      'PAGE_7': {
-        name: 'Page 7 (Single)',
-        maxSize: 4,
-        description: '4 bytes - Alternative page'
-      },
-      'PAGE_4_EXTENDED': {
-        name: 'Page 4 (Extended)',
-        maxSize: 16,
-        description: '16 bytes - Longer text or JSON data'
-      },
-      'MULTI_PAGE_BLOCK': {
-        name: 'Multi-Page Block',
-        maxSize: 64,
-        description: '64 bytes - Maximum data if supported'
-      }
-    };
-  },
-
   // Check if text looks like employee ID
   isEmployeeID: (text) => {
     return /^\d+$/.test(text.trim());
@@ -0,0 +1,66 @@
+import { JsonFile } from './json-file.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('profiles');
+
+// Compatibility profiles for chips GET_VERSION and the CC could not
+// identify, persisted as JSON so such a chip only has to be probed once per
+// installation. Identified models never need trial reads, so they have no
+// profile.
+//
+// All Type 2 tags share one PC/SC ATR, so the key adds what the chip did
+// answer: "<ATR>|<GET_VERSION bytes>|<CC data area size>".
+
+const PROFILE_FORMAT = 2;
+
+export class ProfileCache {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath, { label: 'compatibility profiles' });
+    this.profiles = new Map();
+    this.load();
+  }
+
+  // version - GET_VERSION response or null, cc - parsed Capability Container or null
+  static keyFor(card, { version = null, cc = null } = {}) {
+    const atr = card.atr ? card.atr.toString('hex') : 'no-atr';
+    const versionPart = version ? version.toString('hex') : 'no-version';
+    const ccPart = cc && cc.valid ? `cc${cc.dataAreaSize}` : 'no-cc';
+    return `${atr}|${versionPart}|${ccPart}`;
+  }
+
+  load() {
+    const data = this.file.read();
+    if (!data) return;
+
+    // Older files were keyed by ATR alone, which every Type 2 tag shares
+    if (data.version !== PROFILE_FORMAT) {
+      log.info('🗑️ Discarding compatibility profiles from an older format');
+      return;
+    }
+    Object.entries(data.profiles || {}).forEach(([key, profile]) => this.profiles.set(key, profile));
+    log.info(`📂 Loaded ${this.profiles.size} compatibility profile(s)`);
+  }
+
+  // Profiles only save a re-probe, so callers do not wait - a failed save is
+  // logged by JsonFile and the chip is probed again next time
+  save() {
+    return this.file.write({ version: PROFILE_FORMAT, profiles: Object.fromEntries(this.profiles) });
+  }
+
+  get(key) {
+    return this.profiles.get(key) || null;
+  }
+
+  set(key, profile) {
+    this.profiles.set(key, { ...profile, updatedAt: new Date().toISOString() });
+    this.save().catch(() => {});
+  }
+
+  delete(key) {
+    if (this.profiles.delete(key)) this.save().catch(() => {});
+  }
+
+  get size() {
+    return this.profiles.size;
+  }
+}
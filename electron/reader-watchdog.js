@@ -0,0 +1,105 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('watchdog');
+
+// Keeps the handler attached to PC/SC. nfc-pcsc goes quiet for good when
+// its context dies - the PC/SC service restarted, or (on Windows) stopped
+// because the last reader was unplugged - so a lost context is replaced by
+// a fresh NFC instance, retrying with exponential backoff:
+//
+//   'context-error'  the NFC instance emitted 'error' - always recreate
+//   'no-readers'     no reader attached - recreate unless one has appeared
+//
+// While no reader is attached the watchdog keeps checking every
+// RECOVERY_MAX_DELAY, so a reader plugged in later is picked up.
+
+export const RECOVERY_BASE_DELAY = 2000;
+export const RECOVERY_MAX_DELAY = 30000;
+
+export function recoveryDelay(attempt, baseDelay = RECOVERY_BASE_DELAY, maxDelay = RECOVERY_MAX_DELAY) {
+  return Math.min(baseDelay * 2 ** attempt, maxDelay);
+}
+
+export class ReaderWatchdog {
+  // hooks: { restart(reason), hasReaders(), isRunning(), onChange(state)? }
+  constructor(hooks, { baseDelay = RECOVERY_BASE_DELAY, maxDelay = RECOVERY_MAX_DELAY } = {}) {
+    this.hooks = hooks;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.timer = null;
+    this.attempt = 0;
+    this.reason = null;
+    this.nextRetryAt = null;
+    this.lastError = null;
+  }
+
+  // A pending 'no-readers' check is upgraded when the context itself fails
+  trigger(reason) {
+    if (this.timer) {
+      if (reason === 'context-error') this.reason = reason;
+      return;
+    }
+
+    this.reason = reason;
+    const delay = recoveryDelay(this.attempt, this.baseDelay, this.maxDelay);
+    this.nextRetryAt = Date.now() + delay;
+    this.timer = setTimeout(() => this.fire(), delay);
+    this.notify();
+  }
+
+  fire() {
+    this.timer = null;
+    this.nextRetryAt = null;
+    if (!this.hooks.isRunning()) return;
+
+    if (this.reason === 'no-readers' && this.hooks.hasReaders()) {
+      this.reset();
+      return;
+    }
+
+    this.attempt += 1;
+    log.warn(`🩹 Recovering NFC (${this.reason}), attempt ${this.attempt}...`);
+    try {
+      this.hooks.restart(this.reason);
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      log.error('❌ Recreating NFC instance failed:', error.message);
+    }
+
+    // Readers arrive asynchronously - check again after the next delay
+    this.trigger('no-readers');
+  }
+
+  readerConnected() {
+    if (this.attempt > 0) {
+      log.info(`✅ NFC recovered after ${this.attempt} attempt(s)`);
+    }
+    this.reset();
+  }
+
+  reset() {
+    const wasRecovering = this.describe().recovering;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.attempt = 0;
+    this.reason = null;
+    this.nextRetryAt = null;
+    this.lastError = null;
+    if (wasRecovering) this.notify();
+  }
+
+  notify() {
+    if (this.hooks.onChange) this.hooks.onChange(this.describe());
+  }
+
+  describe() {
+    return {
+      recovering: this.timer !== null && (this.attempt > 0 || this.reason === 'context-error'),
+      reason: this.reason,
+      attempt: this.attempt,
+      nextRetryAt: this.nextRetryAt ? new Date(this.nextRetryAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
@@ -0,0 +1,46 @@
+// Human-readable ISO 7816 / PC/SC status words and PN53x InCommunicateThru
+// status bytes, for the raw APDU console.
+
+const STATUS_WORDS = {
+  '9000': 'Success',
+  '6281': 'Part of returned data may be corrupted',
+  '6282': 'End of data reached before Le bytes',
+  '6300': 'Operation failed',
+  '6581': 'Memory failure',
+  '6700': 'Wrong length',
+  '6800': 'Function in CLA not supported',
+  '6981': 'Command incompatible with file structure',
+  '6982': 'Security status not satisfied',
+  '6983': 'Authentication method blocked',
+  '6986': 'Command not allowed',
+  '6A81': 'Function not supported',
+  '6A82': 'Block or file not found',
+  '6B00': 'Wrong parameters P1-P2',
+  '6D00': 'Instruction not supported',
+  '6E00': 'Class not supported',
+  '6F00': 'No precise diagnosis'
+};
+
+const TUNNEL_STATUS = {
+  0x00: 'Success',
+  0x01: 'Timeout - the tag did not answer',
+  0x02: 'CRC error',
+  0x03: 'Parity error',
+  0x13: 'Data format error',
+  0x14: 'MIFARE authentication error',
+  0x27: 'Command not acceptable in the current context',
+  0x29: 'Target released by the initiator'
+};
+
+export function describeStatusWord(sw) {
+  const key = sw.toString(16).toUpperCase().padStart(4, '0');
+  if (STATUS_WORDS[key]) return STATUS_WORDS[key];
+  if (key.startsWith('61')) return `${parseInt(key.slice(2), 16)} more byte(s) available`;
+  if (key.startsWith('6C')) return `Wrong Le - ${parseInt(key.slice(2), 16)} byte(s) available`;
+  return 'Unknown status word';
+}
+
+// Responses to FF 00 00 00 .. D4 42 tunnelled tag commands: D5 43 <status>
+export function describeTunnelStatus(status) {
+  return TUNNEL_STATUS[status & 0x3F] || `PN53x error 0x${status.toString(16).padStart(2, '0')}`;
+}
@@ -0,0 +1,115 @@
+import { AuthenticationError, TagCommandError } from './errors.js';
+
+// Native NTAG21x / Ultralight commands. PC/SC only maps READ and WRITE to
+// pseudo-APDUs, everything else is tunnelled through the reader's PN53x
+// InCommunicateThru command: FF 00 00 00 <Lc> D4 42 <tag command...>
+// The reply comes back as D5 43 <status> <tag response...> 90 00.
+
+export const CMD_GET_VERSION = 0x60;
+export const CMD_PWD_AUTH = 0x1B;
+export const CMD_READ_SIG = 0x3C;
+export const CMD_READ_CNT = 0x39;
+
+export async function transceive(reader, command, responseLength) {
+  const packet = Buffer.from([0xFF, 0x00, 0x00, 0x00, command.length + 2, 0xD4, 0x42, ...command]);
+  const response = await reader.transmit(packet, responseLength + 5);
+
+  if (response.length < 5) {
+    throw new TagCommandError(`Invalid response length ${response.length}`);
+  }
+
+  const statusWord = response.readUInt16BE(response.length - 2);
+  if (statusWord !== 0x9000) {
+    throw new TagCommandError(`Reader returned status 0x${statusWord.toString(16)}`);
+  }
+
+  if (response[0] !== 0xD5 || response[1] !== 0x43) {
+    throw new TagCommandError(`Unexpected reader response ${response.toString('hex')}`);
+  }
+
+  // Non-zero status means the tag NAKed or did not answer
+  const status = response[2];
+  if (status !== 0x00) {
+    throw new TagCommandError(`Tag rejected command 0x${command[0].toString(16)} (status 0x${status.toString(16)})`, status);
+  }
+
+  return response.slice(3, -2);
+}
+
+// Returns the 8-byte version info (vendor, product type, storage size...)
+export async function getVersion(reader) {
+  const version = await transceive(reader, [CMD_GET_VERSION], 8);
+  if (version.length !== 8) {
+    throw new TagCommandError(`Unexpected GET_VERSION response length ${version.length}`);
+  }
+  return version;
+}
+
+// Returns the 32-byte NXP originality signature (NTAG21x, Ultralight EV1)
+export async function readSignature(reader) {
+  const signature = await transceive(reader, [CMD_READ_SIG, 0x00], 32);
+  if (signature.length !== 32) {
+    throw new TagCommandError(`Unexpected READ_SIG response length ${signature.length}`);
+  }
+  return signature;
+}
+
+// Returns the NTAG21x 24-bit NFC counter (counter number 2, sent LSB first)
+export async function readCounter(reader) {
+  const counter = await transceive(reader, [CMD_READ_CNT, 0x02], 3);
+  if (counter.length !== 3) {
+    throw new TagCommandError(`Unexpected READ_CNT response length ${counter.length}`);
+  }
+  return counter.readUIntLE(0, 3);
+}
+
+// PC/SC GET DATA (FF CA 00 00 00) - readers answer it for any contactless
+// card, ISO 14443-3 and -4 alike. Returns the UID as lowercase hex, the way
+// nfc-pcsc reports it.
+export async function readUid(reader) {
+  const response = await reader.transmit(Buffer.from([0xFF, 0xCA, 0x00, 0x00, 0x00]), 12);
+  if (response.length < 2) {
+    throw new TagCommandError(`Invalid response length ${response.length}`);
+  }
+
+  const statusWord = response.readUInt16BE(response.length - 2);
+  if (statusWord !== 0x9000) {
+    throw new TagCommandError(`Reader returned status 0x${statusWord.toString(16)} for GET DATA (UID)`);
+  }
+
+  return response.slice(0, -2).toString('hex');
+}
+
+// Wakes and selects the tag again with the PN53x InListPassiveTarget command
+// (one target, 106 kbps type A). A Type 2 tag that NAKs a command drops back
+// to IDLE and ignores everything until it is selected again - PWD_AUTH state
+// is lost with it.
+export async function reselect(reader) {
+  const response = await reader.transmit(Buffer.from([0xFF, 0x00, 0x00, 0x00, 0x04, 0xD4, 0x4A, 0x01, 0x00]), 32);
+  if (response.length < 5) {
+    throw new TagCommandError(`Invalid response length ${response.length}`);
+  }
+
+  const statusWord = response.readUInt16BE(response.length - 2);
+  if (statusWord !== 0x9000) {
+    throw new TagCommandError(`Reader returned status 0x${statusWord.toString(16)} for re-select`);
+  }
+
+  if (response[0] !== 0xD5 || response[1] !== 0x4B || response[2] < 1) {
+    throw new TagCommandError('Tag did not answer re-selection');
+  }
+}
+
+// Returns the 2-byte PACK the tag answers with
+export async function pwdAuth(reader, pwd) {
+  try {
+    const pack = await transceive(reader, [CMD_PWD_AUTH, ...pwd], 2);
+    if (pack.length !== 2) {
+      throw new AuthenticationError(`Unexpected PWD_AUTH response length ${pack.length}`);
+    }
+    return pack;
+  } catch (error) {
+    if (error instanceof AuthenticationError) throw error;
+    throw new AuthenticationError(`Password authentication failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,296 @@
+// Memory maps for NFC Forum Type 2 tags (NTAG21x / MIFARE Ultralight family)
+//
+// Every tag shares the same header:
+//   pages 0-1 - UID
+//   page 2    - UID check byte, internal byte and static lock bytes
+//   page 3    - Capability Container (one-time programmable)
+// User memory starts at page 4, followed by the dynamic lock bytes and
+// configuration pages on the larger tags.
+
+export const PAGE_SIZE = 4;
+export const USER_START_PAGE = 4;
+
+export const TAG_LAYOUTS = {
+  NTAG213: {
+    name: 'NTAG213',
+    family: 'NTAG21x',
+    totalPages: 45,
+    ndefDataAreaSize: 144,
+    userStart: USER_START_PAGE,
+    userEnd: 39,
+    dynamicLockPage: 40,
+    dynamicLockPagesPerBit: 2,
+    cfg0Page: 41,
+    cfg1Page: 42,
+    pwdPage: 43,
+    packPage: 44
+  },
+  NTAG215: {
+    name: 'NTAG215',
+    family: 'NTAG21x',
+    totalPages: 135,
+    ndefDataAreaSize: 496,
+    userStart: USER_START_PAGE,
+    userEnd: 129,
+    dynamicLockPage: 130,
+    dynamicLockPagesPerBit: 16,
+    cfg0Page: 131,
+    cfg1Page: 132,
+    pwdPage: 133,
+    packPage: 134
+  },
+  NTAG216: {
+    name: 'NTAG216',
+    family: 'NTAG21x',
+    totalPages: 231,
+    ndefDataAreaSize: 872,
+    userStart: USER_START_PAGE,
+    userEnd: 225,
+    dynamicLockPage: 226,
+    dynamicLockPagesPerBit: 16,
+    cfg0Page: 227,
+    cfg1Page: 228,
+    pwdPage: 229,
+    packPage: 230
+  },
+  ULTRALIGHT: {
+    name: 'MIFARE Ultralight',
+    family: 'Ultralight',
+    totalPages: 16,
+    ndefDataAreaSize: 48,
+    userStart: USER_START_PAGE,
+    userEnd: 15
+  },
+  ULTRALIGHT_EV1_MF0UL11: {
+    name: 'MIFARE Ultralight EV1 (MF0UL11)',
+    family: 'Ultralight EV1',
+    totalPages: 20,
+    ndefDataAreaSize: 48,
+    userStart: USER_START_PAGE,
+    userEnd: 15,
+    cfg0Page: 16,
+    cfg1Page: 17,
+    pwdPage: 18,
+    packPage: 19
+  },
+  ULTRALIGHT_EV1_MF0UL21: {
+    name: 'MIFARE Ultralight EV1 (MF0UL21)',
+    family: 'Ultralight EV1',
+    totalPages: 41,
+    ndefDataAreaSize: 128,
+    userStart: USER_START_PAGE,
+    userEnd: 35,
+    dynamicLockPage: 36,
+    cfg0Page: 37,
+    cfg1Page: 38,
+    pwdPage: 39,
+    packPage: 40
+  },
+  ULTRALIGHT_C: {
+    name: 'MIFARE Ultralight C',
+    family: 'Ultralight C',
+    totalPages: 48,
+    ndefDataAreaSize: 144,
+    userStart: USER_START_PAGE,
+    userEnd: 39,
+    dynamicLockPage: 40,
+    // Page 41 is the 16-bit one-way counter, 42-43 AUTH0/AUTH1, 44-47 the 3DES key
+    configPages: [41, 42, 43, 44, 45, 46, 47]
+  }
+};
+
+// Data area sizes advertised in the CC (byte 2 * 8) by factory-formatted tags
+const LAYOUT_BY_CC_SIZE = {
+  48: 'ULTRALIGHT',
+  128: 'ULTRALIGHT_EV1_MF0UL21',
+  144: 'NTAG213',
+  496: 'NTAG215',
+  872: 'NTAG216'
+};
+
+// Ultralight and Ultralight C do not implement GET_VERSION. Once a tag has
+// NAKed it, an NTAG-sized data area can only mean an Ultralight C.
+const LEGACY_LAYOUT_BY_CC_SIZE = {
+  48: 'ULTRALIGHT',
+  144: 'ULTRALIGHT_C'
+};
+
+// GET_VERSION answers: 00 04 <product type> <subtype> <major> <minor> <storage size> 03
+// keyed by "<product type>:<storage size>"
+const LAYOUT_BY_VERSION = {
+  '04:0f': 'NTAG213',
+  '04:11': 'NTAG215',
+  '04:13': 'NTAG216',
+  '03:0b': 'ULTRALIGHT_EV1_MF0UL11',
+  '03:0e': 'ULTRALIGHT_EV1_MF0UL21'
+};
+
+export function layoutFromVersion(version) {
+  if (!version || version.length < 8 || version[1] !== 0x04) return null;
+  const signature = `${version[2].toString(16).padStart(2, '0')}:${version[6].toString(16).padStart(2, '0')}`;
+  const key = LAYOUT_BY_VERSION[signature];
+  return key ? { key, ...TAG_LAYOUTS[key] } : null;
+}
+
+export function layoutFromCapabilityContainer(cc, { versionSupported = true } = {}) {
+  if (!cc || !cc.valid) return null;
+  const sizes = versionSupported ? LAYOUT_BY_CC_SIZE : LEGACY_LAYOUT_BY_CC_SIZE;
+  const key = sizes[cc.dataAreaSize];
+  return key ? { key, ...TAG_LAYOUTS[key] } : null;
+}
+
+// Largest NDEF message that fits the data area once wrapped in a TLV:
+// type + 1 or 3 length bytes, plus the terminator TLV
+export function getMaxNdefMessageSize(layout) {
+  const size = layout.ndefDataAreaSize;
+  return size - 1 - (size - 3 > 0xFE ? 4 : 2);
+}
+
+export function getUserMemory(layout) {
+  const pages = layout.userEnd - layout.userStart + 1;
+  return {
+    startPage: layout.userStart,
+    endPage: layout.userEnd,
+    pages,
+    bytes: pages * PAGE_SIZE
+  };
+}
+
+// Page configs hand `pageNumber` to the reader as the start page of the
+// READ/UPDATE BINARY pseudo-APDUs
+export function getConfigPageRange(config) {
+  const startPage = config.pageNumber;
+  return {
+    startPage,
+    endPage: startPage + Math.ceil(config.maxDataSize / PAGE_SIZE) - 1
+  };
+}
+
+export function configFitsLayout(config, layout) {
+  const { startPage, endPage } = getConfigPageRange(config);
+  return startPage >= layout.userStart && endPage <= layout.userEnd;
+}
+
+// Raw page storage shares user memory with the NDEF data area. Returns how
+// many bytes of NDEF TLV fit in front of the config's range, or null when the
+// range lies past the NDEF data area.
+export function getNdefRoomBeforeConfig(config, layout) {
+  const { startPage } = getConfigPageRange(config);
+  const ndefEndPage = layout.userStart + layout.ndefDataAreaSize / PAGE_SIZE - 1;
+  if (startPage > ndefEndPage) return null;
+  return (startPage - layout.userStart) * PAGE_SIZE;
+}
+
+export function getConfigPages(layout) {
+  if (layout.configPages) return layout.configPages;
+  return [layout.cfg0Page, layout.cfg1Page, layout.pwdPage, layout.packPage]
+    .filter(page => page !== undefined);
+}
+
+export function getPageRole(layout, page) {
+  if (page <= 1) return 'uid';
+  if (page === 2) return 'lock';
+  if (page === 3) return 'cc';
+  if (page >= layout.userStart && page <= layout.userEnd) return 'user';
+  if (page === layout.dynamicLockPage) return 'lock';
+  if (getConfigPages(layout).includes(page)) return 'config';
+  return 'reserved';
+}
+
+// Lock bits, one entry per bit: setting it makes pages firstPage-lastPage
+// read-only forever. Static lock bytes (page 2, bytes 2-3) cover pages 3-15
+// one page per bit; NTAG21x dynamic lock bytes cover the rest of user memory
+// in groups of `dynamicLockPagesPerBit` pages. Other chips only expose their
+// static lock bits here.
+export const STATIC_LOCK_PAGE = 2;
+
+export function getLockGroups(layout) {
+  const groups = [];
+  for (let page = 3; page <= Math.min(15, layout.userEnd); page++) {
+    // Bit n of the 16-bit word lock1:lock0 locks page n
+    groups.push({
+      firstPage: page,
+      lastPage: page,
+      lockPage: STATIC_LOCK_PAGE,
+      byte: 2 + Math.floor(page / 8),
+      bit: page % 8
+    });
+  }
+
+  if (layout.dynamicLockPagesPerBit) {
+    const size = layout.dynamicLockPagesPerBit;
+    for (let index = 0, first = 16; first <= layout.userEnd; index++, first += size) {
+      groups.push({
+        firstPage: first,
+        lastPage: Math.min(first + size - 1, layout.userEnd),
+        lockPage: layout.dynamicLockPage,
+        byte: Math.floor(index / 8),
+        bit: index % 8
+      });
+    }
+  }
+
+  return groups;
+}
+
+// Groups to set for pages startPage-endPage. Groups are all-or-nothing, so the
+// locked range can be wider than requested; pages no lock bit covers are
+// returned as `uncovered`.
+export function planLock(layout, startPage, endPage) {
+  const groups = getLockGroups(layout)
+    .filter(group => group.lastPage >= startPage && group.firstPage <= endPage);
+
+  const uncovered = [];
+  for (let page = startPage; page <= endPage; page++) {
+    if (!groups.some(group => page >= group.firstPage && page <= group.lastPage)) {
+      uncovered.push(page);
+    }
+  }
+
+  return { groups, uncovered };
+}
+
+export function isGroupLocked(group, lockPageData) {
+  const data = lockPageData[group.lockPage];
+  return !!data && (data[group.byte] & (1 << group.bit)) !== 0;
+}
+
+// Pages a restore must never touch, and a raw write only with an explicit
+// override (raw writes also guard the CC)
+export function isProtectedPage(layout, page) {
+  return ['uid', 'lock', 'config', 'reserved'].includes(getPageRole(layout, page));
+}
+
+// Restore plan for the pages of a dump against the card's current memory:
+// one entry per dump page, with action 'write', 'same' or 'skip' and, for
+// skipped pages, the reason
+export function planRestore(layout, dumpPages, current) {
+  return dumpPages.map(({ page, hex }) => {
+    const role = getPageRole(layout, page);
+    const target = String(hex).toUpperCase();
+
+    if (page >= layout.totalPages) {
+      return { page, role, current: null, target, action: 'skip', reason: 'Page does not exist on this card' };
+    }
+
+    const currentHex = current.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE).toString('hex').toUpperCase();
+
+    if (isProtectedPage(layout, page)) {
+      return { page, role, current: currentHex, target, action: 'skip', reason: `${role} page is never restored` };
+    }
+    if (!/^[0-9A-F]{8}$/.test(target)) {
+      return { page, role, current: currentHex, target, action: 'skip', reason: 'Invalid page data in dump' };
+    }
+    if (currentHex === target) {
+      return { page, role, current: currentHex, target, action: 'same' };
+    }
+    if (role === 'cc') {
+      // CC bits can only be set, never cleared
+      const merged = (parseInt(currentHex, 16) | parseInt(target, 16)) >>> 0;
+      if (merged !== parseInt(target, 16) >>> 0) {
+        return { page, role, current: currentHex, target, action: 'skip', reason: 'Capability Container is one-time programmable' };
+      }
+    }
+    return { page, role, current: currentHex, target, action: 'write' };
+  });
+}
@@ -0,0 +1,50 @@
+// Suppresses repeat detections of the same UID. A badge lifted and tapped
+// again (or bouncing at the edge of the field) would otherwise post a second
+// check-in/checkout straight away. The window runs from the last accepted
+// tap, so tapping repeatedly does not keep extending it.
+
+export const DEFAULT_DEBOUNCE_WINDOW = 10000;
+
+export class TapDebouncer {
+  constructor(windowMs = DEFAULT_DEBOUNCE_WINDOW) {
+    this.windowMs = windowMs;
+    // UID -> time of the last accepted tap
+    this.accepted = new Map();
+  }
+
+  // Returns { repeat, acceptedAt, sinceMs }. A window of 0 disables it.
+  check(uid, now = Date.now()) {
+    this.prune(now);
+
+    const acceptedAt = this.accepted.get(uid);
+    if (acceptedAt !== undefined && now - acceptedAt < this.windowMs) {
+      return { repeat: true, acceptedAt, sinceMs: now - acceptedAt };
+    }
+    return { repeat: false, acceptedAt: null, sinceMs: null };
+  }
+
+  // Recorded only once the tap was reported, so a card lifted before it
+  // was identified does not suppress the next real tap
+  accept(uid, now = Date.now()) {
+    this.accepted.set(uid, now);
+  }
+
+  prune(now) {
+    for (const [uid, acceptedAt] of this.accepted) {
+      if (now - acceptedAt >= this.windowMs) this.accepted.delete(uid);
+    }
+  }
+
+  setWindow(windowMs) {
+    const value = Number(windowMs);
+    if (!Number.isInteger(value) || value < 0 || value > 3600000) {
+      throw new Error('Debounce window must be between 0 and 3600000 ms');
+    }
+    this.windowMs = value;
+    this.prune(Date.now());
+  }
+
+  clear() {
+    this.accepted.clear();
+  }
+}
@@ -0,0 +1,45 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CardPasswordStore } from '../card-password-store.js';
+
+const PASSWORD = { pwd: Buffer.from('12345678', 'hex'), pack: Buffer.from('abcd', 'hex'), mode: 'readwrite' };
+
+describe('card password store', () => {
+  let directory;
+  let filePath;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'card-passwords-'));
+    filePath = path.join(directory, 'card-passwords.json');
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('keeps passwords per card across restarts', async () => {
+    const store = new CardPasswordStore(filePath);
+    await store.set('04:A1:B2:C3', PASSWORD);
+
+    const reloaded = new CardPasswordStore(filePath);
+    assert.deepEqual(reloaded.get('04a1b2c3'), PASSWORD);
+    assert.equal(reloaded.get('04a1b2c4'), null);
+  });
+
+  it('forgets a cleared password on disk too', async () => {
+    const store = new CardPasswordStore(filePath);
+    await store.delete('04a1b2c3');
+
+    assert.equal(new CardPasswordStore(filePath).size, 0);
+  });
+
+  it('reports a failed save but keeps the password for this session', async () => {
+    const store = new CardPasswordStore(path.join(directory, 'missing', 'card-passwords.json'));
+
+    await assert.rejects(store.set('04a1b2c3', PASSWORD), { code: 'SAVE_FAILED' });
+    assert.deepEqual(store.get('04a1b2c3'), PASSWORD);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { signPayload, verifyPayload, SEPARATOR } from '../card-signature.js';
+
+const KEY = Buffer.from('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f', 'hex');
+const UID = '04a1b2c3d4e5f6';
+
+describe('card signature', () => {
+  it('verifies a payload signed for the same card', () => {
+    const payload = signPayload(KEY, ' 12345 ', UID);
+    assert.match(payload, /^12345\.[A-Za-z0-9_-]{8}$/);
+    assert.equal(verifyPayload(KEY, payload, '04:A1:B2:C3:D4:E5:F6'), '12345');
+  });
+
+  it('rejects a payload copied to another card', () => {
+    const payload = signPayload(KEY, '12345', UID);
+    assert.throws(() => verifyPayload(KEY, payload, '04ffffffffffff'), { code: 'SIGNATURE_INVALID' });
+  });
+
+  it('rejects a changed user ID', () => {
+    const [, mac] = signPayload(KEY, '12345', UID).split(SEPARATOR);
+    assert.throws(() => verifyPayload(KEY, `12346${SEPARATOR}${mac}`, UID), { code: 'SIGNATURE_INVALID' });
+  });
+
+  it('rejects a payload signed with another site key', () => {
+    const otherKey = Buffer.alloc(32, 0x42);
+    assert.throws(() => verifyPayload(KEY, signPayload(otherKey, '12345', UID), UID), { code: 'SIGNATURE_INVALID' });
+  });
+
+  it('rejects a truncated MAC', () => {
+    const payload = signPayload(KEY, '12345', UID);
+    assert.throws(() => verifyPayload(KEY, payload.slice(0, -2), UID), { code: 'SIGNATURE_INVALID' });
+  });
+
+  it('reports unsigned legacy payloads separately', () => {
+    assert.throws(() => verifyPayload(KEY, '12345', UID), { code: 'PAYLOAD_UNSIGNED' });
+  });
+
+  it('refuses user IDs it could not verify later', () => {
+    assert.throws(() => signPayload(KEY, '', UID), { code: 'INVALID_DATA' });
+    assert.throws(() => signPayload(KEY, `a${SEPARATOR}b`, UID), { code: 'INVALID_DATA' });
+  });
+});
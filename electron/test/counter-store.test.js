@@ -0,0 +1,63 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CounterStore } from '../counter-store.js';
+
+const UID = '04a1b2c3d4e5f6';
+
+describe('tap counter store', () => {
+  let directory;
+  // A file per test, so the saves of one test never land in another's
+  const stores = [];
+  const newStore = (options) => {
+    const store = new CounterStore(path.join(directory, `tap-counters-${stores.length + 1}.json`), options);
+    stores.push(store);
+    return store;
+  };
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tap-counters-'));
+  });
+
+  after(async () => {
+    // record() does not wait for its save
+    await Promise.all(stores.map(store => store.file.writing));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('accepts the first value and small increases', () => {
+    const store = newStore({ maxJump: 5 });
+
+    assert.deepEqual(store.record(UID, 10), { value: 10, previous: null, delta: null, suspicion: null });
+    assert.deepEqual(store.record(UID, 11), { value: 11, previous: 10, delta: 1, suspicion: null });
+    assert.equal(store.record(UID, 16).suspicion, null);
+  });
+
+  it('flags a jump past maxJump and keeps the new value', () => {
+    const store = newStore({ maxJump: 5 });
+    store.record(UID, 20);
+
+    assert.equal(store.record(UID, 26).suspicion, 'jump');
+    assert.equal(store.get(UID).value, 26);
+  });
+
+  it('flags a rollback and keeps the highest value', () => {
+    const store = newStore({ maxJump: 5 });
+    store.record(UID, 30);
+
+    assert.deepEqual(store.record(UID, 12), { value: 12, previous: 30, delta: -18, suspicion: 'rollback' });
+    assert.equal(store.get(UID).value, 30);
+    // The genuine card carries on from the stored value
+    assert.equal(store.record(UID, 31).suspicion, null);
+  });
+
+  it('keeps counters across restarts', async () => {
+    const store = newStore();
+    store.record(UID, 40);
+    await store.save();
+
+    assert.equal(new CounterStore(store.file.filePath).get(UID).value, 40);
+  });
+});
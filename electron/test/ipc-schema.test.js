@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { string, integer, boolean, oneOf, hex, array, object, validateArgs } from '../ipc-schema.js';
+import { IpcDispatcher } from '../ipc-dispatcher.js';
+import { IPC_CHANNELS } from '../ipc-channels.js';
+import { IpcValidationError } from '../errors.js';
+
+const rejects = (check, value, pattern) => {
+  assert.throws(() => check(value, 'arg'), error => error instanceof IpcValidationError &&
+    error.code === 'INVALID_ARGUMENT' && pattern.test(error.message));
+};
+
+describe('IPC argument schemas', () => {
+  it('checks strings by type, length and pattern', () => {
+    const check = string({ max: 4, pattern: /^[a-f]+$/ });
+    assert.equal(check('abcd', 'arg'), 'abcd');
+    rejects(check, 42, /arg must be a string/);
+    rejects(check, 'abcde', /at most 4 characters/);
+    rejects(check, 'xyz', /in the format/);
+    rejects(check, undefined, /arg must be provided/);
+  });
+
+  it('checks integers, booleans and enumerations', () => {
+    const check = integer({ min: 0, max: 255 });
+    assert.equal(check(255, 'arg'), 255);
+    rejects(check, 256, /integer from 0 to 255/);
+    rejects(check, 1.5, /integer/);
+    rejects(check, '4', /integer/);
+    rejects(boolean(), 'true', /true or false/);
+    rejects(oneOf(['A', 'B']), 'C', /one of A, B/);
+  });
+
+  it('strips whitespace from hex and refuses half bytes and oversized data', () => {
+    const check = hex({ maxBytes: 2 });
+    assert.equal(check('0a 1B', 'arg'), '0a1B');
+    rejects(check, 'abc', /whole bytes/);
+    rejects(check, 'zz', /whole bytes/);
+    rejects(check, '010203', /at most 2 bytes/);
+  });
+
+  it('checks every array item and bounds the length', () => {
+    const check = array(integer({ min: 0, max: 9 }), { max: 2 });
+    assert.deepEqual(check([1, 2], 'arg'), [1, 2]);
+    rejects(check, [1, 2, 3], /at most 2 items/);
+    rejects(check, [1, 10], /arg\[1\] must be an integer/);
+    rejects(check, 'list', /an array/);
+  });
+
+  it('keeps only the keys an object schema lists', () => {
+    const check = object({ name: string(), size: integer({ optional: true }) });
+    assert.deepEqual(check({ name: 'a', size: null, extra: 'dropped' }, 'arg'), { name: 'a' });
+    rejects(check, { size: 1 }, /arg\.name must be provided/);
+    rejects(check, [], /an object/);
+
+    const passthrough = object({ name: string() }, { passthrough: true, maxBytes: 32 });
+    assert.deepEqual(passthrough({ name: 'a', extra: 1 }, 'arg'), { name: 'a', extra: 1 });
+    rejects(passthrough, { name: 'a', extra: 'x'.repeat(32) }, /at most 32 bytes of JSON/);
+  });
+
+  it('passes missing optional values on as undefined', () => {
+    assert.equal(string({ optional: true })(null, 'arg'), undefined);
+    assert.equal(object({}, { optional: true })(undefined, 'arg'), undefined);
+  });
+
+  it('refuses extra arguments', () => {
+    const schemas = IPC_CHANNELS['nfc-read-pages'].args;
+    assert.deepEqual(validateArgs(schemas, [4, 4], 'nfc-read-pages'), [4, 4, undefined]);
+    assert.deepEqual(validateArgs(schemas, [4, 4, 'Reader', undefined], 'nfc-read-pages'), [4, 4, 'Reader']);
+    assert.throws(() => validateArgs(schemas, [4, 4, 'Reader', 'extra'], 'nfc-read-pages'),
+      /nfc-read-pages takes at most 3 argument/);
+  });
+});
+
+describe('IPC dispatcher', () => {
+  const appWindow = {};
+  const event = (url, { parent = null, sender = appWindow } = {}) => ({ senderFrame: { url, parent }, sender });
+
+  const dispatcher = () => {
+    const handlers = new Map();
+    const ipcMain = { handle: (channel, listener) => handlers.set(channel, listener) };
+    const result = new IpcDispatcher(ipcMain, IPC_CHANNELS, { isTrustedWindow: sender => sender === appWindow });
+    result.invoke = (channel, frame, ...args) => handlers.get(channel)(frame, ...args);
+    return result;
+  };
+
+  it('passes validated arguments to the handler', async () => {
+    const ipc = dispatcher();
+    ipc.handle('nfc-write-pages', (...args) => ({ success: true, args }));
+
+    const result = await ipc.invoke('nfc-write-pages', event('file:///app/index.html'), 4, 'DE AD BE EF');
+    assert.deepEqual(result, { success: true, args: [4, 'DEADBEEF', undefined, undefined] });
+  });
+
+  it('refuses calls from other origins, subframes and windows', async () => {
+    const ipc = dispatcher();
+    ipc.handle('nfc-status', () => ({ success: true }));
+
+    for (const frame of [
+      event('https://example.com/'),
+      event('file:///app/index.html', { parent: {} }),
+      event('file:///app/index.html', { sender: {} }),
+      event('not a url')
+    ]) {
+      assert.equal((await ipc.invoke('nfc-status', frame)).code, 'IPC_FORBIDDEN');
+    }
+  });
+
+  it('refuses bad arguments and capabilities that are off', async () => {
+    const ipc = dispatcher();
+    let adminMode = false;
+    ipc.provide('admin', () => adminMode);
+    ipc.handle('nfc-read-pages', () => ({ success: true }));
+    ipc.handle('nfc-transmit', () => ({ success: true }));
+    const frame = event('file:///app/index.html');
+
+    assert.equal((await ipc.invoke('nfc-read-pages', frame, 4, 0)).code, 'INVALID_ARGUMENT');
+    assert.equal((await ipc.invoke('nfc-transmit', frame, 'FF CA 00 00 00')).code, 'ADMIN_REQUIRED');
+    adminMode = true;
+    assert.equal((await ipc.invoke('nfc-transmit', frame, 'FF CA 00 00 00')).success, true);
+  });
+});
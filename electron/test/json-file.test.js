@@ -0,0 +1,56 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JsonFile } from '../json-file.js';
+import { normalizeUid } from '../uid.js';
+
+describe('JSON file store', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('reads nothing before the first write, then what was written last', async () => {
+    const file = new JsonFile(path.join(directory, 'store.json'), { label: 'test store' });
+    assert.equal(file.read(), null);
+
+    const writes = [1, 2, 3].map(version => file.write({ version }));
+    await Promise.all(writes);
+
+    assert.deepEqual(file.read(), { version: 3 });
+  });
+
+  it('reads an unparsable file as empty', () => {
+    const filePath = path.join(directory, 'broken.json');
+    fs.writeFileSync(filePath, '{ not json');
+    assert.equal(new JsonFile(filePath, { label: 'test store' }).read(), null);
+  });
+
+  it('rejects a failed write without holding up the next one', async () => {
+    const missing = path.join(directory, 'missing');
+    const file = new JsonFile(path.join(missing, 'store.json'), { label: 'test store' });
+
+    await assert.rejects(file.write({ version: 1 }), error =>
+      error.code === 'SAVE_FAILED' && /Could not save test store/.test(error.message));
+
+    fs.mkdirSync(missing);
+    await file.write({ version: 2 });
+    assert.deepEqual(file.read(), { version: 2 });
+  });
+});
+
+describe('UID normalization', () => {
+  it('reduces every reader and renderer format to lowercase hex', () => {
+    ['04A1B2C3', '04:a1:b2:c3', '04 A1 B2 C3', '04-a1-b2-c3'].forEach(uid => {
+      assert.equal(normalizeUid(uid), '04a1b2c3');
+    });
+    assert.equal(normalizeUid(null), '');
+  });
+});
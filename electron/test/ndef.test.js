@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTLVs,
+  buildNdefTLV,
+  encodeMessage,
+  decodeMessage,
+  parseCapabilityContainer,
+  buildCapabilityContainer
+} from '../ndef.js';
+
+const textRecordMessage = (statusByte, lang, textBytes) => {
+  const payload = Buffer.concat([Buffer.from([statusByte]), Buffer.from(lang, 'ascii'), textBytes]);
+  // MB | ME | SR, TNF well-known, type "T"
+  return Buffer.concat([Buffer.from([0xD1, 0x01, payload.length]), Buffer.from('T'), payload]);
+};
+
+describe('NDEF records', () => {
+  it('round-trips UTF-8 text and URI records', () => {
+    const message = encodeMessage([
+      { type: 'text', text: 'Grüße ✓', lang: 'de' },
+      { type: 'uri', uri: 'https://www.example.com/badge' }
+    ]);
+    const [text, uri] = decodeMessage(message);
+
+    assert.equal(text.type, 'text');
+    assert.equal(text.text, 'Grüße ✓');
+    assert.equal(text.lang, 'de');
+    assert.equal(text.encoding, 'utf8');
+    assert.equal(uri.type, 'uri');
+    assert.equal(uri.uri, 'https://www.example.com/badge');
+    // https://www. is prefix code 0x02
+    assert.equal(uri.payloadHex.slice(0, 2), '02');
+  });
+
+  it('writes UTF-16 text big-endian and reads it back', () => {
+    const message = encodeMessage([{ type: 'text', text: 'hé ✓', encoding: 'utf16' }]);
+    const [record] = decodeMessage(message);
+
+    assert.equal(record.text, 'hé ✓');
+    assert.equal(record.encoding, 'utf16');
+    // Status byte has the UTF-16 bit, "h" is 00 68 in big-endian
+    assert.equal(record.payloadHex.slice(0, 2), '82');
+    assert.equal(record.payloadHex.slice(6, 10), '0068');
+  });
+
+  it('honours a UTF-16 byte order mark', () => {
+    const littleEndian = textRecordMessage(0x82, 'en', Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('hi', 'utf16le')]));
+    const bigEndian = textRecordMessage(0x82, 'en', Buffer.from([0xFE, 0xFF, 0x00, 0x68, 0x00, 0x69]));
+
+    assert.equal(decodeMessage(littleEndian)[0].text, 'hi');
+    assert.equal(decodeMessage(bigEndian)[0].text, 'hi');
+  });
+
+  it('uses a long record header for payloads over 255 bytes', () => {
+    const text = 'x'.repeat(300);
+    const message = encodeMessage([{ type: 'text', text }]);
+
+    assert.equal(message[0] & 0x10, 0, 'SR flag must be clear');
+    assert.equal(decodeMessage(message)[0].text, text);
+  });
+
+  it('rejects truncated records', () => {
+    const message = encodeMessage([{ type: 'text', text: 'hello' }]);
+    assert.throws(() => decodeMessage(message.subarray(0, message.length - 2)), /truncated/);
+  });
+});
+
+describe('NDEF TLVs', () => {
+  it('round-trips a message through the TLV area', () => {
+    const message = encodeMessage([{ type: 'text', text: 'badge' }]);
+    const parsed = parseTLVs(buildNdefTLV(message));
+
+    assert.equal(parsed.complete, true);
+    assert.deepEqual(parsed.ndefMessage, message);
+  });
+
+  it('uses the 3-byte length form for long messages', () => {
+    const message = encodeMessage([{ type: 'text', text: 'y'.repeat(400) }]);
+    const tlv = buildNdefTLV(message);
+
+    assert.equal(tlv[1], 0xFF);
+    assert.equal(tlv.readUInt16BE(2), message.length);
+    assert.deepEqual(parseTLVs(tlv).ndefMessage, message);
+  });
+
+  it('skips NULL and lock control TLVs', () => {
+    const message = encodeMessage([{ type: 'text', text: 'a' }]);
+    const area = Buffer.concat([Buffer.from([0x00, 0x01, 0x03, 0xA0, 0x0C, 0x34]), buildNdefTLV(message)]);
+    const parsed = parseTLVs(area);
+
+    assert.deepEqual(parsed.ndefMessage, message);
+    assert.deepEqual(parsed.tlvs.map(tlv => tlv.type), [0x01, 0x03]);
+  });
+
+  it('reports how many bytes an incomplete message needs', () => {
+    const message = encodeMessage([{ type: 'text', text: 'z'.repeat(40) }]);
+    const tlv = buildNdefTLV(message);
+    const parsed = parseTLVs(tlv.subarray(0, 16));
+
+    assert.equal(parsed.complete, false);
+    assert.equal(parsed.bytesNeeded, 2 + message.length);
+  });
+
+  it('stops at the terminator', () => {
+    const parsed = parseTLVs(Buffer.from([0xFE, 0x03, 0x05]));
+    assert.equal(parsed.complete, true);
+    assert.equal(parsed.ndefMessage, null);
+  });
+});
+
+describe('Capability Container', () => {
+  it('round-trips data area size and write access', () => {
+    const cc = parseCapabilityContainer(buildCapabilityContainer(496));
+    assert.equal(cc.valid, true);
+    assert.equal(cc.dataAreaSize, 496);
+    assert.equal(cc.writable, true);
+
+    assert.equal(parseCapabilityContainer(buildCapabilityContainer(144, { readOnly: true })).writable, false);
+  });
+
+  it('recognises a blank CC', () => {
+    const cc = parseCapabilityContainer(Buffer.alloc(4));
+    assert.equal(cc.valid, false);
+    assert.equal(cc.blank, true);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { OperationQueue, PRIORITY } from '../operation-queue.js';
+import { OperationCancelledError, OperationTimeoutError } from '../errors.js';
+
+// An operation that runs until release() is called
+const gate = () => {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { done, release };
+};
+
+describe('operation queue', () => {
+  it('runs one operation at a time, higher priority first', async () => {
+    const queue = new OperationQueue('test');
+    const order = [];
+    const first = gate();
+
+    const running = queue.enqueue('running', async () => {
+      order.push('running');
+      await first.done;
+    });
+    const queued = [
+      queue.enqueue('low', () => order.push('low'), { priority: PRIORITY.LOW }),
+      queue.enqueue('normal-1', () => order.push('normal-1')),
+      queue.enqueue('high', () => order.push('high'), { priority: PRIORITY.HIGH }),
+      queue.enqueue('normal-2', () => order.push('normal-2'))
+    ];
+
+    assert.deepEqual(queue.describe(), { running: 'running', pending: 4 });
+    first.release();
+    await Promise.all([running, ...queued]);
+
+    assert.deepEqual(order, ['running', 'high', 'normal-1', 'normal-2', 'low']);
+  });
+
+  it('resolves with the result and rejects with the error of each operation', async () => {
+    const queue = new OperationQueue('test');
+    assert.equal(await queue.enqueue('ok', () => 42), 42);
+    await assert.rejects(queue.enqueue('fails', () => { throw new Error('boom'); }), /boom/);
+  });
+
+  it('times out an operation that does not finish', async () => {
+    const queue = new OperationQueue('test');
+    const stuck = gate();
+
+    await assert.rejects(
+      queue.enqueue('stuck', () => stuck.done, { timeout: 20 }),
+      error => error instanceof OperationTimeoutError && error.code === 'OPERATION_TIMEOUT'
+    );
+
+    // The next operation waits for the stuck one rather than interleaving
+    const next = queue.enqueue('next', () => 'ran');
+    assert.equal(queue.describe().running, 'stuck');
+    stuck.release();
+    assert.equal(await next, 'ran');
+  });
+
+  it('cancels the running and queued operations', async () => {
+    const queue = new OperationQueue('test');
+    const running = gate();
+
+    const first = queue.enqueue('first', () => running.done);
+    const second = queue.enqueue('second', () => 'never');
+
+    assert.equal(queue.cancelAll('card removed'), 2);
+    await assert.rejects(first, error => error instanceof OperationCancelledError && /card removed/.test(error.message));
+    await assert.rejects(second, { code: 'OPERATION_CANCELLED' });
+
+    running.release();
+    assert.equal(await queue.enqueue('after', () => 'ok'), 'ok');
+  });
+});
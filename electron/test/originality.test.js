@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifySignature, checkOriginality } from '../originality.js';
+
+// secp128r1 vector computed independently of originality.js: private key
+// 0123456789ABCDEF0FEDCBA987654321, nonce 1F2E3D4C5B6A79880102030405060708,
+// message = the raw 7-byte UID (NXP signs without hashing)
+const VECTOR = {
+  uid: Buffer.from('04A1B2C3D4E5F6', 'hex'),
+  publicKey: '0404C07D662784D53BFD6D7D6BE2347E265958FA91CF463EF21C274892ECE1BDF4',
+  signature: Buffer.from('FFAEA8EEA4A67CC48E7CDC21EA828744B311DDF9E6F2A6F4B2D009321C5C5636', 'hex')
+};
+
+describe('originality signature', () => {
+  it('verifies the known vector', () => {
+    assert.equal(verifySignature(VECTOR.uid, VECTOR.signature, VECTOR.publicKey), true);
+  });
+
+  it('rejects the signature for another UID', () => {
+    const uid = Buffer.from(VECTOR.uid);
+    uid[6] ^= 0x01;
+    assert.equal(verifySignature(uid, VECTOR.signature, VECTOR.publicKey), false);
+  });
+
+  it('rejects a modified signature', () => {
+    const signature = Buffer.from(VECTOR.signature);
+    signature[31] ^= 0x01;
+    assert.equal(verifySignature(VECTOR.uid, signature, VECTOR.publicKey), false);
+  });
+
+  it('rejects out-of-range and short signatures', () => {
+    assert.equal(verifySignature(VECTOR.uid, Buffer.alloc(32), VECTOR.publicKey), false);
+    assert.equal(verifySignature(VECTOR.uid, VECTOR.signature.subarray(0, 31), VECTOR.publicKey), false);
+  });
+
+  it('reports genuine chips through an extra backend key', () => {
+    const extraKeys = { 'NTAG21x': { name: 'Test key', publicKey: VECTOR.publicKey } };
+    assert.deepEqual(checkOriginality(VECTOR.uid, VECTOR.signature, 'NTAG21x', extraKeys),
+      { status: 'genuine', family: 'NTAG21x', key: 'Test key' });
+  });
+
+  it('reports chips signed by nobody it knows as not genuine', () => {
+    assert.equal(checkOriginality(VECTOR.uid, VECTOR.signature, 'NTAG21x').status, 'not-genuine');
+  });
+
+  it('reports families without a key as unsupported', () => {
+    assert.equal(checkOriginality(VECTOR.uid, VECTOR.signature, 'Ultralight').status, 'unsupported');
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PayloadKeyring, ENVELOPE_OVERHEAD, isEnvelope, sealPayload, openPayload } from '../payload-crypto.js';
+import { encodeText, decodeText } from '../text-format.js';
+
+const UID = '04a1b2c3d4e5f6';
+
+describe('payload envelope', () => {
+  let directory;
+  let keyring;
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'payload-keys-'));
+    keyring = new PayloadKeyring(path.join(directory, 'payload-keys.json'));
+    await keyring.setEnabled(true);
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('seals and opens a page-text payload', () => {
+    const plaintext = encodeText('12345.abcdEFGH');
+    const envelope = sealPayload(keyring, plaintext, UID);
+
+    assert.equal(isEnvelope(envelope), true);
+    assert.equal(envelope.length, ENVELOPE_OVERHEAD + plaintext.length);
+    assert.equal(envelope.includes(Buffer.from('12345')), false);
+
+    const opened = openPayload(keyring, envelope, UID);
+    assert.deepEqual(opened.data, plaintext);
+    assert.equal(opened.keyId, keyring.currentKeyId);
+    assert.equal(opened.stale, false);
+    assert.equal(decodeText(opened.data).text, '12345.abcdEFGH');
+  });
+
+  it('accepts the UID in any separator format', () => {
+    const envelope = sealPayload(keyring, encodeText('7'), UID);
+    assert.deepEqual(openPayload(keyring, envelope, '04:A1:B2:C3:D4:E5:F6').data, encodeText('7'));
+  });
+
+  it('rejects a tampered ciphertext', () => {
+    const envelope = sealPayload(keyring, encodeText('12345'), UID);
+    envelope[envelope.length - 1] ^= 0x01;
+    assert.throws(() => openPayload(keyring, envelope, UID), { code: 'PAYLOAD_DECRYPT_FAILED' });
+  });
+
+  it('rejects a tampered authentication tag', () => {
+    const envelope = sealPayload(keyring, encodeText('12345'), UID);
+    envelope[20] ^= 0x80;
+    assert.throws(() => openPayload(keyring, envelope, UID), { code: 'PAYLOAD_DECRYPT_FAILED' });
+  });
+
+  it('rejects an envelope copied to another card', () => {
+    const envelope = sealPayload(keyring, encodeText('12345'), UID);
+    assert.throws(() => openPayload(keyring, envelope, '04ffffffffffff'), { code: 'PAYLOAD_DECRYPT_FAILED' });
+  });
+
+  it('rejects a truncated envelope', () => {
+    const envelope = sealPayload(keyring, encodeText('12345'), UID);
+    assert.throws(() => openPayload(keyring, envelope.subarray(0, envelope.length - 3), UID), { code: 'PAYLOAD_DECRYPT_FAILED' });
+  });
+
+  it('reports an unknown key', () => {
+    const envelope = sealPayload(keyring, encodeText('12345'), UID);
+    envelope[1] = 200;
+    assert.throws(() => openPayload(keyring, envelope, UID), { code: 'PAYLOAD_KEY_UNKNOWN' });
+  });
+
+  it('still opens cards sealed with a rotated-out key, marked stale', async () => {
+    const envelope = sealPayload(keyring, encodeText('12345'), UID);
+    const oldKeyId = keyring.currentKeyId;
+    await keyring.rotate();
+
+    const opened = openPayload(keyring, envelope, UID);
+    assert.equal(opened.keyId, oldKeyId);
+    assert.equal(opened.stale, true);
+  });
+
+  it('reloads the keyring from disk', () => {
+    const envelope = sealPayload(keyring, encodeText('12345'), UID);
+    const reloaded = new PayloadKeyring(keyring.file.filePath);
+
+    assert.equal(reloaded.enabled, true);
+    assert.deepEqual(openPayload(reloaded, envelope, UID).data, encodeText('12345'));
+  });
+
+  it('keeps the keyring unchanged when it cannot be saved', async () => {
+    const missing = path.join(directory, 'missing');
+    fs.mkdirSync(missing);
+    const unsaved = new PayloadKeyring(path.join(missing, 'payload-keys.json'));
+    await unsaved.setEnabled(true);
+    const unchanged = unsaved.describe();
+    fs.rmSync(missing, { recursive: true });
+
+    await assert.rejects(unsaved.rotate(), { code: 'SAVE_FAILED' });
+    assert.deepEqual(unsaved.describe(), unchanged);
+
+    await assert.rejects(unsaved.setEnabled(false), { code: 'SAVE_FAILED' });
+    assert.equal(unsaved.enabled, true);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import { TEXT_HEADER_SIZE, encodeText, decodeText } from '../text-format.js';
+import { ENVELOPE_OVERHEAD } from '../payload-crypto.js';
+
+const PRELOAD = fileURLToPath(new URL('../preload.cjs', import.meta.url));
+
+// Runs preload.cjs against a stand-in contextBridge and returns what it exposes
+function loadPreload() {
+  const exposed = {};
+  const electron = {
+    contextBridge: { exposeInMainWorld: (name, api) => { exposed[name] = api; } },
+    ipcRenderer: {}
+  };
+  vm.runInNewContext(fs.readFileSync(PRELOAD, 'utf8'), {
+    require: () => electron,
+    console: { log: () => {} },
+    TextEncoder,
+    TextDecoder,
+    Uint8Array
+  });
+  return exposed;
+}
+
+// What the main process reads, with unreadable text as empty
+const mainText = (buffer) => {
+  try {
+    return decodeText(buffer).text;
+  } catch {
+    return '';
+  }
+};
+
+describe('preload text helpers', () => {
+  let utils;
+
+  before(() => {
+    utils = loadPreload().nfcUtils;
+  });
+
+  it('encode text exactly like text-format.js', () => {
+    ['12345', 'Grüße', ''].forEach(text => {
+      assert.equal(utils.textToHex(text), encodeText(text).toString('hex'));
+    });
+    assert.equal(utils.textToHex('x'.repeat(256)), '');
+  });
+
+  it('decode every kind of card text like text-format.js', () => {
+    const cards = [
+      encodeText('12345'),
+      encodeText('Grüße'),
+      encodeText('12345').subarray(0, 4),
+      Buffer.from([0x02, 0x05, 0x31, 0x32]),
+      Buffer.from([0x1F, 0x41]),
+      Buffer.from('12345\0\0\0', 'latin1'),
+      Buffer.from('Grüße\0', 'utf8'),
+      Buffer.from([0x41, 0x80, 0x42, 0x00]),
+      Buffer.from([0x00, 0x41])
+    ];
+
+    cards.forEach(card => {
+      assert.equal(utils.hexToText(card.toString('hex')), mainText(card), card.toString('hex'));
+    });
+  });
+
+  it('validate text against the room writePageText leaves', () => {
+    const maxDataSize = 16;
+    const room = maxDataSize - TEXT_HEADER_SIZE;
+
+    assert.equal(utils.validateText('x'.repeat(room), maxDataSize).valid, true);
+    assert.equal(utils.validateText('x'.repeat(room + 1), maxDataSize).valid, false);
+    assert.equal(utils.validateText('ü'.repeat(room / 2 + 1), maxDataSize).valid, false);
+    assert.equal(utils.validateText('   ', maxDataSize).valid, false);
+
+    const encryptedRoom = 64 - TEXT_HEADER_SIZE - ENVELOPE_OVERHEAD;
+    assert.equal(utils.validateText('x'.repeat(encryptedRoom), 64, { encrypted: true }).valid, true);
+    assert.equal(utils.validateText('x'.repeat(encryptedRoom + 1), 64, { encrypted: true }).valid, false);
+
+    // encodeText never takes more than 255 bytes, whatever the config
+    assert.equal(utils.validateText('x'.repeat(256), 512).valid, false);
+  });
+});
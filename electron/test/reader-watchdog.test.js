@@ -0,0 +1,116 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReaderWatchdog, recoveryDelay, RECOVERY_BASE_DELAY, RECOVERY_MAX_DELAY } from '../reader-watchdog.js';
+
+// A handler stand-in: running, no readers, restarts counted
+const hooks = (overrides = {}) => ({
+  restarts: [],
+  readers: 0,
+  running: true,
+  restart(reason) {
+    this.restarts.push(reason);
+  },
+  hasReaders() {
+    return this.readers > 0;
+  },
+  isRunning() {
+    return this.running;
+  },
+  ...overrides
+});
+
+describe('reader watchdog', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('doubles the delay per attempt up to the maximum', () => {
+    assert.equal(recoveryDelay(0), RECOVERY_BASE_DELAY);
+    assert.equal(recoveryDelay(1), RECOVERY_BASE_DELAY * 2);
+    assert.equal(recoveryDelay(3), RECOVERY_BASE_DELAY * 8);
+    assert.equal(recoveryDelay(20), RECOVERY_MAX_DELAY);
+  });
+
+  it('recreates the context with backoff until a reader appears', () => {
+    const handler = hooks();
+    const watchdog = new ReaderWatchdog(handler, { baseDelay: 100, maxDelay: 400 });
+
+    watchdog.trigger('context-error');
+    mock.timers.tick(100);
+    assert.deepEqual(handler.restarts, ['context-error']);
+
+    // Still no reader - the next attempts wait 200, then 400 (the maximum)
+    mock.timers.tick(199);
+    assert.equal(handler.restarts.length, 1);
+    mock.timers.tick(1);
+    assert.equal(handler.restarts.length, 2);
+    mock.timers.tick(400);
+    assert.equal(handler.restarts.length, 3);
+    assert.equal(watchdog.describe().attempt, 3);
+
+    watchdog.readerConnected();
+    assert.deepEqual(watchdog.describe(), { recovering: false, reason: null, attempt: 0, nextRetryAt: null, lastError: null });
+    mock.timers.tick(1000);
+    assert.equal(handler.restarts.length, 3);
+  });
+
+  it('leaves a context alone that found a reader in time', () => {
+    const handler = hooks({ readers: 1 });
+    const watchdog = new ReaderWatchdog(handler, { baseDelay: 100 });
+
+    watchdog.trigger('no-readers');
+    mock.timers.tick(100);
+
+    assert.deepEqual(handler.restarts, []);
+    assert.equal(watchdog.describe().attempt, 0);
+  });
+
+  it('upgrades a pending reader check when the context fails', () => {
+    const handler = hooks({ readers: 1 });
+    const watchdog = new ReaderWatchdog(handler, { baseDelay: 100 });
+
+    watchdog.trigger('no-readers');
+    watchdog.trigger('context-error');
+    mock.timers.tick(100);
+
+    assert.deepEqual(handler.restarts, ['context-error']);
+  });
+
+  it('keeps retrying after a failed restart and reports the error', () => {
+    const handler = hooks({
+      restart(reason) {
+        this.restarts.push(reason);
+        throw new Error('SCardEstablishContext failed');
+      }
+    });
+    const changes = [];
+    handler.onChange = (state) => changes.push(state);
+    const watchdog = new ReaderWatchdog(handler, { baseDelay: 100 });
+
+    watchdog.trigger('context-error');
+    mock.timers.tick(100);
+
+    const state = watchdog.describe();
+    assert.equal(state.recovering, true);
+    assert.equal(state.lastError, 'SCardEstablishContext failed');
+    assert.equal(state.nextRetryAt, new Date(Date.now() + 200).toISOString());
+    assert.equal(changes.at(-1).lastError, 'SCardEstablishContext failed');
+
+    mock.timers.tick(200);
+    assert.equal(handler.restarts.length, 2);
+  });
+
+  it('does nothing once the handler is stopped', () => {
+    const handler = hooks({ running: false });
+    const watchdog = new ReaderWatchdog(handler, { baseDelay: 100 });
+
+    watchdog.trigger('context-error');
+    mock.timers.tick(1000);
+
+    assert.deepEqual(handler.restarts, []);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate } from 'node:timers/promises';
+import { Simulator } from '../backends/simulator.js';
+import { getVersion, reselect } from '../tag-commands.js';
+import { TagCommandError } from '../errors.js';
+
+const READER = 'Simulated Reader 0';
+
+describe('tag commands on the simulator', () => {
+  let simulator;
+  let reader;
+
+  before(async () => {
+    simulator = new Simulator();
+    simulator.createNFC();
+    await setImmediate();
+    reader = simulator.device(READER);
+  });
+
+  it('reads the version of an NTAG', async () => {
+    simulator.tap(READER, { model: 'NTAG213' });
+    assert.equal((await getVersion(reader)).toString('hex').toUpperCase(), '0004040201000F03');
+  });
+
+  it('re-selects a tag that went mute after a NAK', async () => {
+    simulator.tap(READER, { model: 'ULTRALIGHT' });
+
+    // Plain Ultralights do not know GET_VERSION and stay mute afterwards
+    await assert.rejects(getVersion(reader), TagCommandError);
+    await assert.rejects(reader.read(4, 4));
+
+    await reselect(reader);
+    assert.equal((await reader.read(4, 4)).length, 4);
+  });
+
+  it('reports a reader with no tag to re-select', async () => {
+    simulator.removeCard(READER);
+    await assert.rejects(reselect(reader));
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PAGE_SIZE, TAG_LAYOUTS, STATIC_LOCK_PAGE, getLockGroups, planLock, isGroupLocked, planRestore } from '../tag-layout.js';
+
+const NTAG213 = { key: 'NTAG213', ...TAG_LAYOUTS.NTAG213 };
+const NTAG215 = { key: 'NTAG215', ...TAG_LAYOUTS.NTAG215 };
+const MF0UL21 = { key: 'ULTRALIGHT_EV1_MF0UL21', ...TAG_LAYOUTS.ULTRALIGHT_EV1_MF0UL21 };
+
+// Card memory with the given pages set, everything else zero
+const memoryOf = (layout, pages = {}) => {
+  const memory = Buffer.alloc(layout.totalPages * PAGE_SIZE);
+  Object.entries(pages).forEach(([page, hex]) => Buffer.from(hex, 'hex').copy(memory, Number(page) * PAGE_SIZE));
+  return memory;
+};
+
+const actionOf = (plan, page) => plan.find(entry => entry.page === page);
+
+describe('restore planning', () => {
+  it('writes changed user pages and leaves identical ones alone', () => {
+    const current = memoryOf(NTAG213, { 4: '01020304' });
+    const plan = planRestore(NTAG213, [{ page: 4, hex: '01020304' }, { page: 5, hex: 'aabbccdd' }], current);
+
+    assert.equal(actionOf(plan, 4).action, 'same');
+    assert.deepEqual(actionOf(plan, 5), { page: 5, role: 'user', current: '00000000', target: 'AABBCCDD', action: 'write' });
+  });
+
+  it('never restores UID, lock, config or reserved pages', () => {
+    const current = memoryOf(NTAG213);
+    const pages = [0, 1, 2, 40, 41, 42, 43, 44].map(page => ({ page, hex: 'FFFFFFFF' }));
+    const plan = planRestore(NTAG213, pages, current);
+
+    plan.forEach(entry => {
+      assert.equal(entry.action, 'skip', `page ${entry.page}`);
+      assert.match(entry.reason, /page is never restored/);
+    });
+    assert.deepEqual(plan.map(entry => entry.role), ['uid', 'uid', 'lock', 'lock', 'config', 'config', 'config', 'config']);
+  });
+
+  it('skips pages the card does not have and invalid page data', () => {
+    const plan = planRestore(NTAG213, [{ page: 45, hex: '00000000' }, { page: 6, hex: 'XYZ' }], memoryOf(NTAG213));
+
+    assert.equal(actionOf(plan, 45).reason, 'Page does not exist on this card');
+    assert.equal(actionOf(plan, 45).current, null);
+    assert.equal(actionOf(plan, 6).reason, 'Invalid page data in dump');
+  });
+
+  it('only writes a CC that sets bits', () => {
+    const current = memoryOf(NTAG213, { 3: 'E1101200' });
+
+    assert.equal(planRestore(NTAG213, [{ page: 3, hex: 'E110120F' }], current)[0].action, 'write');
+    assert.equal(
+      planRestore(NTAG213, [{ page: 3, hex: 'E1100D00' }], current)[0].reason,
+      'Capability Container is one-time programmable'
+    );
+  });
+});
+
+describe('lock planning', () => {
+  it('maps pages 3-15 to the static lock bits, one page per bit', () => {
+    const groups = getLockGroups(NTAG213).filter(group => group.lockPage === STATIC_LOCK_PAGE);
+
+    assert.equal(groups.length, 13);
+    assert.deepEqual(groups[0], { firstPage: 3, lastPage: 3, lockPage: 2, byte: 2, bit: 3 });
+    assert.deepEqual(groups.find(group => group.firstPage === 8), { firstPage: 8, lastPage: 8, lockPage: 2, byte: 3, bit: 0 });
+    assert.deepEqual(groups.at(-1), { firstPage: 15, lastPage: 15, lockPage: 2, byte: 3, bit: 7 });
+  });
+
+  it('maps the rest of NTAG21x user memory to dynamic lock bits', () => {
+    const ntag213 = getLockGroups(NTAG213).filter(group => group.lockPage === NTAG213.dynamicLockPage);
+    assert.equal(ntag213.length, 12);
+    assert.deepEqual(ntag213[8], { firstPage: 32, lastPage: 33, lockPage: 40, byte: 1, bit: 0 });
+
+    // The last NTAG215 group is cut short at the end of user memory
+    const ntag215 = getLockGroups(NTAG215).filter(group => group.lockPage === NTAG215.dynamicLockPage);
+    assert.deepEqual(ntag215.at(-1), { firstPage: 128, lastPage: 129, lockPage: 130, byte: 0, bit: 7 });
+  });
+
+  it('widens a range to whole groups', () => {
+    const { groups, uncovered } = planLock(NTAG213, 17, 20);
+
+    assert.deepEqual(groups.map(group => [group.firstPage, group.lastPage]), [[16, 17], [18, 19], [20, 21]]);
+    assert.deepEqual(uncovered, []);
+  });
+
+  it('reports pages no lock bit covers', () => {
+    const { groups, uncovered } = planLock(MF0UL21, 14, 20);
+
+    assert.deepEqual(groups.map(group => group.firstPage), [14, 15]);
+    assert.deepEqual(uncovered, [16, 17, 18, 19, 20]);
+  });
+
+  it('reads lock bits from the lock pages', () => {
+    const [page3, page4] = getLockGroups(NTAG213);
+    const lockPageData = { 2: Buffer.from([0x00, 0x00, 0x08, 0x00]) };
+
+    assert.equal(isGroupLocked(page3, lockPageData), true);
+    assert.equal(isGroupLocked(page4, lockPageData), false);
+    assert.equal(isGroupLocked(getLockGroups(NTAG213).at(-1), lockPageData), false);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TapDebouncer } from '../tap-debouncer.js';
+
+const UID = '04a1b2c3d4e5f6';
+
+describe('tap debouncer', () => {
+  it('suppresses repeat taps of an accepted UID inside the window', () => {
+    const debouncer = new TapDebouncer(1000);
+    assert.equal(debouncer.check(UID, 0).repeat, false);
+    debouncer.accept(UID, 0);
+
+    assert.deepEqual(debouncer.check(UID, 400), { repeat: true, acceptedAt: 0, sinceMs: 400 });
+    assert.equal(debouncer.check('04ffffffffffff', 400).repeat, false);
+    assert.equal(debouncer.check(UID, 1000).repeat, false);
+  });
+
+  it('does not extend the window with suppressed taps', () => {
+    const debouncer = new TapDebouncer(1000);
+    debouncer.accept(UID, 0);
+
+    assert.equal(debouncer.check(UID, 900).repeat, true);
+    assert.equal(debouncer.check(UID, 1100).repeat, false);
+  });
+
+  it('only suppresses taps that were accepted', () => {
+    const debouncer = new TapDebouncer(1000);
+    debouncer.check(UID, 0);
+
+    assert.equal(debouncer.check(UID, 10).repeat, false);
+  });
+
+  it('turns off with a window of 0', () => {
+    const debouncer = new TapDebouncer(0);
+    debouncer.accept(UID, 0);
+
+    assert.equal(debouncer.check(UID, 0).repeat, false);
+  });
+
+  it('refuses windows that are not whole milliseconds from 0 to an hour', () => {
+    const debouncer = new TapDebouncer(1000);
+    [-1, 1.5, NaN, 3600001, 'abc'].forEach(value => {
+      assert.throws(() => debouncer.setWindow(value), /between 0 and 3600000 ms/);
+    });
+    assert.equal(debouncer.windowMs, 1000);
+
+    debouncer.setWindow(5000);
+    assert.equal(debouncer.windowMs, 5000);
+  });
+});
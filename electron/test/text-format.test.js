@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeText, decodeText, TEXT_FORMATS } from '../text-format.js';
+
+// A card page area as read back: payload followed by zero padding
+const padded = (bytes, size = 16) => {
+  const buffer = Buffer.alloc(size);
+  Buffer.from(bytes).copy(buffer);
+  return buffer;
+};
+
+describe('page text format', () => {
+  it('round-trips length-prefixed UTF-8', () => {
+    const decoded = decodeText(padded(encodeText('Zoë 42'), 32));
+    assert.deepEqual(decoded, { text: 'Zoë 42', format: TEXT_FORMATS.V1 });
+  });
+
+  it('keeps trailing spaces and nulls inside the length', () => {
+    const decoded = decodeText(padded(encodeText('a\u0000b '), 16));
+    assert.equal(decoded.text, 'a\u0000b ');
+  });
+
+  it('reads an all-zero area as empty', () => {
+    assert.deepEqual(decodeText(Buffer.alloc(16)), { text: '', format: TEXT_FORMATS.EMPTY });
+  });
+
+  it('falls back to legacy null-padded ASCII', () => {
+    const decoded = decodeText(padded(Buffer.from('12345', 'ascii')));
+    assert.deepEqual(decoded, { text: '12345', format: TEXT_FORMATS.LEGACY });
+  });
+
+  it('reads legacy cards written as UTF-8', () => {
+    const decoded = decodeText(padded(Buffer.from('José', 'utf8')));
+    assert.deepEqual(decoded, { text: 'José', format: TEXT_FORMATS.LEGACY });
+  });
+
+  it('drops non-printable bytes from legacy cards that are not UTF-8', () => {
+    const decoded = decodeText(padded([0x41, 0xFF, 0x42, 0x07, 0x43]));
+    assert.deepEqual(decoded, { text: 'ABC', format: TEXT_FORMATS.LEGACY });
+  });
+
+  it('rejects a truncated v1 payload', () => {
+    const encoded = encodeText('abcdefgh');
+    assert.throws(() => decodeText(encoded.subarray(0, 6)), { code: 'TEXT_FORMAT_INVALID' });
+  });
+
+  it('rejects reserved format versions', () => {
+    assert.throws(() => decodeText(padded([0x02, 0x01, 0x41])), { code: 'TEXT_FORMAT_UNSUPPORTED' });
+  });
+
+  it('refuses text over 255 bytes', () => {
+    assert.throws(() => encodeText('x'.repeat(256)), { code: 'PAYLOAD_TOO_LARGE' });
+  });
+});
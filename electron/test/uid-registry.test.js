@@ -0,0 +1,66 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { UidRegistry } from '../uid-registry.js';
+
+describe('UID registry', () => {
+  let directory;
+  let filePath;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uid-registry-'));
+    filePath = path.join(directory, 'uid-registry.json');
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('registers a UID in any format and keeps it across restarts', async () => {
+    const registry = new UidRegistry(filePath);
+    const entry = await registry.register('04:A1:B2:C3', ' 1234 ', 'Badge');
+
+    assert.equal(entry.uid, '04a1b2c3');
+    assert.equal(entry.previous, null);
+    assert.equal(new UidRegistry(filePath).lookup('04 a1 b2 c3').userId, '1234');
+  });
+
+  it('moves a re-registered UID to the new user', async () => {
+    const registry = new UidRegistry(filePath);
+    const entry = await registry.register('04a1b2c3', '5678');
+
+    assert.equal(entry.previous.userId, '1234');
+    assert.equal(registry.lookup('04a1b2c3').userId, '5678');
+  });
+
+  it('unregisters known UIDs only', async () => {
+    const registry = new UidRegistry(filePath);
+    await registry.unregister('04a1b2c3');
+
+    assert.equal(new UidRegistry(filePath).lookup('04a1b2c3'), null);
+    await assert.rejects(registry.unregister('04a1b2c3'), { code: 'UID_UNKNOWN' });
+  });
+
+  it('refuses registrations without a UID or user ID', async () => {
+    const registry = new UidRegistry(filePath);
+    await assert.rejects(registry.register('', '1234'), { code: 'INVALID_DATA' });
+    await assert.rejects(registry.register('04a1b2c3', '  '), { code: 'INVALID_DATA' });
+  });
+
+  it('reports a failed save and keeps the registry as it was', async () => {
+    const missing = path.join(directory, 'missing');
+    fs.mkdirSync(missing);
+    const registry = new UidRegistry(path.join(missing, 'uid-registry.json'));
+    await registry.register('04a1b2c3', '1234');
+    fs.rmSync(missing, { recursive: true });
+
+    await assert.rejects(registry.register('04a1b2c3', '5678'), { code: 'SAVE_FAILED' });
+    await assert.rejects(registry.register('04ffffff', '5678'), { code: 'SAVE_FAILED' });
+    await assert.rejects(registry.unregister('04a1b2c3'), { code: 'SAVE_FAILED' });
+
+    assert.equal(registry.lookup('04a1b2c3').userId, '1234');
+    assert.equal(registry.lookup('04ffffff'), null);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeVerified } from '../verified-write.js';
+import { NFCError, WriteVerificationError } from '../errors.js';
+
+const UNIT = 4;
+
+// In-memory page target. `flaky` maps a page to how many of its next writes
+// store something other than what was written; `refuse` pages throw an
+// NFCError on write.
+const memoryTarget = (pages, { flaky = {}, refuse = [] } = {}) => {
+  const memory = Buffer.alloc(pages * UNIT);
+  const writes = [];
+  return {
+    memory,
+    writes,
+    unitName: 'page',
+    unitSize: UNIT,
+    readUnits: async (unit, count) => Buffer.from(memory.subarray(unit * UNIT, (unit + count) * UNIT)),
+    writeUnit: async (unit, data) => {
+      writes.push(unit);
+      if (refuse.includes(unit)) throw new NFCError(`Page ${unit} is locked`, 'PAGE_LOCKED');
+      const stored = Buffer.from(data);
+      if (flaky[unit] > 0) {
+        flaky[unit]--;
+        stored[0] ^= 0xFF;
+      }
+      stored.copy(memory, unit * UNIT);
+    }
+  };
+};
+
+describe('verified write', () => {
+  it('writes changed pages and skips unchanged ones', async () => {
+    const target = memoryTarget(8);
+    Buffer.from('AAAA').copy(target.memory, 4 * UNIT);
+
+    const report = await writeVerified(target, 4, Buffer.from('AAAABBBB'));
+
+    assert.deepEqual(report.unchanged, [4]);
+    assert.deepEqual(report.written, [5]);
+    assert.equal(target.memory.subarray(4 * UNIT, 6 * UNIT).toString(), 'AAAABBBB');
+  });
+
+  it('retries, then rolls back every page it wrote', async () => {
+    const target = memoryTarget(8, { flaky: { 6: 3 } });
+    Buffer.from('oldpagesold!').copy(target.memory, 4 * UNIT);
+    const before = Buffer.from(target.memory);
+
+    await assert.rejects(
+      writeVerified(target, 4, Buffer.from('NEW!NEW!NEW!')),
+      error => {
+        assert.ok(error instanceof WriteVerificationError);
+        assert.equal(error.code, 'WRITE_VERIFY_FAILED');
+        assert.deepEqual(error.report.written, [4, 5]);
+        assert.deepEqual(error.report.retried, [6]);
+        assert.deepEqual(error.report.failed, [6]);
+        assert.deepEqual(error.report.restored, [4, 5, 6]);
+        assert.deepEqual(error.report.restoreFailed, []);
+        return true;
+      }
+    );
+
+    assert.deepEqual(target.memory, before);
+    // Three attempts at page 6 (one plus two retries), then its restore
+    assert.equal(target.writes.filter(unit => unit === 6).length, 4);
+  });
+
+  it('rolls back and passes NFCErrors through without retrying', async () => {
+    const target = memoryTarget(8, { refuse: [5] });
+
+    await assert.rejects(writeVerified(target, 4, Buffer.alloc(8, 0x11)), error => {
+      assert.equal(error.code, 'PAGE_LOCKED');
+      assert.deepEqual(error.report.failed, [5]);
+      assert.deepEqual(error.report.restored, [4]);
+      return true;
+    });
+
+    assert.deepEqual(target.memory, Buffer.alloc(8 * UNIT));
+    assert.equal(target.writes.filter(unit => unit === 5).length, 2);
+  });
+
+  it('refuses data that is not whole units', async () => {
+    await assert.rejects(writeVerified(memoryTarget(4), 0, Buffer.alloc(6)), { code: 'INVALID_DATA' });
+  });
+});
@@ -0,0 +1,74 @@
+import { NFCError } from './errors.js';
+
+// On-card text format for readPageText / writePageText:
+//
+//   version (1) | length (1) | UTF-8 bytes | zero padding
+//
+// The first byte tells the formats apart: 0x01 is this format, 0x00 an
+// empty card, printable ASCII the legacy format (text padded with nulls),
+// 0x02-0x1F are reserved for later versions. Encrypted envelopes (0xFE, see
+// payload-crypto.js) wrap the same encoding.
+
+export const TEXT_FORMAT_VERSION = 1;
+export const TEXT_HEADER_SIZE = 2;
+const MAX_TEXT_LENGTH = 255;
+const LAST_RESERVED_VERSION = 0x1F;
+
+export const TEXT_FORMATS = {
+  V1: 'utf8-v1',
+  LEGACY: 'legacy',
+  EMPTY: 'empty'
+};
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+export function encodeText(text) {
+  const bytes = Buffer.from(text, 'utf8');
+  if (bytes.length > MAX_TEXT_LENGTH) {
+    throw new NFCError(`Text too long (maximum ${MAX_TEXT_LENGTH} bytes)`, 'PAYLOAD_TOO_LARGE');
+  }
+  return Buffer.concat([Buffer.from([TEXT_FORMAT_VERSION, bytes.length]), bytes]);
+}
+
+// Legacy cards hold the text up to the first null. Older writers stored it
+// as UTF-8, so that is tried first; anything that does not decode keeps the
+// old printable-ASCII behaviour.
+function decodeLegacy(buffer) {
+  const end = buffer.indexOf(0);
+  const bytes = end === -1 ? buffer : buffer.subarray(0, end);
+  if (!bytes.some(byte => byte < 32 || byte === 127)) {
+    try {
+      return utf8.decode(bytes).trim();
+    } catch {
+      // Not UTF-8 - fall through
+    }
+  }
+  return String.fromCharCode(...bytes.filter(byte => byte >= 32 && byte <= 126)).trim();
+}
+
+// Returns { text, format }
+export function decodeText(buffer) {
+  if (!buffer || buffer.length === 0 || buffer[0] === 0) {
+    return { text: '', format: TEXT_FORMATS.EMPTY };
+  }
+
+  const version = buffer[0];
+  if (version === TEXT_FORMAT_VERSION) {
+    const length = buffer.length < TEXT_HEADER_SIZE ? -1 : buffer[1];
+    const bytes = buffer.subarray(TEXT_HEADER_SIZE, TEXT_HEADER_SIZE + length);
+    if (bytes.length !== length) {
+      throw new NFCError('Card text is truncated', 'TEXT_FORMAT_INVALID');
+    }
+    try {
+      return { text: utf8.decode(bytes), format: TEXT_FORMATS.V1 };
+    } catch {
+      throw new NFCError('Card text is not valid UTF-8', 'TEXT_FORMAT_INVALID');
+    }
+  }
+
+  if (version <= LAST_RESERVED_VERSION) {
+    throw new NFCError(`Card text uses format version ${version}, which this app does not support`, 'TEXT_FORMAT_UNSUPPORTED');
+  }
+
+  return { text: decodeLegacy(buffer), format: TEXT_FORMATS.LEGACY };
+}
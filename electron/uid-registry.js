@@ -0,0 +1,92 @@
+import { NFCError } from './errors.js';
+import { JsonFile } from './json-file.js';
+import { normalizeUid } from './uid.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('uid-registry');
+
+// UID → user mapping for UID-only attendance. Cards that cannot be written
+// (transit passes, building badges) are identified by their UID alone, so
+// registering one only touches this file, never the card.
+//
+// UIDs are not secret and can be cloned onto magic cards - this mode trades
+// the signature check for accepting cards we do not issue.
+
+export class UidRegistry {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath, { label: 'UID registry' });
+    this.entries = new Map();
+    this.load();
+  }
+
+  load() {
+    const data = this.file.read();
+    if (!data) return;
+
+    Object.entries(data.uids || {}).forEach(([uid, entry]) => {
+      this.entries.set(normalizeUid(uid), entry);
+    });
+    log.info(`📂 Loaded ${this.entries.size} registered UID(s)`);
+  }
+
+  save() {
+    return this.file.write({ version: 1, uids: Object.fromEntries(this.entries) });
+  }
+
+  // Saves a change to one UID, undoing it when the save fails - a mapping
+  // that only lives in memory would stop working after the next restart
+  async commit(key, entry) {
+    const previous = this.entries.get(key);
+    if (entry) {
+      this.entries.set(key, entry);
+    } else {
+      this.entries.delete(key);
+    }
+
+    try {
+      await this.save();
+    } catch (error) {
+      if (previous) {
+        this.entries.set(key, previous);
+      } else {
+        this.entries.delete(key);
+      }
+      throw error;
+    }
+  }
+
+  // Re-registering a UID moves it to the new user
+  async register(uid, userId, label = null) {
+    const key = normalizeUid(uid);
+    if (!key) {
+      throw new NFCError('Card UID is required', 'INVALID_DATA');
+    }
+    const id = String(userId ?? '').trim();
+    if (!id) {
+      throw new NFCError('User ID is required', 'INVALID_DATA');
+    }
+
+    const entry = { userId: id, label: label ? String(label) : null, registeredAt: new Date().toISOString() };
+    const previous = this.entries.get(key) || null;
+    await this.commit(key, entry);
+    return { uid: key, ...entry, previous };
+  }
+
+  async unregister(uid) {
+    const key = normalizeUid(uid);
+    if (!this.entries.has(key)) {
+      throw new NFCError(`UID ${uid} is not registered`, 'UID_UNKNOWN');
+    }
+    await this.commit(key, null);
+  }
+
+  lookup(uid) {
+    const key = normalizeUid(uid);
+    const entry = this.entries.get(key);
+    return entry ? { uid: key, ...entry } : null;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
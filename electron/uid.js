@@ -0,0 +1,4 @@
+// Card UIDs arrive as "04a1b2c3", "04:A1:B2:C3" or "04 A1 B2 C3" depending on
+// the reader and the renderer. Every store, MAC and envelope keys on this form:
+// lowercase hex with no separators.
+export const normalizeUid = (uid) => String(uid || '').replace(/[^0-9a-f]/gi, '').toLowerCase();
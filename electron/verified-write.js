@@ -0,0 +1,106 @@
+import { NFCError, WriteVerificationError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('write');
+
+// Snapshot -> write -> read back -> retry -> roll back. Works on "units"
+// (4-byte pages or 16-byte Classic blocks) through the target's own read and
+// write functions, so the same logic covers every storage kind.
+
+export const WRITE_RETRIES = 2;
+
+// target: { unitName, unitSize, readUnits(start, count), writeUnit(unit, data) }
+// Resolves with { written, retried, unchanged, ... } when every unit reads
+// back exactly as written. Otherwise every unit written so far is restored
+// from the snapshot and a WriteVerificationError carrying the report is thrown.
+export async function writeVerified(target, startUnit, buffer, { retries = WRITE_RETRIES } = {}) {
+  const { unitSize, unitName = 'unit' } = target;
+  if (buffer.length === 0 || buffer.length % unitSize !== 0) {
+    throw new NFCError(`Data must be a multiple of ${unitSize} bytes`, 'INVALID_DATA');
+  }
+
+  const count = buffer.length / unitSize;
+  let snapshot;
+  try {
+    snapshot = await target.readUnits(startUnit, count);
+  } catch (error) {
+    if (error instanceof NFCError) throw error;
+    throw new NFCError(`Could not snapshot the target before writing: ${error.message}`, 'SNAPSHOT_FAILED');
+  }
+
+  const label = (unit) => `${unitName} ${unit}`;
+  const slice = (data, index) => data.slice(index * unitSize, (index + 1) * unitSize);
+  const report = { written: [], retried: [], unchanged: [], failed: [], restored: [], restoreFailed: [] };
+  const touched = [];
+
+  // Rejected keys and refused blocks will not go away on a retry, so NFCErrors
+  // propagate; anything else counts as a failed attempt
+  const writeAndCheck = async (unit, data) => {
+    try {
+      await target.writeUnit(unit, data);
+      return (await target.readUnits(unit, 1)).equals(data);
+    } catch (error) {
+      if (error instanceof NFCError) throw error;
+      log.info(`❌ Write of ${label(unit)} failed: ${error.message}`);
+      return false;
+    }
+  };
+
+  const rollback = async () => {
+    log.info(`↩️ Rolling back ${touched.length} ${unitName}(s)...`);
+    for (const index of touched) {
+      const unit = startUnit + index;
+      try {
+        if (await writeAndCheck(unit, slice(snapshot, index))) {
+          report.restored.push(unit);
+          continue;
+        }
+      } catch (error) {
+        log.info(`❌ Restore of ${label(unit)} failed: ${error.message}`);
+      }
+      report.restoreFailed.push(unit);
+    }
+  };
+
+  for (let index = 0; index < count; index++) {
+    const unit = startUnit + index;
+    const data = slice(buffer, index);
+
+    if (slice(snapshot, index).equals(data)) {
+      report.unchanged.push(unit);
+      continue;
+    }
+
+    touched.push(index);
+    let verified;
+    try {
+      verified = await writeAndCheck(unit, data);
+      for (let attempt = 2; !verified && attempt <= retries + 1; attempt++) {
+        log.info(`🔁 Retrying ${label(unit)} (attempt ${attempt}/${retries + 1})...`);
+        if (!report.retried.includes(unit)) report.retried.push(unit);
+        verified = await writeAndCheck(unit, data);
+      }
+    } catch (error) {
+      report.failed.push(unit);
+      await rollback();
+      error.report = report;
+      throw error;
+    }
+
+    if (!verified) {
+      report.failed.push(unit);
+      await rollback();
+      throw new WriteVerificationError(
+        `Write to ${label(unit)} could not be verified after ${retries + 1} attempt(s); ` +
+        (report.restoreFailed.length === 0
+          ? 'original contents restored'
+          : `${unitName}(s) ${report.restoreFailed.join(', ')} could not be restored`),
+        report
+      );
+    }
+
+    report.written.push(unit);
+  }
+
+  return report;
+}
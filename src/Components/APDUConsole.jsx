@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+
+const SNIPPETS_KEY = 'apduConsole.snippets';
+
+// Starting set of snippets for ACR122U-style readers
+const DEFAULT_SNIPPETS = [
+  { name: 'Get UID', apdu: 'FF CA 00 00 00' },
+  { name: 'Read pages 4-7', apdu: 'FF B0 00 04 10' },
+  { name: 'GET_VERSION', apdu: 'FF 00 00 00 03 D4 42 60' },
+  { name: 'READ_SIG', apdu: 'FF 00 00 00 04 D4 42 3C 00' },
+  { name: 'READ_CNT', apdu: 'FF 00 00 00 04 D4 42 39 02' },
+  { name: 'Reader firmware', apdu: 'FF 00 48 00 00' }
+];
+
+const loadSnippets = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(SNIPPETS_KEY));
+    return Array.isArray(saved) ? saved : DEFAULT_SNIPPETS;
+  } catch {
+    return DEFAULT_SNIPPETS;
+  }
+};
+
+// Raw APDU console for support engineers. Only rendered in admin mode, and
+// the main process refuses nfc-transmit outside it as well.
+const APDUConsole = ({ nfcStatus, addLog }) => {
+  const [apdu, setApdu] = useState('');
+  const [responseLength, setResponseLength] = useState(258);
+  const [readerName, setReaderName] = useState('');
+  const [history, setHistory] = useState([]);
+  const [historyIndex, setHistoryIndex] = useState(-1);
+  const [isSending, setIsSending] = useState(false);
+  const [snippets, setSnippets] = useState(loadSnippets);
+  const [snippetName, setSnippetName] = useState('');
+
+  const formatHex = (hex) => (hex ? window.nfcUtils.formatHex(hex) : '');
+  const cleanHex = apdu.replace(/\s+/g, '');
+  const apduValid = /^([0-9a-fA-F]{2}){4,}$/.test(cleanHex);
+
+  const saveSnippets = (next) => {
+    setSnippets(next);
+    window.localStorage.setItem(SNIPPETS_KEY, JSON.stringify(next));
+  };
+
+  const handleSend = async () => {
+    if (!window.nfcAPI || !apduValid) return;
+
+    setIsSending(true);
+    try {
+      const result = await window.nfcAPI.transmit(cleanHex, Number(responseLength), readerName || undefined);
+      setHistory(prev => [{ id: Date.now(), time: new Date().toLocaleTimeString(), ...result, command: result.command || cleanHex.toUpperCase() }, ...prev.slice(0, 99)]);
+      setHistoryIndex(-1);
+
+      if (!result.success) {
+        addLog(`APDU failed: ${result.error}`, 'error');
+      }
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  // Up/Down walk through previously sent commands
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      handleSend();
+    } else if (e.key === 'ArrowUp' && history.length > 0) {
+      e.preventDefault();
+      const index = Math.min(historyIndex + 1, history.length - 1);
+      setHistoryIndex(index);
+      setApdu(formatHex(history[index].command));
+    } else if (e.key === 'ArrowDown' && historyIndex > 0) {
+      e.preventDefault();
+      setHistoryIndex(historyIndex - 1);
+      setApdu(formatHex(history[historyIndex - 1].command));
+    }
+  };
+
+  const handleSaveSnippet = () => {
+    const name = snippetName.trim();
+    if (!name || !apduValid) return;
+    saveSnippets([...snippets.filter(snippet => snippet.name !== name), { name, apdu: formatHex(cleanHex) }]);
+    setSnippetName('');
+    addLog(`Saved APDU snippet "${name}"`, 'info');
+  };
+
+  if (!nfcStatus.adminMode) {
+    return (
+      <div className="bg-white border-2 rounded-xl p-6 shadow-lg" style={{ borderColor: '#d35c57' }}>
+        <h3 className="text-xl font-bold mb-2" style={{ color: '#d35c57' }}>🧾 APDU Console</h3>
+        <p className="text-sm text-gray-600">The console is only available in admin mode. Start the app with <code>--nfc-admin</code> or <code>NFC_ADMIN=1</code>.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border-2 rounded-xl p-6 shadow-lg" style={{ borderColor: '#d35c57' }}>
+      <h3 className="text-xl font-bold mb-1" style={{ color: '#d35c57' }}>🧾 APDU Console</h3>
+      <p className="text-sm text-gray-500 mb-4">Commands go to the card as-is - nothing stops a write to a config or lock page</p>
+
+      {/* Command input */}
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <input
+          type="text"
+          value={apdu}
+          onChange={(e) => setApdu(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="FF CA 00 00 00"
+          className="flex-1 min-w-64 px-3 py-2 border border-gray-300 rounded-md font-mono focus:ring-2 focus:ring-red-400 focus:border-red-400"
+        />
+        <label className="flex items-center text-sm text-gray-600">
+          <span className="mr-2">Max response</span>
+          <input
+            type="number"
+            min={2}
+            max={65538}
+            value={responseLength}
+            onChange={(e) => setResponseLength(e.target.value)}
+            className="w-24 px-2 py-2 border border-gray-300 rounded-md"
+          />
+        </label>
+        <select
+          value={readerName}
+          onChange={(e) => setReaderName(e.target.value)}
+          className="px-2 py-2 border border-gray-300 rounded-md text-sm"
+        >
+          <option value="">Last active reader</option>
+          {(nfcStatus.readers || []).map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleSend}
+          disabled={isSending || !apduValid}
+          className="px-6 py-2 text-white rounded-lg font-medium hover:opacity-90 transition-opacity shadow-md disabled:opacity-50"
+          style={{ backgroundColor: '#d35c57' }}
+        >
+          {isSending ? '🔄 Sending...' : '▶ Send'}
+        </button>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4">
+        {/* History */}
+        <div className="md:col-span-2">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="font-bold text-gray-700">History</h4>
+            {history.length > 0 && (
+              <button
+                onClick={() => setHistory([])}
+                className="px-2 py-1 text-xs border border-gray-300 rounded text-gray-600 hover:bg-gray-50"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+          <div className="h-72 overflow-y-auto bg-gray-900 rounded-lg p-3 font-mono text-xs space-y-2">
+            {history.length === 0 ? (
+              <p className="text-gray-500">No commands sent yet...</p>
+            ) : history.map(entry => (
+              <div key={entry.id} className="cursor-pointer" onClick={() => setApdu(formatHex(entry.command))} title="Click to reuse">
+                <div className="text-gray-400">[{entry.time}] {entry.reader || ''}</div>
+                <div className="text-blue-300">&gt; {formatHex(entry.command)}</div>
+                {entry.success ? (
+                  <>
+                    <div className="text-green-300">&lt; {formatHex(entry.response)} <span className="text-gray-500">({entry.durationMs}ms)</span></div>
+                    {entry.sw && (
+                      <div className={entry.sw === '9000' ? 'text-gray-400' : 'text-yellow-300'}>
+                        SW {entry.sw}: {entry.statusText}
+                        {entry.tagStatus !== undefined && ` • tag: ${entry.tagStatusText}`}
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <div className="text-red-400">✖ {entry.error}</div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Snippets */}
+        <div>
+          <h4 className="font-bold text-gray-700 mb-2">Saved Commands</h4>
+          <div className="space-y-1 max-h-56 overflow-y-auto mb-2">
+            {snippets.map(snippet => (
+              <div key={snippet.name} className="flex items-center justify-between text-xs p-2 bg-gray-50 rounded">
+                <button
+                  onClick={() => setApdu(snippet.apdu)}
+                  className="text-left flex-1 hover:underline"
+                  title={snippet.apdu}
+                >
+                  <div className="font-medium text-gray-700">{snippet.name}</div>
+                  <div className="font-mono text-gray-500">{snippet.apdu}</div>
+                </button>
+                <button
+                  onClick={() => saveSnippets(snippets.filter(item => item.name !== snippet.name))}
+                  className="ml-2 text-gray-400 hover:text-red-600"
+                  title="Delete snippet"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={snippetName}
+              onChange={(e) => setSnippetName(e.target.value)}
+              placeholder="Name for current command"
+              className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm"
+            />
+            <button
+              onClick={handleSaveSnippet}
+              disabled={!snippetName.trim() || !apduValid}
+              className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default APDUConsole;
@@ -1,25 +1,33 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import cardRejectedSound from '../assets/card_rejected.mp3';
+import { readCardText, verifyCardText } from './cardText';
 
 const NFCScanner = ({ nfcStatus, updateNFCStatus, addLog, systemError, setSystemError }) => {
   const [isScanning, setIsScanning] = useState(false);
   const [cardInfo, setCardInfo] = useState(null);
   const [scanCount, setScanCount] = useState(0);
   const [autoSendToAPI, setAutoSendToAPI] = useState(true);
+  const [rejectNonGenuine, setRejectNonGenuine] = useState(false);
+  const [acceptUnsigned, setAcceptUnsigned] = useState(false);
+  // 'card' reads the signed user ID from the card, 'uid' looks the UID up
+  const [attendanceMode, setAttendanceMode] = useState('card');
+  const [debounceSeconds, setDebounceSeconds] = useState('');
   const [isSendingToAPI, setIsSendingToAPI] = useState(false);
   const [apiResponse, setApiResponse] = useState(null);
+  const [lostReaders, setLostReaders] = useState({});
 
   const API_ENDPOINT = 'https://gps-api.jeuxtesting.com/api/event/checkin-checkout';
 
   // Text-to-speech function
-  const speak = (text, success = true) => {
+  const speak = (text, success = true, volume = 0.8) => {
     if ('speechSynthesis' in window) {
       try {
         window.speechSynthesis.cancel();
         const utterance = new SpeechSynthesisUtterance(text);
         utterance.rate = 0.8;
         utterance.pitch = success ? 1.1 : 0.9;
-        utterance.volume = 0.8;
+        utterance.volume = volume;
         
         const voices = window.speechSynthesis.getVoices();
         const englishVoice = voices.find(voice => voice.lang.startsWith('en'));
@@ -34,6 +42,38 @@ const NFCScanner = ({ nfcStatus, updateNFCStatus, addLog, systemError, setSystem
     }
   };
 
+  const playRejected = () => {
+    new Audio(cardRejectedSound).play().catch(err => console.warn('Audio playback error:', err));
+  };
+
+  // Returns the user ID to post, or null once the rejection is reported
+  const acceptCardText = async (text, uid) => {
+    const result = await verifyCardText(text, uid, { acceptUnsigned });
+    setCardInfo(prev => (prev && prev.uid === uid ? { ...prev, signature: result.signature } : prev));
+
+    if (result.accepted) {
+      if (result.legacy) addLog(`⚠️ Card ${uid} is not signed - accepted as a legacy card`, 'warning');
+      return result.userId;
+    }
+
+    addLog(`🚫 Card ${uid} rejected: ${result.error}`, 'error');
+    setApiResponse({ success: false, rejected: true, error: result.error });
+    playRejected();
+    return null;
+  };
+
+  // UID-only mode: nothing is read from the card, so any card type works
+  const lookupCardUid = async (uid) => {
+    const result = await window.nfcAPI.lookupUid(uid);
+    setCardInfo(prev => (prev && prev.uid === uid ? { ...prev, registeredUser: result.success ? result.userId : null } : prev));
+
+    if (result.success) return result.userId;
+    addLog(`🚫 Card ${uid} is not registered - use Register UID in the Card Writer`, 'error');
+    setApiResponse({ success: false, rejected: true, error: result.error });
+    playRejected();
+    return null;
+  };
+
   const sendToAPI = async (text) => {
     if (!text || text.trim().length === 0) {
       addLog('No user ID found on card', 'warning');
@@ -87,25 +127,65 @@ const NFCScanner = ({ nfcStatus, updateNFCStatus, addLog, systemError, setSystem
     }
 
     updateNFCStatus();
-    setIsScanning(nfcStatus.initialized);
+    setIsScanning(nfcStatus.lifecycle === 'running');
 
     // Listen for system errors
     const errorCleanup = window.nfcAPI.onNFCError((error) => {
       if (error.type === 'system') {
         setSystemError(`System Error: ${error.message}`);
-        addLog(`System Error: ${error.message}`, 'error');
+        addLog(`System Error: ${error.message}${error.recovering ? ' - reconnecting' : ''}`, 'error');
+        updateNFCStatus();
       }
     });
 
+    // Hot-plug: keep unplugged readers listed until they come back
+    const readerConnectedCleanup = window.nfcAPI.onReaderConnected((data) => {
+      setLostReaders(prev => {
+        const next = { ...prev };
+        delete next[data.reader];
+        return next;
+      });
+      setSystemError(null);
+      addLog(`🔌 Reader connected: ${data.reader}`, 'success');
+      updateNFCStatus();
+    });
+
+    const readerDisconnectedCleanup = window.nfcAPI.onReaderDisconnected((data) => {
+      setCardInfo(prev => (prev && prev.reader === data.reader ? null : prev));
+      // Pausing releases every reader on purpose - only losses are shown
+      if (data.reason === 'unplugged' || data.reason === 'recovering') {
+        setLostReaders(prev => ({ ...prev, [data.reader]: data }));
+      }
+      if (data.reason === 'unplugged') {
+        addLog(`🔌 Reader disconnected: ${data.reader}`, 'warning');
+      }
+      updateNFCStatus();
+    });
+
+    // Watchdog scheduled, retried or finished a recovery
+    const readerRecoveryCleanup = window.nfcAPI.onReaderRecovery(() => {
+      updateNFCStatus();
+    });
+
     // Listen for card detection
     const cardDetectedCleanup = window.nfcAPI.onCardDetected(async (data) => {
       console.log('Card detected:', data);
       setCardInfo(data);
       setApiResponse(null);
-      addLog(`Card detected: ${data.type} (UID: ${data.uid})`, 'info');
+      addLog(`Card detected on ${data.reader}: ${data.model ? data.model.name : data.type} (UID: ${data.uid})`, 'info');
+
+      // A signature that does not match the UID means a cloned chip
+      if (data.originality && data.originality.status === 'not-genuine') {
+        if (rejectNonGenuine) {
+          addLog(`🚫 Card ${data.uid} rejected: originality signature is not genuine`, 'error');
+          speak('Card rejected. This is not a genuine card', false);
+          return;
+        }
+        addLog(`⚠️ Card ${data.uid} failed the originality check - it may be a clone`, 'warning');
+      }
       
       try {
-        const cardDetails = await window.nfcAPI.getCardInfo();
+        const cardDetails = await window.nfcAPI.getCardInfo(data.reader);
         if (cardDetails.success) {
           setCardInfo(prev => ({ ...prev, ...cardDetails }));
         }
@@ -114,11 +194,30 @@ const NFCScanner = ({ nfcStatus, updateNFCStatus, addLog, systemError, setSystem
       }
 
       // Auto-read and send to API if enabled
-      if (autoSendToAPI) {
+      if (autoSendToAPI && attendanceMode === 'uid') {
+        const userId = await lookupCardUid(data.uid);
+        if (userId) await sendToAPI(userId);
+      } else if (autoSendToAPI) {
         try {
-          const result = await window.nfcAPI.readPageText();
+          const result = await readCardText(data.reader);
           if (result.success && result.text && result.text.trim()) {
-            await sendToAPI(result.text);
+            // Encrypted with a key that has since been rotated - still valid
+            if (result.staleKey) {
+              addLog(`🗝️ Card ${data.uid} was issued with key ${result.keyId} - re-issue it with the current key`, 'warning');
+              setCardInfo(prev => (prev && prev.uid === data.uid ? { ...prev, reissueKeyId: result.keyId } : prev));
+            }
+            const userId = await acceptCardText(result.text, data.uid);
+            if (userId) await sendToAPI(userId);
+          } else if (result.code === 'PAYLOAD_DECRYPT_FAILED' || result.code === 'PAYLOAD_KEY_UNKNOWN') {
+            addLog(`🚫 Card ${data.uid} rejected: ${result.error}`, 'error');
+            setApiResponse({ success: false, rejected: true, error: result.error });
+            playRejected();
+          } else if (result.code === 'AUTH_FAILED') {
+            addLog(`🔐 Card authentication failed: ${result.error}`, 'error');
+            speak('Card authentication failed', false);
+          } else if (result.code === 'OPERATION_CANCELLED' || result.code === 'OPERATION_TIMEOUT') {
+            addLog(`Card read interrupted: ${result.error}`, 'warning');
+            speak('Please hold the card on the reader', false);
           } else {
             addLog('Card is empty - no attendance to record', 'warning');
             speak('Card is empty', false);
@@ -130,19 +229,66 @@ const NFCScanner = ({ nfcStatus, updateNFCStatus, addLog, systemError, setSystem
       }
     });
 
+    // Same badge again inside the debounce window - nothing is posted
+    const cardRepeatCleanup = window.nfcAPI.onCardRepeat((data) => {
+      setCardInfo({ ...data, repeat: true });
+      addLog(`🔁 Card ${data.uid} already recorded ${Math.round(data.sinceMs / 1000)}s ago - tap ignored`, 'info');
+      speak('Already recorded', true, 0.4);
+    });
+
+    // Counter went backwards or jumped since this UID was last seen
+    const suspectedCloneCleanup = window.nfcAPI.onSuspectedClone((data) => {
+      const change = data.reason === 'rollback' ? 'went backwards' : 'jumped';
+      addLog(`🚨 Suspected cloned card ${data.uid} on ${data.reader}: tap counter ${change} (${data.previous} → ${data.counter})`, 'error');
+    });
+
     // Listen for card removal
-    const cardRemovedCleanup = window.nfcAPI.onCardRemoved(() => {
-      setCardInfo(null);
+    const cardRemovedCleanup = window.nfcAPI.onCardRemoved((data) => {
+      // Another desk's reader losing its card must not clear this panel
+      setCardInfo(prev => (prev && prev.reader !== data.reader ? prev : null));
       setApiResponse(null);
-      addLog('Card removed', 'info');
+      addLog(`Card removed from ${data.reader}`, 'info');
     });
 
     return () => {
       errorCleanup();
+      readerConnectedCleanup();
+      readerDisconnectedCleanup();
+      readerRecoveryCleanup();
       cardDetectedCleanup();
       cardRemovedCleanup();
+      suspectedCloneCleanup();
+      cardRepeatCleanup();
     };
-  }, [autoSendToAPI, nfcStatus.initialized]);
+  }, [autoSendToAPI, rejectNonGenuine, acceptUnsigned, attendanceMode, nfcStatus.lifecycle]);
+
+  // Show the handler's window until the operator edits it
+  useEffect(() => {
+    if (nfcStatus.debounceWindowMs !== undefined) {
+      setDebounceSeconds(prev => (prev === '' ? String(nfcStatus.debounceWindowMs / 1000) : prev));
+    }
+  }, [nfcStatus.debounceWindowMs]);
+
+  // An emptied or invalid field keeps the current window - Number('') is 0,
+  // which would quietly turn suppression off
+  const applyDebounce = async () => {
+    const current = nfcStatus.debounceWindowMs === undefined ? '' : String(nfcStatus.debounceWindowMs / 1000);
+    const seconds = debounceSeconds.trim() === '' ? NaN : Number(debounceSeconds);
+    if (!Number.isFinite(seconds) || seconds < 0 || seconds > 3600) {
+      setDebounceSeconds(current);
+      addLog(`Repeat-tap window must be 0 to 3600 seconds${current ? ` - keeping ${current}s` : ''}`, 'warning');
+      return;
+    }
+
+    const result = await window.nfcAPI.setDebounce(Math.round(seconds * 1000));
+    if (result.success) {
+      addLog(`Repeat taps ignored for ${result.windowMs / 1000}s`, 'info');
+      await updateNFCStatus();
+    } else {
+      setDebounceSeconds(current);
+      addLog(`Failed to set repeat-tap window: ${result.error}`, 'error');
+    }
+  };
 
   const startScanning = async () => {
     try {
@@ -166,8 +312,13 @@ const NFCScanner = ({ nfcStatus, updateNFCStatus, addLog, systemError, setSystem
 
   const stopScanning = async () => {
     try {
-      await window.nfcAPI.stopNFC();
+      const result = await window.nfcAPI.stopNFC();
+      if (!result.success) {
+        addLog(`Failed to stop NFC: ${result.error}`, 'error');
+        return;
+      }
       setIsScanning(false);
+      setCardInfo(null);
       await updateNFCStatus();
       addLog('NFC scanning stopped', 'info');
       speak('NFC scanning stopped', true);
@@ -177,6 +328,11 @@ const NFCScanner = ({ nfcStatus, updateNFCStatus, addLog, systemError, setSystem
     }
   };
 
+  const connectedReaders = nfcStatus.readerStates || [];
+  const disconnectedReaders = Object.values(lostReaders)
+    .filter(lost => !connectedReaders.some(reader => reader.name === lost.reader));
+  const watchdog = nfcStatus.lifecycle === 'running' ? nfcStatus.watchdog : null;
+
   return (
     <div className="bg-white border-2 rounded-xl p-6 shadow-lg" style={{ borderColor: '#d35c57' }}>
       <div className="flex items-center justify-between mb-4">
@@ -195,12 +351,76 @@ const NFCScanner = ({ nfcStatus, updateNFCStatus, addLog, systemError, setSystem
               <div className={`w-3 h-3 rounded-full mr-2 ${
                 isScanning ? 'bg-white animate-pulse' : 'bg-red-500'
               }`}></div>
-              {isScanning ? 'ACTIVE' : 'INACTIVE'}
+              {isScanning ? 'ACTIVE' : nfcStatus.lifecycle === 'paused' ? 'PAUSED' : 'INACTIVE'}
             </div>
             
             <div className="text-gray-700 font-medium">
               <span className="text-gray-500">Readers:</span> {nfcStatus.readerCount}
             </div>
+            
+            <div className="text-gray-700 font-medium">
+              <span className="text-gray-500">Probed Unknown Chips:</span> {nfcStatus.cachedProfiles ?? 0}
+            </div>
+          </div>
+
+          {/* Per-reader state - unplugged readers stay listed until they return */}
+          {(connectedReaders.length > 0 || disconnectedReaders.length > 0) && (
+            <div className="mb-4 space-y-1">
+              {connectedReaders.map((reader) => (
+                <div key={reader.name} className="flex items-center text-sm text-gray-600">
+                  <div className={`w-2 h-2 rounded-full mr-2 ${reader.hasCard ? 'bg-green-500' : 'bg-gray-300'}`}></div>
+                  <span className="font-medium mr-2">{reader.name}</span>
+                  <span className="text-gray-400">
+                    Connected · {reader.hasCard ? `Card ${reader.card.uid}` : 'No card'}
+                  </span>
+                </div>
+              ))}
+              {disconnectedReaders.map((reader) => (
+                <div key={reader.reader} className="flex items-center text-sm text-gray-600">
+                  <div className="w-2 h-2 rounded-full mr-2 bg-red-500"></div>
+                  <span className="font-medium mr-2">{reader.reader}</span>
+                  <span className="text-red-600">
+                    Disconnected since {new Date(reader.timestamp).toLocaleTimeString()}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {watchdog && watchdog.recovering && (
+            <div className="mb-4 flex items-center text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md px-3 py-2">
+              <div className="w-2 h-2 rounded-full mr-2 bg-yellow-500 animate-pulse"></div>
+              {watchdog.attempt > 0
+                ? `Reconnecting to PC/SC (attempt ${watchdog.attempt})`
+                : 'PC/SC context lost - reconnecting'}
+              {watchdog.nextRetryAt && ` · next try ${new Date(watchdog.nextRetryAt).toLocaleTimeString()}`}
+              {watchdog.lastError && <span className="ml-1 text-yellow-700">({watchdog.lastError})</span>}
+            </div>
+          )}
+
+          {/* Attendance mode */}
+          <div className="flex items-center space-x-4 mb-3 text-sm text-gray-600">
+            <span className="font-medium text-gray-700">Identify by:</span>
+            <label className="flex items-center cursor-pointer">
+              <input
+                type="radio"
+                name="attendanceMode"
+                checked={attendanceMode === 'card'}
+                onChange={() => setAttendanceMode('card')}
+                className="mr-2"
+              />
+              Signed ID on card
+            </label>
+            <label className="flex items-center cursor-pointer">
+              <input
+                type="radio"
+                name="attendanceMode"
+                checked={attendanceMode === 'uid'}
+                onChange={() => setAttendanceMode('uid')}
+                className="mr-2"
+              />
+              Card UID only ({nfcStatus.registeredUids ?? 0} registered)
+            </label>
           </div>
 
           {/* Auto-send toggle */}
@@ -214,6 +434,37 @@ const NFCScanner = ({ nfcStatus, updateNFCStatus, addLog, systemError, setSystem
               />
               Auto-send attendance on card detection
             </label>
+            <label className="flex items-center text-sm text-gray-600 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={rejectNonGenuine}
+                onChange={(e) => setRejectNonGenuine(e.target.checked)}
+                className="mr-2"
+              />
+              Reject cards that fail the originality check
+            </label>
+            <label className="flex items-center text-sm text-gray-600 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={acceptUnsigned}
+                onChange={(e) => setAcceptUnsigned(e.target.checked)}
+                className="mr-2"
+              />
+              Accept unsigned legacy cards
+            </label>
+            <label className="flex items-center text-sm text-gray-600">
+              Ignore repeat taps within
+              <input
+                type="number"
+                min={0}
+                max={3600}
+                value={debounceSeconds}
+                onChange={(e) => setDebounceSeconds(e.target.value)}
+                onBlur={applyDebounce}
+                className="w-16 mx-2 px-2 py-0.5 border border-gray-300 rounded-md"
+              />
+              seconds
+            </label>
           </div>
 
           {/* API Status */}
@@ -238,7 +489,7 @@ const NFCScanner = ({ nfcStatus, updateNFCStatus, addLog, systemError, setSystem
                   <div className={`w-3 h-3 rounded-full mr-3 ${
                     apiResponse.success ? 'bg-green-500' : 'bg-red-500'
                   }`}></div>
-                  {apiResponse.success ? '✅ Attendance Recorded' : '❌ Recording Failed'}
+                  {apiResponse.success ? '✅ Attendance Recorded' : apiResponse.rejected ? '🚫 Card Rejected' : '❌ Recording Failed'}
                 </div>
               )}
             </div>
@@ -250,11 +501,53 @@ const NFCScanner = ({ nfcStatus, updateNFCStatus, addLog, systemError, setSystem
               <div className="flex items-center mb-2">
                 <div className="w-3 h-3 bg-blue-500 rounded-full mr-2 animate-pulse"></div>
                 <h3 className="text-sm font-bold text-blue-800">Card Detected</h3>
+                {cardInfo.repeat && (
+                  <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-gray-200 text-gray-700">Already recorded - tap ignored</span>
+                )}
+                {cardInfo.reissueKeyId !== undefined && (
+                  <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-yellow-100 text-yellow-800">Re-issue card (old key {cardInfo.reissueKeyId})</span>
+                )}
               </div>
               <div className="grid grid-cols-2 gap-2 text-xs text-blue-700">
+                <div className="col-span-2"><span className="font-medium">Reader:</span> {cardInfo.reader}</div>
                 <div><span className="font-medium">UID:</span> {cardInfo.uid}</div>
                 <div><span className="font-medium">Type:</span> {cardInfo.type}</div>
                 <div><span className="font-medium">Standard:</span> {cardInfo.standard}</div>
+                {cardInfo.model && (
+                  <div><span className="font-medium">Model:</span> {cardInfo.model.name} ({cardInfo.model.userMemory.bytes} bytes)</div>
+                )}
+                {cardInfo.originality && (
+                  <div>
+                    <span className="font-medium">Originality:</span>{' '}
+                    {cardInfo.originality.status === 'genuine' && '✅ Genuine'}
+                    {cardInfo.originality.status === 'not-genuine' && '🚫 Not genuine'}
+                    {cardInfo.originality.status === 'unsupported' && 'Not available'}
+                  </div>
+                )}
+                {cardInfo.registeredUser !== undefined && (
+                  <div>
+                    <span className="font-medium">Registered To:</span>{' '}
+                    {cardInfo.registeredUser ? `User ${cardInfo.registeredUser}` : '🚫 Unregistered UID'}
+                  </div>
+                )}
+                {cardInfo.signature && (
+                  <div>
+                    <span className="font-medium">Signature:</span>{' '}
+                    {cardInfo.signature === 'valid' && '✅ Valid'}
+                    {cardInfo.signature === 'PAYLOAD_UNSIGNED' && '⚠️ Unsigned'}
+                    {cardInfo.signature === 'SIGNATURE_INVALID' && '🚫 Forged'}
+                  </div>
+                )}
+                {cardInfo.counter && cardInfo.counter.value !== null && (
+                  <div>
+                    <span className="font-medium">Tap Counter:</span> {cardInfo.counter.value}
+                    {cardInfo.counter.suspicion && (
+                      <span className="ml-1 font-bold text-red-700">
+                        🚨 {cardInfo.counter.suspicion === 'rollback' ? 'went backwards' : 'jumped'} from {cardInfo.counter.previous}
+                      </span>
+                    )}
+                  </div>
+                )}
                 {cardInfo.atr && (
                   <div><span className="font-medium">ATR:</span> {cardInfo.atr.substring(0, 16)}...</div>
                 )}
@@ -308,6 +601,9 @@ const NFCScanner = ({ nfcStatus, updateNFCStatus, addLog, systemError, setSystem
           <li>Enable auto-send to automatically record attendance when cards are detected</li>
           <li>Place NFC cards on the reader - system will detect and process automatically</li>
           <li>Voice feedback will confirm successful attendance recording</li>
+          <li>NTAG21x and Ultralight EV1 badges are checked against NXP's originality signature</li>
+          <li>Badges must carry a user ID signed for that card by the Card Writer</li>
+          <li>In "Card UID only" mode any card works once its UID is registered in the Card Writer - nothing is read from it</li>
         </ul>
       </div>
     </div>
@@ -1,5 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import cardRejectedSound from '../assets/card_rejected.mp3';
+import PageConfigPicker from './PageConfigPicker';
+import { readCardText, verifyCardText } from './cardText';
+
+// On-card text formats reported by readPageText
+const TEXT_FORMAT_LABELS = {
+  'utf8-v1': 'UTF-8, length-prefixed (v1)',
+  legacy: 'Legacy padded text - rewrite to upgrade',
+  empty: 'Empty'
+};
+
+// Card contents stay out of the activity log, which goes into diagnostics bundles
+const describeRead = (result) => result.text
+  ? `${result.text.length} character(s)${result.encrypted ? `, decrypted with key ${result.keyId}` : ''}`
+  : '(empty)';
 
 const CardReader = ({ addLog }) => {
   const [readResult, setReadResult] = useState(null);
@@ -7,6 +22,7 @@ const CardReader = ({ addLog }) => {
   const [isSendingToAPI, setIsSendingToAPI] = useState(false);
   const [apiResponse, setApiResponse] = useState(null);
   const [autoReadEnabled, setAutoReadEnabled] = useState(true);
+  const [acceptUnsigned, setAcceptUnsigned] = useState(false);
   const [cardInfo, setCardInfo] = useState(null);
 
   const API_ENDPOINT = 'https://gps-api.jeuxtesting.com/api/event/checkin-checkout';
@@ -79,6 +95,19 @@ const CardReader = ({ addLog }) => {
     }
   };
 
+  // Same rule as the scanner: only user IDs signed for this card are posted
+  const sendVerified = async (text, uid) => {
+    const verified = await verifyCardText(text, uid, { acceptUnsigned });
+    if (!verified.accepted) {
+      addLog(`🚫 Card ${uid} rejected: ${verified.error}`, 'error');
+      setApiResponse({ success: false, error: verified.error });
+      new Audio(cardRejectedSound).play().catch(err => console.warn('Audio playback error:', err));
+      return;
+    }
+    if (verified.legacy) addLog(`⚠️ Card ${uid} is not signed - accepted as a legacy card`, 'warning');
+    await sendToAPI(verified.userId);
+  };
+
   // Auto-detection setup
   useEffect(() => {
     if (!window.nfcAPI) {
@@ -92,28 +121,28 @@ const CardReader = ({ addLog }) => {
       setCardInfo(data);
       setApiResponse(null);
       setReadResult(null);
-      addLog(`Card detected in Reader: ${data.type} (UID: ${data.uid})`, 'info');
+      addLog(`Card detected in Reader on ${data.reader}: ${data.type} (UID: ${data.uid})`, 'info');
       
       // Auto-read and send to API if enabled
       if (autoReadEnabled) {
-        await handleAutoRead();
+        await handleAutoRead(data.reader, data.uid);
       }
     });
 
     // Listen for card removal
-    const cardRemovedCleanup = window.nfcAPI.onCardRemoved(() => {
-      setCardInfo(null);
+    const cardRemovedCleanup = window.nfcAPI.onCardRemoved((data) => {
+      setCardInfo(prev => (prev && prev.reader !== data.reader ? prev : null));
       setApiResponse(null);
-      addLog('Card removed from reader', 'info');
+      addLog(`Card removed from ${data.reader}`, 'info');
     });
 
     return () => {
       cardDetectedCleanup();
       cardRemovedCleanup();
     };
-  }, [autoReadEnabled]);
+  }, [autoReadEnabled, acceptUnsigned]);
 
-  const handleAutoRead = async () => {
+  const handleAutoRead = async (readerName, uid) => {
     if (!window.nfcAPI) {
       addLog('NFC API not available', 'error');
       return;
@@ -125,15 +154,15 @@ const CardReader = ({ addLog }) => {
     addLog('Auto-reading card...', 'info');
     
     try {
-      const result = await window.nfcAPI.readPageText();
+      const result = await readCardText(readerName);
       setReadResult(result);
       
       if (result.success) {
-        addLog(`Card read successful: "${result.text || '(empty)'}"`, 'success');
+        addLog(`Card read successful: ${describeRead(result)}`, 'success');
         
         // Automatically send to API if successful and has text
         if (result.text && result.text.trim()) {
-          await sendToAPI(result.text);
+          await sendVerified(result.text, uid);
         } else {
           addLog('Card is empty - no user ID to send', 'warning');
           speak('Card is empty', false);
@@ -163,11 +192,11 @@ const CardReader = ({ addLog }) => {
     addLog('Reading card (no API send)...', 'info');
     
     try {
-      const result = await window.nfcAPI.readPageText();
+      const result = await readCardText(cardInfo?.reader);
       setReadResult(result);
       
       if (result.success) {
-        addLog(`Card read successful: "${result.text || '(empty)'}"`, 'success');
+        addLog(`Card read successful: ${describeRead(result)}`, 'success');
       } else {
         addLog(`Card read failed: ${result.error}`, 'error');
       }
@@ -192,15 +221,15 @@ const CardReader = ({ addLog }) => {
     addLog('Reading card...', 'info');
     
     try {
-      const result = await window.nfcAPI.readPageText();
+      const result = await readCardText(cardInfo?.reader);
       setReadResult(result);
       
       if (result.success) {
-        addLog(`Card read successful: "${result.text || '(empty)'}"`, 'success');
+        addLog(`Card read successful: ${describeRead(result)}`, 'success');
         
         // Automatically send to API if successful and has text
         if (result.text && result.text.trim()) {
-          await sendToAPI(result.text);
+          await sendVerified(result.text, cardInfo?.uid);
         } else {
           addLog('Card is empty - no user ID to send', 'warning');
           speak('Card is empty', false);
@@ -229,6 +258,8 @@ const CardReader = ({ addLog }) => {
     <div className="bg-white border-2 rounded-xl p-6 shadow-lg" style={{ borderColor: '#d35c57' }}>
       <h3 className="text-xl font-bold mb-4" style={{ color: '#d35c57' }}>📖 Card Reader</h3>
       
+      <PageConfigPicker addLog={addLog} />
+      
       {/* Auto-read toggle */}
       <div className="flex items-center space-x-3 mb-4">
         <label className="flex items-center text-sm text-gray-600 cursor-pointer">
@@ -240,6 +271,15 @@ const CardReader = ({ addLog }) => {
           />
           Auto-read cards when detected
         </label>
+        <label className="flex items-center text-sm text-gray-600 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={acceptUnsigned}
+            onChange={(e) => setAcceptUnsigned(e.target.checked)}
+            className="mr-2"
+          />
+          Accept unsigned legacy cards
+        </label>
         <div className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${
           autoReadEnabled 
             ? 'bg-green-100 text-green-800 border border-green-200' 
@@ -257,8 +297,12 @@ const CardReader = ({ addLog }) => {
             <h4 className="text-sm font-bold text-blue-800">Card Detected</h4>
           </div>
           <div className="grid grid-cols-2 gap-2 text-xs text-blue-700">
+            <div className="col-span-2"><span className="font-medium">Reader:</span> {cardInfo.reader}</div>
             <div><span className="font-medium">UID:</span> {cardInfo.uid}</div>
             <div><span className="font-medium">Type:</span> {cardInfo.type}</div>
+            {cardInfo.model && (
+              <div className="col-span-2"><span className="font-medium">Model:</span> {cardInfo.model.name} • {cardInfo.model.userMemory.bytes} bytes user memory • max payload {cardInfo.model.maxPayloadSize} bytes</div>
+            )}
           </div>
         </div>
       )}
@@ -330,6 +374,13 @@ const CardReader = ({ addLog }) => {
                 <div><span className="font-medium">Text Data:</span> <span className="font-mono bg-white px-2 py-1 rounded">"{readResult.text || '(empty)'}"</span></div>
                 <div><span className="font-medium">Raw Hex:</span> <span className="font-mono text-xs bg-white px-2 py-1 rounded">{readResult.rawHex}</span></div>
                 <div><span className="font-medium">Data Size:</span> {readResult.dataSize} bytes</div>
+                {readResult.format && (
+                  <div>
+                    <span className="font-medium">Format:</span>{' '}
+                    {TEXT_FORMAT_LABELS[readResult.format] || readResult.format}
+                    {readResult.encrypted && ` • encrypted (key ${readResult.keyId})`}
+                  </div>
+                )}
                 {readResult.text && readResult.text.trim() && !isSendingToAPI && apiResponse?.success && (
                   <div className="mt-2 p-2 bg-blue-100 rounded text-blue-800 text-sm">
                     🚀 User ID "{readResult.text.trim()}" sent to attendance API successfully
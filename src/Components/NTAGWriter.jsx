@@ -1,16 +1,35 @@
 import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
+import PageConfigPicker from './PageConfigPicker';
 
 const CardWriter = ({ addLog }) => {
   const [text, setText] = useState('');
   const [writeResult, setWriteResult] = useState(null);
   const [isWriting, setIsWriting] = useState(false);
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [registerResult, setRegisterResult] = useState(null);
   const [users, setUsers] = useState([]);
   const [selectedUser, setSelectedUser] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [isLoadingUsers, setIsLoadingUsers] = useState(false);
   const [showUserDropdown, setShowUserDropdown] = useState(false);
   const [error, setError] = useState(null);
+  const [cardFormat, setCardFormat] = useState('ndef');
+  const [protectOnWrite, setProtectOnWrite] = useState(false);
+  const [protection, setProtection] = useState({
+    pwd: '',
+    pack: '',
+    auth0: 4,
+    mode: 'write'
+  });
+  const [lockRange, setLockRange] = useState({ whole: true, startPage: 4, endPage: 15 });
+  const [lockState, setLockState] = useState(null);
+  const [lockConfirm, setLockConfirm] = useState('');
+  const [isLocking, setIsLocking] = useState(false);
+  const [encryption, setEncryption] = useState(null);
+  // Encrypted badges can only be stored as page data
+  const encryptionOn = !!(encryption && encryption.enabled);
+  const writeFormat = encryptionOn ? 'raw' : cardFormat;
   
   // Refs for custom dropdown
   const dropdownRef = useRef(null);
@@ -44,6 +63,32 @@ const CardWriter = ({ addLog }) => {
     loadUsers();
   }, []);
 
+  useEffect(() => {
+    if (!window.nfcAPI) return;
+    window.nfcAPI.getNFCStatus().then(status => setEncryption(status.payloadEncryption || null));
+  }, []);
+
+  const togglePayloadEncryption = async (enabled) => {
+    const result = await window.nfcAPI.setPayloadEncryption(enabled);
+    if (result.success) {
+      setEncryption(result);
+      addLog(enabled ? `🗝️ Raw page data will be encrypted with key ${result.currentKeyId}` : '🗝️ Payload encryption disabled', 'info');
+    } else {
+      addLog(`Failed to change payload encryption: ${result.error}`, 'error');
+    }
+  };
+
+  // Older keys stay in the keyring, so cards issued with them keep working
+  const rotatePayloadKey = async () => {
+    const result = await window.nfcAPI.rotatePayloadKey();
+    if (result.success) {
+      setEncryption(result);
+      addLog(`🗝️ Payload key rotated - new cards use key ${result.keyId}. Copy payload-keys.json to every desk.`, 'success');
+    } else {
+      addLog(`Key rotation failed: ${result.error}`, 'error');
+    }
+  };
+
   // Handle clicks outside dropdown to close it
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -122,15 +167,55 @@ const CardWriter = ({ addLog }) => {
     addLog(`Writing "${text.trim()}" to card...`, 'info');
     
     try {
-      // Use the correct API method for writing text to page
-      const result = await window.nfcAPI.writePageText(text.trim());
+      // The scanner only accepts IDs carrying a MAC made for this card's UID
+      const signed = await window.nfcAPI.signPayload(text.trim());
+      if (!signed.success) {
+        setWriteResult(signed);
+        addLog(`❌ Could not sign user ID: ${signed.error}`, 'error');
+        return;
+      }
+
+      // NDEF text records can be read by phones as well as the scanner
+      let result = writeFormat === 'ndef'
+        ? await window.nfcAPI.writeNDEF([{ type: 'text', text: signed.payload }])
+        : await window.nfcAPI.writePageText(signed.payload);
+
+      // MIFARE Classic badges have no NDEF support - store the raw text instead
+      if (result.code === 'NDEF_UNSUPPORTED') {
+        addLog('Card does not support NDEF - writing raw text instead', 'warning');
+        result = await window.nfcAPI.writePageText(signed.payload);
+      }
       setWriteResult(result);
       
       if (result.success) {
-        addLog(`✅ Successfully wrote "${text.trim()}" to card`, 'success');
+        addLog(`✅ Successfully wrote "${text.trim()}" to card ${signed.uid} (signed)`, 'success');
         if (selectedUser) {
           addLog(`Card programmed for: ${selectedUser.firstName} ${selectedUser.lastName}`, 'success');
         }
+
+        // Tap counting lets the scanner spot cloned badges (NTAG21x only)
+        const counterResult = await window.nfcAPI.enableCounter();
+        if (counterResult.success) {
+          if (!counterResult.alreadyEnabled) addLog('🔢 NFC tap counter enabled', 'info');
+        } else if (counterResult.code !== 'COUNTER_UNSUPPORTED') {
+          addLog(`Could not enable NFC tap counter: ${counterResult.error}`, 'warning');
+        }
+
+        if (protectOnWrite) {
+          const protectResult = await window.nfcAPI.protectCard({
+            pwd: protection.pwd,
+            pack: protection.pack,
+            auth0: Number(protection.auth0),
+            mode: protection.mode
+          });
+          if (protectResult.success) {
+            addLog(`🔐 ${protectResult.message}`, 'success');
+            if (protectResult.warning) addLog(`⚠️ ${protectResult.warning}`, 'warning');
+          } else {
+            addLog(`❌ Card written but protection failed: ${protectResult.error}`, 'error');
+          }
+          setWriteResult(prev => ({ ...prev, protection: protectResult }));
+        }
         
         // Text-to-speech feedback
         if ('speechSynthesis' in window) {
@@ -145,6 +230,10 @@ const CardWriter = ({ addLog }) => {
             console.warn('Text-to-speech error:', err);
           }
         }
+      } else if (result.code === 'AUTH_FAILED') {
+        addLog(`🔐 Card rejected the password: ${result.error}`, 'error');
+      } else if (result.code === 'TAG_MODEL_UNKNOWN') {
+        addLog(`❓ ${result.error}`, 'error');
       } else {
         addLog(`❌ Write failed: ${result.error}`, 'error');
         
@@ -171,11 +260,119 @@ const CardWriter = ({ addLog }) => {
     }
   };
 
+  // UID-only attendance - links the card on the reader to the user without
+  // writing to it, so transit and building cards can be used as badges
+  const handleRegisterUid = async () => {
+    if (!window.nfcAPI) {
+      addLog('NFC API not available', 'error');
+      return;
+    }
+
+    setIsRegistering(true);
+    setRegisterResult(null);
+    try {
+      const label = selectedUser ? `${selectedUser.firstName} ${selectedUser.lastName}` : null;
+      const result = await window.nfcAPI.registerUid(text.trim(), label);
+      setRegisterResult(result);
+      if (result.success) {
+        addLog(`🪪 Card ${result.uid} registered for ${label || `user ${result.userId}`} - nothing was written to it`, 'success');
+        if (result.previous && result.previous.userId !== result.userId) {
+          addLog(`Card ${result.uid} was previously registered to user ${result.previous.userId}`, 'warning');
+        }
+      } else {
+        addLog(`❌ UID registration failed: ${result.error}`, 'error');
+      }
+    } finally {
+      setIsRegistering(false);
+    }
+  };
+
+  const isValidHex = (value, length) => new RegExp(`^[0-9a-fA-F]{${length}}$`).test(value);
+
+  const protectionValid = isValidHex(protection.pwd, 8) && isValidHex(protection.pack, 4);
+
+  const applyPassword = async () => {
+    if (!window.nfcAPI) {
+      addLog('NFC API not available', 'error');
+      return;
+    }
+
+    const result = await window.nfcAPI.setPassword({
+      pwd: protection.pwd,
+      pack: protection.pack,
+      mode: protection.mode
+    });
+    if (result.success) {
+      addLog(`🔐 Password applied for card ${result.uid}`, 'success');
+    } else {
+      addLog(`Failed to apply password: ${result.error}`, 'error');
+    }
+  };
+
+  const clearPassword = async () => {
+    if (!window.nfcAPI) return;
+    const result = await window.nfcAPI.setPassword(null);
+    if (result.success) {
+      addLog(`🔓 Password cleared for card ${result.uid}`, 'info');
+    } else {
+      addLog(`Failed to clear password: ${result.error}`, 'error');
+    }
+  };
+
+  const lockRequest = () => lockRange.whole
+    ? { whole: true }
+    : { startPage: Number(lockRange.startPage), endPage: Number(lockRange.endPage) };
+
+  const updateLockRange = (changes) => {
+    setLockRange(prev => ({ ...prev, ...changes }));
+    // The preview no longer matches what would be locked
+    setLockState(null);
+    setLockConfirm('');
+  };
+
+  const checkLockState = async () => {
+    if (!window.nfcAPI) {
+      addLog('NFC API not available', 'error');
+      return;
+    }
+
+    const result = await window.nfcAPI.getLockState(lockRequest());
+    setLockState(result);
+    if (result.success) {
+      addLog(`🔒 ${result.tagType}: ${result.lockedPages.length} page(s) already locked`, 'info');
+    } else {
+      addLog(`Failed to read lock state: ${result.error}`, 'error');
+    }
+  };
+
+  const handleLock = async () => {
+    if (!window.nfcAPI || lockConfirm !== 'LOCK') return;
+
+    setIsLocking(true);
+    addLog('🔒 Locking card pages permanently...', 'warning');
+
+    try {
+      const result = await window.nfcAPI.lockTag({ ...lockRequest(), confirm: lockConfirm });
+      if (result.success) {
+        addLog(`🔒 ${result.message}`, 'success');
+      } else {
+        addLog(`❌ Lock failed: ${result.error}`, 'error');
+      }
+      setLockConfirm('');
+      // Show what the card reports now
+      const state = await window.nfcAPI.getLockState(lockRequest());
+      setLockState({ ...state, lockResult: result });
+    } finally {
+      setIsLocking(false);
+    }
+  };
+
   const clearForm = () => {
     setText('');
     setSelectedUser(null);
     setSearchTerm('');
     setWriteResult(null);
+    setRegisterResult(null);
     setError(null);
     setShowUserDropdown(false);
     addLog('Form cleared', 'info');
@@ -214,6 +411,8 @@ const CardWriter = ({ addLog }) => {
         </button>
       </div>
 
+      <PageConfigPicker addLog={addLog} />
+
       {/* Custom User Search Dropdown */}
       <div className="mb-4 relative" ref={dropdownRef}>
         <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -354,17 +553,154 @@ const CardWriter = ({ addLog }) => {
       
     
 
+      {/* Card Format */}
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Card Format:
+        </label>
+        <select
+          value={writeFormat}
+          onChange={(e) => setCardFormat(e.target.value)}
+          disabled={encryptionOn}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-red-400 focus:border-red-400 disabled:bg-gray-100"
+        >
+          <option value="ndef" disabled={encryptionOn}>NDEF Text Record (readable by phones)</option>
+          <option value="raw">Raw Page Data (legacy)</option>
+        </select>
+        {encryptionOn && (
+          <p className="text-xs text-gray-500 mt-1">
+            Encryption is on, so cards are written as raw page data - NDEF records cannot be encrypted.
+          </p>
+        )}
+      </div>
+
+      {/* Payload Encryption */}
+      {encryption && (
+        <div className="mb-4 p-4 bg-gray-50 border border-gray-200 rounded-md">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <label className="flex items-center text-sm font-medium text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={encryption.enabled}
+                onChange={(e) => togglePayloadEncryption(e.target.checked)}
+                className="mr-2"
+              />
+              🗝️ Encrypt raw page data (AES)
+            </label>
+            <button
+              onClick={rotatePayloadKey}
+              disabled={!encryption.enabled}
+              className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-white disabled:opacity-50"
+            >
+              Rotate Key
+            </button>
+          </div>
+          {encryption.enabled && (
+            <p className="text-xs text-gray-500 mt-2">
+              New cards use key {encryption.currentKeyId} ({encryption.keyIds.length} key(s) in the keyring).
+              The page config needs room for the 31-byte envelope - use a 48/64-byte config.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Password Protection */}
+      <div className="mb-4 p-4 bg-gray-50 border border-gray-200 rounded-md">
+        <label className="flex items-center text-sm font-medium text-gray-700 cursor-pointer mb-3">
+          <input
+            type="checkbox"
+            checked={protectOnWrite}
+            onChange={(e) => setProtectOnWrite(e.target.checked)}
+            className="mr-2"
+          />
+          🔐 Password-protect card after writing (NTAG21x)
+        </label>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">PWD (8 hex)</label>
+            <input
+              type="password"
+              value={protection.pwd}
+              onChange={(e) => setProtection(prev => ({ ...prev, pwd: e.target.value.trim() }))}
+              maxLength={8}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md font-mono text-sm"
+              placeholder="12345678"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">PACK (4 hex)</label>
+            <input
+              type="text"
+              value={protection.pack}
+              onChange={(e) => setProtection(prev => ({ ...prev, pack: e.target.value.trim() }))}
+              maxLength={4}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md font-mono text-sm"
+              placeholder="ABCD"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">AUTH0 (start page)</label>
+            <input
+              type="number"
+              min={4}
+              max={255}
+              value={protection.auth0}
+              onChange={(e) => setProtection(prev => ({ ...prev, auth0: e.target.value }))}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Protection Mode</label>
+            <select
+              value={protection.mode}
+              onChange={(e) => setProtection(prev => ({ ...prev, mode: e.target.value }))}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="write">Write only</option>
+              <option value="readwrite">Read + Write</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="flex space-x-2 mt-3">
+          <button
+            onClick={applyPassword}
+            disabled={!protectionValid}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-white disabled:opacity-50"
+          >
+            Use Password for This Card
+          </button>
+          <button
+            onClick={clearPassword}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-white"
+          >
+            Clear Password
+          </button>
+        </div>
+      </div>
+
       {/* Write Controls */}
       <div className="flex space-x-2 mb-4">
         <button
           onClick={handleWrite}
-          disabled={isWriting || !text.trim()}
+          disabled={isWriting || !text.trim() || (protectOnWrite && !protectionValid)}
           className="px-6 py-3 text-white rounded-lg font-medium hover:opacity-90 transition-opacity shadow-md disabled:opacity-50"
           style={{ backgroundColor: '#d35c57' }}
         >
           {isWriting ? '🔄 Writing...' : '✏️ Write to Card'}
         </button>
 
+        <button
+          onClick={handleRegisterUid}
+          disabled={isRegistering || isWriting || !text.trim()}
+          className="px-4 py-3 border-2 rounded-lg font-medium hover:bg-gray-50 disabled:opacity-50"
+          style={{ borderColor: '#d35c57', color: '#d35c57' }}
+          title="Link this card's UID to the user without writing to the card"
+        >
+          {isRegistering ? '🔄 Registering...' : '🪪 Register UID'}
+        </button>
+
         <button
           onClick={clearForm}
           className="px-4 py-3 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
@@ -373,6 +709,15 @@ const CardWriter = ({ addLog }) => {
         </button>
       </div>
 
+      {/* UID registration result */}
+      {registerResult && (
+        <div className={`p-3 rounded-md mb-4 text-sm ${registerResult.success ? 'bg-green-50 border border-green-200 text-green-800' : 'bg-red-50 border border-red-200 text-red-700'}`}>
+          {registerResult.success
+            ? `🪪 UID ${registerResult.uid} → user ${registerResult.userId}${registerResult.label ? ` (${registerResult.label})` : ''}`
+            : `❌ ${registerResult.error}`}
+        </div>
+      )}
+
       {/* Error Display */}
       {error && (
         <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
@@ -390,6 +735,18 @@ const CardWriter = ({ addLog }) => {
                 <div><span className="font-medium">Message:</span> {writeResult.message}</div>
                 <div><span className="font-medium">Verified:</span> {writeResult.verified ? 'Yes' : 'No'}</div>
                 <div><span className="font-medium">Data Size:</span> {writeResult.dataSize} bytes</div>
+                {writeResult.encrypted && (
+                  <div><span className="font-medium">Encrypted:</span> key {writeResult.keyId}</div>
+                )}
+                {writeResult.written && (
+                  <div>
+                    <span className="font-medium">Written {writeResult.unit}s:</span> {writeResult.written.length > 0 ? writeResult.written.join(', ') : 'none (already up to date)'}
+                    {writeResult.retried.length > 0 && ` • retried ${writeResult.retried.join(', ')}`}
+                  </div>
+                )}
+                {writeResult.protection && (
+                  <div><span className="font-medium">Protection:</span> {writeResult.protection.success ? writeResult.protection.message : `Failed - ${writeResult.protection.error}`}</div>
+                )}
                 {selectedUser && (
                   <div className="mt-2 p-2 bg-blue-100 rounded text-blue-800">
                     <span className="font-medium">Programmed for:</span> {selectedUser.firstName} {selectedUser.lastName} (ID: {selectedUser.id})
@@ -401,11 +758,137 @@ const CardWriter = ({ addLog }) => {
             <div>
               <div className="font-bold text-red-800 mb-2">❌ Write Failed</div>
               <div className="text-sm text-red-700">{writeResult.error}</div>
+              {writeResult.failed && writeResult.failed.length > 0 && (
+                <div className="text-sm text-red-700 mt-1 space-y-1">
+                  <div><span className="font-medium">Failed {writeResult.unit}:</span> {writeResult.failed.join(', ')}</div>
+                  {writeResult.restored.length > 0 && (
+                    <div><span className="font-medium">Restored:</span> {writeResult.restored.join(', ')}</div>
+                  )}
+                  {writeResult.restoreFailed.length > 0 && (
+                    <div className="font-medium">⚠️ Could not restore {writeResult.unit}s {writeResult.restoreFailed.join(', ')} - card contents may be inconsistent</div>
+                  )}
+                </div>
+              )}
             </div>
           )}
         </div>
       )}
 
+      {/* Permanent Lock */}
+      <div className="mb-4 p-4 bg-gray-50 border border-gray-200 rounded-md">
+        <h4 className="text-sm font-bold text-gray-700 mb-1">🔒 Permanent Lock</h4>
+        <p className="text-xs text-gray-500 mb-3">
+          Sets the card's lock bits - locked pages can never be written again, not even with the password.
+        </p>
+
+        <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+          <label className="flex items-center cursor-pointer">
+            <input
+              type="radio"
+              checked={lockRange.whole}
+              onChange={() => updateLockRange({ whole: true })}
+              className="mr-2"
+            />
+            Whole user area
+          </label>
+          <label className="flex items-center cursor-pointer">
+            <input
+              type="radio"
+              checked={!lockRange.whole}
+              onChange={() => updateLockRange({ whole: false })}
+              className="mr-2"
+            />
+            Pages
+          </label>
+          <input
+            type="number"
+            min={3}
+            value={lockRange.startPage}
+            disabled={lockRange.whole}
+            onChange={(e) => updateLockRange({ startPage: e.target.value })}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          />
+          <span className="text-gray-500">to</span>
+          <input
+            type="number"
+            min={3}
+            value={lockRange.endPage}
+            disabled={lockRange.whole}
+            onChange={(e) => updateLockRange({ endPage: e.target.value })}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          />
+          <button
+            onClick={checkLockState}
+            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-white"
+          >
+            Check Lock State
+          </button>
+        </div>
+
+        {lockState && !lockState.success && (
+          <div className="mb-3 text-sm text-red-700">{lockState.error}</div>
+        )}
+
+        {lockState && lockState.success && (
+          <div className="mb-3 text-sm">
+            <div className="text-gray-700 mb-2">
+              <span className="font-medium">{lockState.tagType}</span> • user pages {lockState.userStart}-{lockState.userEnd} •{' '}
+              {lockState.lockedPages.length > 0 ? `${lockState.lockedPages.length} page(s) locked` : 'no pages locked'}
+            </div>
+            <div className="flex flex-wrap gap-1 mb-2">
+              {lockState.groups.map(group => (
+                <span
+                  key={`${group.firstPage}-${group.lastPage}`}
+                  className={`px-1 rounded font-mono text-xs ${group.locked ? 'bg-red-200 text-red-800' : 'bg-green-100 text-green-800'}`}
+                  title={group.locked ? 'Locked' : 'Writable'}
+                >
+                  {group.firstPage === group.lastPage ? group.firstPage : `${group.firstPage}-${group.lastPage}`}
+                </span>
+              ))}
+            </div>
+            {lockState.plan && (
+              <div className="text-gray-700">
+                Locking pages {lockState.plan.startPage}-{lockState.plan.endPage} sets the lock bits for{' '}
+                <span className="font-medium">{lockState.plan.pages.length} page(s)</span>
+                {lockState.plan.pages.length > lockState.plan.endPage - lockState.plan.startPage + 1 && (
+                  <span className="text-orange-700"> - lock bits cover groups of pages, so more pages than requested are locked</span>
+                )}
+                {lockState.plan.uncovered.length > 0 && (
+                  <div className="text-red-700">
+                    This card has no lock bits for pages {lockState.plan.uncovered.join(', ')}
+                  </div>
+                )}
+              </div>
+            )}
+            {lockState.lockResult && (
+              <div className={`mt-2 ${lockState.lockResult.success ? 'text-green-700' : 'text-red-700'}`}>
+                {lockState.lockResult.success ? `✅ ${lockState.lockResult.message} (verified)` : `❌ ${lockState.lockResult.error}`}
+              </div>
+            )}
+          </div>
+        )}
+
+        {lockState && lockState.success && lockState.plan && lockState.plan.uncovered.length === 0 && (
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={lockConfirm}
+              onChange={(e) => setLockConfirm(e.target.value)}
+              placeholder="Type LOCK to confirm"
+              className="px-2 py-1 border border-gray-300 rounded-md font-mono text-sm"
+            />
+            <button
+              onClick={handleLock}
+              disabled={isLocking || lockConfirm !== 'LOCK'}
+              className="px-4 py-1 text-sm text-white rounded-md font-medium hover:opacity-90 disabled:opacity-50"
+              style={{ backgroundColor: '#d35c57' }}
+            >
+              {isLocking ? '🔄 Locking...' : '🔒 Lock Permanently'}
+            </button>
+          </div>
+        )}
+      </div>
+
       {/* Instructions */}
       <div className="text-sm text-gray-600 bg-blue-50 border border-blue-200 rounded-lg p-3">
         <p className="font-medium text-blue-800 mb-1">💡 Writer Instructions:</p>
@@ -413,8 +896,12 @@ const CardWriter = ({ addLog }) => {
           <li><strong>Search Method:</strong> Search and select a user to automatically fill their ID</li>
           <li><strong>Manual Method:</strong> Directly enter any text (user ID, employee number, etc.)</li>
           <li>Place NFC card on the reader before clicking "Write to Card"</li>
+          <li><strong>Register UID:</strong> For cards that cannot be written (transit, building cards) - the scanner's "Card UID only" mode looks the UID up</li>
           <li>Make sure NFC scanning is active in the Scanner tab</li>
           <li>Written cards will work with the attendance system</li>
+          <li><strong>NDEF format:</strong> Cards can also be read by any NFC-enabled phone</li>
+          <li><strong>Password protection:</strong> Keep the PWD and PACK safe - protected cards cannot be rewritten without them</li>
+          <li><strong>Permanent lock:</strong> Check the lock state first - locking cannot be undone</li>
           <li>Voice feedback will confirm write operation status</li>
         </ul>
       </div>
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+
+const EMPTY_DRAFT = { name: '', pageNumber: 4, maxDataSize: 16, description: '' };
+
+// Picks the page config used by readPageText/writePageText on every reader,
+// and adds or edits user configs in the main-process registry
+const PageConfigPicker = ({ addLog }) => {
+  const [configs, setConfigs] = useState([]);
+  const [selected, setSelected] = useState('');
+  const [showEditor, setShowEditor] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!window.nfcAPI) return;
+    window.nfcAPI.listPageConfigs().then(result => {
+      if (result.success) {
+        setConfigs(result.configs);
+        setSelected(result.defaultConfig);
+      }
+    });
+  }, []);
+
+  const selectedConfig = configs.find(config => config.name === selected);
+
+  const handleSelect = async (name) => {
+    const result = await window.nfcAPI.setPageConfig(name);
+    if (result.success) {
+      setSelected(name);
+      addLog(`🔧 Page config set to ${name}: ${result.config.description}`, 'info');
+      (result.warnings || []).forEach(warning => addLog(`⚠️ ${warning}`, 'warning'));
+    } else {
+      addLog(`Failed to set page config: ${result.error}`, 'error');
+    }
+  };
+
+  const editSelected = () => {
+    setDraft(selectedConfig && !selectedConfig.builtIn
+      ? { name: selectedConfig.name, pageNumber: selectedConfig.pageNumber, maxDataSize: selectedConfig.maxDataSize, description: selectedConfig.description }
+      : EMPTY_DRAFT);
+    setShowEditor(true);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const result = await window.nfcAPI.savePageConfig({
+        ...draft,
+        pageNumber: Number(draft.pageNumber),
+        maxDataSize: Number(draft.maxDataSize)
+      });
+      if (result.success) {
+        setConfigs(result.configs);
+        setShowEditor(false);
+        addLog(`💾 Saved page config ${result.config.name}`, 'success');
+        (result.warnings || []).forEach(warning => addLog(`⚠️ ${warning}`, 'warning'));
+      } else {
+        addLog(result.error, 'error');
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const result = await window.nfcAPI.deletePageConfig(selected);
+    if (result.success) {
+      const status = await window.nfcAPI.getNFCStatus();
+      setConfigs(result.configs);
+      setSelected(status.currentConfig ? status.currentConfig.name : '');
+      addLog(`🗑️ Deleted page config ${selected}`, 'info');
+    } else {
+      addLog(result.error, 'error');
+    }
+  };
+
+  if (configs.length === 0) return null;
+
+  return (
+    <div className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-md">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="text-sm font-medium text-gray-700">Page Config:</label>
+        <select
+          value={selected}
+          onChange={(e) => handleSelect(e.target.value)}
+          className="flex-1 min-w-48 px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-red-400 focus:border-red-400"
+        >
+          {configs.map(config => (
+            <option key={config.name} value={config.name}>
+              {config.name} - {config.description}{config.builtIn ? '' : ' (custom)'}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={editSelected}
+          className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-white"
+        >
+          {selectedConfig && !selectedConfig.builtIn ? 'Edit' : 'New'}
+        </button>
+        {selectedConfig && !selectedConfig.builtIn && (
+          <button
+            onClick={handleDelete}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-white"
+          >
+            Delete
+          </button>
+        )}
+      </div>
+
+      {showEditor && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Name</label>
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value.toUpperCase() }))}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md font-mono text-sm"
+              placeholder="BADGE_ID"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Start page</label>
+            <input
+              type="number"
+              min={4}
+              max={255}
+              value={draft.pageNumber}
+              onChange={(e) => setDraft(prev => ({ ...prev, pageNumber: e.target.value }))}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Size (bytes, multiple of 4)</label>
+            <input
+              type="number"
+              min={4}
+              max={512}
+              step={4}
+              value={draft.maxDataSize}
+              onChange={(e) => setDraft(prev => ({ ...prev, maxDataSize: e.target.value }))}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Description</label>
+            <input
+              type="text"
+              value={draft.description}
+              onChange={(e) => setDraft(prev => ({ ...prev, description: e.target.value }))}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+              placeholder="Optional"
+            />
+          </div>
+          <div className="col-span-2 md:col-span-4 flex space-x-2">
+            <button
+              onClick={handleSave}
+              disabled={isSaving || !draft.name.trim()}
+              className="px-4 py-1 text-sm text-white rounded-md hover:opacity-90 disabled:opacity-50"
+              style={{ backgroundColor: '#d35c57' }}
+            >
+              {isSaving ? 'Saving...' : 'Save Config'}
+            </button>
+            <button
+              onClick={() => setShowEditor(false)}
+              className="px-4 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-white"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PageConfigPicker;
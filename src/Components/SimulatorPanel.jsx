@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+
+// Dev panel for the simulator backend (NFC_BACKEND=simulator). Taps go through
+// the same events as a physical reader, so Scanner → API can be exercised
+// without hardware.
+const SimulatorPanel = ({ addLog, updateNFCStatus }) => {
+  const [simState, setSimState] = useState(null);
+  const [selectedReader, setSelectedReader] = useState('');
+  const [newReaderName, setNewReaderName] = useState('');
+  const [cardSpec, setCardSpec] = useState({
+    model: 'NTAG213',
+    text: '',
+    uid: '',
+    failingPages: '',
+    latency: 0,
+    cloned: false
+  });
+  const [error, setError] = useState(null);
+
+  const applyResult = async (result, successMessage) => {
+    if (result.success) {
+      setSimState(result.simulator);
+      setError(null);
+      if (successMessage) addLog(`🧪 ${successMessage}`, 'info');
+      await updateNFCStatus();
+    } else {
+      setError(result.error);
+      addLog(`Simulator: ${result.error}`, 'error');
+    }
+    return result;
+  };
+
+  useEffect(() => {
+    window.nfcAPI.simGetState().then(result => {
+      if (result.success) {
+        setSimState(result.simulator);
+        setSelectedReader(result.simulator.readers[0]?.name || '');
+      }
+    });
+  }, []);
+
+  const parsePages = (value) => value
+    .split(',')
+    .map(page => page.trim())
+    .filter(Boolean)
+    .map(Number);
+
+  const handleAddReader = async () => {
+    const name = newReaderName.trim();
+    const result = await applyResult(await window.nfcAPI.simAddReader(name), `Reader added: ${name}`);
+    if (result.success) {
+      setNewReaderName('');
+      setSelectedReader(name);
+    }
+  };
+
+  const handleTapNew = async () => {
+    const spec = {
+      model: cardSpec.model,
+      text: cardSpec.text || undefined,
+      uid: cardSpec.uid.trim() || undefined,
+      failingPages: parsePages(cardSpec.failingPages),
+      latency: Number(cardSpec.latency) || 0,
+      cloned: cardSpec.cloned
+    };
+    const result = await window.nfcAPI.simTap(selectedReader, spec);
+    await applyResult(result, result.success ? `Tapped new ${spec.model} (${result.result.uid}) on ${selectedReader}` : null);
+  };
+
+  const handleTapKnown = async (uid) => {
+    await applyResult(await window.nfcAPI.simTap(selectedReader, { uid }), `Tapped ${uid} on ${selectedReader}`);
+  };
+
+  if (!simState) return null;
+
+  return (
+    <div className="mb-6 bg-white border-2 border-dashed rounded-xl p-6 shadow-lg" style={{ borderColor: '#d35c57' }}>
+      <h2 className="text-xl font-bold mb-1" style={{ color: '#d35c57' }}>🧪 Reader Simulator</h2>
+      <p className="text-sm text-gray-500 mb-4">Simulator backend active - no physical reader is used</p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-6">
+        {/* Readers */}
+        <div>
+          <h3 className="font-bold text-gray-700 mb-2">Virtual Readers</h3>
+          <div className="space-y-2 mb-3">
+            {simState.readers.map(reader => (
+              <div
+                key={reader.name}
+                className={`flex items-center justify-between p-2 border rounded-lg text-sm ${
+                  selectedReader === reader.name ? 'bg-red-50' : 'border-gray-200'
+                }`}
+                style={{ borderColor: selectedReader === reader.name ? '#d35c57' : undefined }}
+              >
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    checked={selectedReader === reader.name}
+                    onChange={() => setSelectedReader(reader.name)}
+                  />
+                  <span className="font-medium">{reader.name}</span>
+                  <span className="text-gray-500 font-mono text-xs">{reader.card || 'empty'}</span>
+                </label>
+                <div className="space-x-2">
+                  {reader.card && (
+                    <button
+                      onClick={async () => applyResult(await window.nfcAPI.simRemoveCard(reader.name), `Card lifted from ${reader.name}`)}
+                      className="px-2 py-1 border border-gray-300 rounded text-gray-600 hover:bg-gray-50"
+                    >
+                      Lift
+                    </button>
+                  )}
+                  <button
+                    onClick={async () => applyResult(await window.nfcAPI.simRemoveReader(reader.name), `Reader removed: ${reader.name}`)}
+                    className="px-2 py-1 border border-gray-300 rounded text-gray-600 hover:bg-gray-50"
+                  >
+                    Unplug
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={newReaderName}
+              onChange={(e) => setNewReaderName(e.target.value)}
+              placeholder="New reader name"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <button
+              onClick={handleAddReader}
+              disabled={!newReaderName.trim()}
+              className="px-4 py-2 border-2 rounded-lg text-sm font-medium hover:bg-gray-50 disabled:opacity-50"
+              style={{ borderColor: '#d35c57', color: '#d35c57' }}
+            >
+              Plug In
+            </button>
+          </div>
+        </div>
+
+        {/* Cards */}
+        <div>
+          <h3 className="font-bold text-gray-700 mb-2">Tap a New Card</h3>
+          <div className="grid grid-cols-2 gap-2 mb-3 text-sm">
+            <select
+              value={cardSpec.model}
+              onChange={(e) => setCardSpec(prev => ({ ...prev, model: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-lg"
+            >
+              {simState.models.map(model => (
+                <option key={model} value={model}>{model}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={cardSpec.text}
+              onChange={(e) => setCardSpec(prev => ({ ...prev, text: e.target.value }))}
+              placeholder="Stored text (user ID)"
+              className="px-3 py-2 border border-gray-300 rounded-lg"
+            />
+            <input
+              type="text"
+              value={cardSpec.uid}
+              onChange={(e) => setCardSpec(prev => ({ ...prev, uid: e.target.value }))}
+              placeholder="UID (hex, optional)"
+              className="px-3 py-2 border border-gray-300 rounded-lg font-mono"
+            />
+            <input
+              type="text"
+              value={cardSpec.failingPages}
+              onChange={(e) => setCardSpec(prev => ({ ...prev, failingPages: e.target.value }))}
+              placeholder="Failing pages, e.g. 16,17"
+              className="px-3 py-2 border border-gray-300 rounded-lg font-mono"
+            />
+            <label className="col-span-2 flex items-center space-x-2 text-gray-600">
+              <span>Latency (ms)</span>
+              <input
+                type="number"
+                min="0"
+                value={cardSpec.latency}
+                onChange={(e) => setCardSpec(prev => ({ ...prev, latency: e.target.value }))}
+                className="w-24 px-3 py-1 border border-gray-300 rounded-lg"
+              />
+            </label>
+            <label className="col-span-2 flex items-center space-x-2 text-gray-600 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={cardSpec.cloned}
+                onChange={(e) => setCardSpec(prev => ({ ...prev, cloned: e.target.checked }))}
+              />
+              <span>Cloned chip (invalid originality signature)</span>
+            </label>
+          </div>
+          <button
+            onClick={handleTapNew}
+            disabled={!selectedReader}
+            className="px-6 py-2 text-white rounded-lg font-medium hover:opacity-90 transition-opacity shadow-md disabled:opacity-50"
+            style={{ backgroundColor: '#d35c57' }}
+          >
+            📶 Tap on {selectedReader || 'reader'}
+          </button>
+
+          {simState.cards.length > 0 && (
+            <div className="mt-4">
+              <h3 className="font-bold text-gray-700 mb-2">Known Cards</h3>
+              <div className="space-y-1 max-h-40 overflow-y-auto">
+                {simState.cards.map(card => (
+                  <div key={card.uid} className="flex items-center justify-between text-xs p-2 bg-gray-50 rounded">
+                    <span className="font-mono">{card.uid}</span>
+                    <span className="text-gray-500">
+                      {card.model}
+                      {card.failingPages.length > 0 && ` • failing ${card.failingPages.join(',')}`}
+                      {card.latency > 0 && ` • ${card.latency}ms`}
+                      {card.cloned && ' • cloned'}
+                      {card.counter !== null && card.counter !== undefined && ` • counter ${card.counter}`}
+                    </span>
+                    <div className="space-x-2">
+                      <button
+                        onClick={() => handleTapKnown(card.uid)}
+                        disabled={!selectedReader}
+                        className="px-2 py-1 border border-gray-300 rounded text-gray-600 hover:bg-white disabled:opacity-50"
+                      >
+                        Tap
+                      </button>
+                      <button
+                        onClick={async () => applyResult(await window.nfcAPI.simForgetCard(card.uid), `Card forgotten: ${card.uid}`)}
+                        className="px-2 py-1 border border-gray-300 rounded text-gray-600 hover:bg-white"
+                      >
+                        Forget
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SimulatorPanel;
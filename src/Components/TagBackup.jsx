@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+
+const TagBackup = ({ addLog }) => {
+  const [dump, setDump] = useState(null);
+  const [isDumping, setIsDumping] = useState(false);
+  const [restorePreview, setRestorePreview] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [restoreResult, setRestoreResult] = useState(null);
+  const [overwriteConfirmed, setOverwriteConfirmed] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDump = async () => {
+    if (!window.nfcAPI) {
+      addLog('NFC API not available', 'error');
+      return;
+    }
+
+    setIsDumping(true);
+    setError(null);
+    addLog('Dumping card memory...', 'info');
+
+    try {
+      const result = await window.nfcAPI.dumpTag();
+      if (!result.success) {
+        setError(result.error);
+        addLog(`Dump failed: ${result.error}`, 'error');
+        return;
+      }
+
+      setDump(result.dump);
+      addLog(`Dumped ${result.dump.pageCount} pages from ${result.dump.tagType} (UID: ${result.dump.uid})`, 'success');
+
+      const saved = await window.nfcAPI.saveDump(result.dump);
+      if (saved.success) {
+        addLog(`Backup saved to ${saved.filePath}`, 'success');
+      } else if (!saved.canceled) {
+        setError(saved.error);
+        addLog(`Saving backup failed: ${saved.error}`, 'error');
+      }
+    } catch (err) {
+      setError(err.message);
+      addLog(`Dump error: ${err.message}`, 'error');
+    } finally {
+      setIsDumping(false);
+    }
+  };
+
+  const handlePreviewRestore = async () => {
+    if (!window.nfcAPI) {
+      addLog('NFC API not available', 'error');
+      return;
+    }
+
+    setError(null);
+    setRestoreResult(null);
+    setRestorePreview(null);
+    setOverwriteConfirmed(false);
+
+    try {
+      const result = await window.nfcAPI.previewRestore();
+      if (result.success) {
+        setRestorePreview(result);
+        addLog(`Restore preview: ${result.summary.write} page(s) would change on ${result.targetUid}`, 'info');
+      } else if (!result.canceled) {
+        setError(result.error);
+        addLog(`Restore preview failed: ${result.error}`, 'error');
+      }
+    } catch (err) {
+      setError(err.message);
+      addLog(`Restore preview error: ${err.message}`, 'error');
+    }
+  };
+
+  const handleCommitRestore = async () => {
+    setIsRestoring(true);
+    setError(null);
+    addLog('Restoring card from backup...', 'info');
+
+    try {
+      // The handler refuses a card that is not blank unless the operator confirmed it
+      const result = await window.nfcAPI.commitRestore({ override: overwriteConfirmed });
+      setRestoreResult(result);
+      setRestorePreview(null);
+      if (result.success) {
+        addLog(`✅ Restore complete: ${result.written.length} page(s) written`, 'success');
+      } else {
+        addLog(`❌ Restore failed: ${result.error}`, 'error');
+      }
+    } catch (err) {
+      setError(err.message);
+      addLog(`Restore error: ${err.message}`, 'error');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const getActionColor = (action) => {
+    switch (action) {
+      case 'write': return 'bg-yellow-50 text-yellow-800';
+      case 'skip': return 'bg-gray-50 text-gray-400';
+      default: return 'text-gray-600';
+    }
+  };
+
+  return (
+    <div className="bg-white border-2 rounded-xl p-6 shadow-lg" style={{ borderColor: '#d35c57' }}>
+      <h3 className="text-xl font-bold mb-4" style={{ color: '#d35c57' }}>💾 Backup & Restore</h3>
+
+      <div className="flex flex-wrap gap-3 mb-4">
+        <button
+          onClick={handleDump}
+          disabled={isDumping || isRestoring}
+          className="px-6 py-3 text-white rounded-lg font-medium hover:opacity-90 transition-opacity shadow-md disabled:opacity-50"
+          style={{ backgroundColor: '#d35c57' }}
+        >
+          {isDumping ? '🔄 Dumping...' : '💾 Dump & Save Card'}
+        </button>
+
+        <button
+          onClick={handlePreviewRestore}
+          disabled={isDumping || isRestoring}
+          className="px-6 py-3 border-2 rounded-lg font-medium hover:bg-gray-50 transition-colors disabled:opacity-50"
+          style={{ borderColor: '#d35c57', color: '#d35c57' }}
+        >
+          ♻️ Restore from Backup...
+        </button>
+      </div>
+
+      {/* Error Display */}
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+          <div className="text-sm text-red-700">{error}</div>
+        </div>
+      )}
+
+      {/* Last Dump */}
+      {dump && (
+        <div className="mb-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <div className="font-bold text-green-800 mb-2">✅ Card Dumped</div>
+          <div className="grid grid-cols-2 gap-2 text-sm text-green-700">
+            <div><span className="font-medium">UID:</span> {dump.uid}</div>
+            <div><span className="font-medium">Tag:</span> {dump.tagType}</div>
+            <div><span className="font-medium">Pages:</span> {dump.pageCount}</div>
+            <div><span className="font-medium">Type:</span> {dump.type}</div>
+          </div>
+        </div>
+      )}
+
+      {/* Restore Diff */}
+      {restorePreview && (
+        <div className="mb-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <div className="font-bold text-yellow-800 mb-2">♻️ Restore Preview</div>
+          <div className="text-sm text-yellow-800 mb-3 space-y-1">
+            <div><span className="font-medium">Backup of:</span> {restorePreview.sourceUid} → <span className="font-medium">Target:</span> {restorePreview.targetUid} ({restorePreview.tagType})</div>
+            <div>
+              {restorePreview.summary.write} to write • {restorePreview.summary.same} unchanged • {restorePreview.summary.skip} skipped
+            </div>
+            {!restorePreview.targetBlank && (
+              <label className="flex items-center space-x-2 font-medium text-red-700">
+                <input
+                  type="checkbox"
+                  checked={overwriteConfirmed}
+                  onChange={(e) => setOverwriteConfirmed(e.target.checked)}
+                  disabled={isRestoring}
+                />
+                <span>⚠ Target card is not blank - overwrite its user data</span>
+              </label>
+            )}
+          </div>
+
+          <div className="max-h-64 overflow-y-auto bg-white border border-yellow-200 rounded">
+            <table className="w-full text-xs font-mono">
+              <thead className="bg-gray-50 text-gray-600">
+                <tr>
+                  <th className="px-2 py-1 text-left">Page</th>
+                  <th className="px-2 py-1 text-left">Role</th>
+                  <th className="px-2 py-1 text-left">Current</th>
+                  <th className="px-2 py-1 text-left">Backup</th>
+                  <th className="px-2 py-1 text-left">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {restorePreview.diff.map((entry) => (
+                  <tr key={entry.page} className={getActionColor(entry.action)} title={entry.reason || ''}>
+                    <td className="px-2 py-1">{entry.page}</td>
+                    <td className="px-2 py-1">{entry.role}</td>
+                    <td className="px-2 py-1">{entry.current ?? '—'}</td>
+                    <td className="px-2 py-1">{entry.target}</td>
+                    <td className="px-2 py-1">{entry.action}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex space-x-2 mt-3">
+            <button
+              onClick={handleCommitRestore}
+              disabled={isRestoring || restorePreview.summary.write === 0 || (!restorePreview.targetBlank && !overwriteConfirmed)}
+              className="px-6 py-2 bg-red-600 text-white rounded-lg font-medium hover:bg-red-700 transition-colors shadow-md disabled:opacity-50"
+            >
+              {isRestoring ? '🔄 Restoring...' : `✏️ Write ${restorePreview.summary.write} Page(s)`}
+            </button>
+            <button
+              onClick={() => setRestorePreview(null)}
+              disabled={isRestoring}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Restore Result */}
+      {restoreResult && (
+        <div className={`p-4 rounded-lg mb-4 ${restoreResult.success ? 'bg-green-50 border border-green-200' : 'bg-red-50 border border-red-200'}`}>
+          <div className={`font-bold mb-2 ${restoreResult.success ? 'text-green-800' : 'text-red-800'}`}>
+            {restoreResult.success ? '✅ Restore Complete' : '❌ Restore Incomplete'}
+          </div>
+          <div className={`text-sm ${restoreResult.success ? 'text-green-700' : 'text-red-700'}`}>
+            <div><span className="font-medium">Written:</span> {restoreResult.written.length} page(s)</div>
+            {restoreResult.failed.map(({ page, error: pageError }) => (
+              <div key={page}>Page {page}: {pageError}</div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Instructions */}
+      <div className="text-sm text-gray-600 bg-blue-50 border border-blue-200 rounded-lg p-3">
+        <p className="font-medium text-blue-800 mb-1">💡 Backup Instructions:</p>
+        <ul className="list-disc list-inside space-y-1 text-blue-700">
+          <li><strong>Dump & Save:</strong> Reads every page of the card and saves it as a JSON file</li>
+          <li><strong>Restore:</strong> Place a blank card, pick a backup file and review the page diff</li>
+          <li>UID, lock and configuration pages are never written during a restore</li>
+          <li>Nothing is written until you confirm the diff</li>
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default TagBackup;
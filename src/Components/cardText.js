@@ -0,0 +1,47 @@
+// Card text helpers shared by the scanner and the card reader, so both read
+// and accept cards the same way.
+
+// Results that end the read: the card is gone, or it holds an encrypted
+// payload this desk cannot open - a plaintext copy elsewhere on the card
+// must not be accepted in its place
+const FINAL_CODES = ['OPERATION_CANCELLED', 'PAYLOAD_DECRYPT_FAILED', 'PAYLOAD_KEY_UNKNOWN'];
+
+// Prefer the NDEF text record (phone-readable cards), fall back to raw page
+// storage. With payload encryption on, badges are written to page storage,
+// so it is read first and an older plaintext NDEF record cannot shadow it.
+export const readCardText = async (readerName) => {
+  const status = await window.nfcAPI.getNFCStatus();
+  const pageFirst = !!(status.payloadEncryption && status.payloadEncryption.enabled);
+  const hasText = result => result.success && result.text && result.text.trim();
+
+  const first = pageFirst
+    ? await window.nfcAPI.readPageText(readerName)
+    : await window.nfcAPI.readNDEF(readerName);
+  if (hasText(first) || FINAL_CODES.includes(first.code)) {
+    return first;
+  }
+
+  const second = pageFirst
+    ? await window.nfcAPI.readNDEF(readerName)
+    : await window.nfcAPI.readPageText(readerName);
+  if (hasText(second)) {
+    return second;
+  }
+  // Neither holds text - report the page-text result (format, errors)
+  return pageFirst ? first : second;
+};
+
+// Only IDs with a valid MAC for this card's UID are accepted. Unsigned cards
+// written before signing existed pass only with acceptUnsigned.
+// Resolves to { accepted, userId, legacy, signature, error, code } - signature
+// is 'valid' or the verification error code, for display.
+export const verifyCardText = async (text, uid, { acceptUnsigned = false } = {}) => {
+  const result = await window.nfcAPI.verifyPayload(text, uid);
+  if (result.success) {
+    return { accepted: true, userId: result.userId, legacy: false, signature: 'valid' };
+  }
+  if (result.code === 'PAYLOAD_UNSIGNED' && acceptUnsigned) {
+    return { accepted: true, userId: text.trim(), legacy: true, signature: result.code };
+  }
+  return { accepted: false, userId: null, legacy: false, signature: result.code, error: result.error, code: result.code };
+};
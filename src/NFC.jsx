@@ -2,12 +2,16 @@ import React, { useState, useEffect } from 'react';
 import NFCScanner from './Components/NFCScanner';
 import CardReader from './Components/NTAGReader';
 import CardWriter from './Components/NTAGWriter';
+import TagBackup from './Components/TagBackup';
+import SimulatorPanel from './Components/SimulatorPanel';
+import APDUConsole from './Components/APDUConsole';
 
 
 const NFC = () => {
   const [activeTab, setActiveTab] = useState('scanner');
   const [nfcStatus, setNfcStatus] = useState({
     initialized: false,
+    lifecycle: 'stopped',
     readers: [],
     readerCount: 0,
     hasCard: false,
@@ -15,6 +19,7 @@ const NFC = () => {
   });
   const [systemError, setSystemError] = useState(null);
   const [logs, setLogs] = useState([]);
+  const [isSavingDiagnostics, setIsSavingDiagnostics] = useState(false);
 
   const addLog = (message, type = 'info') => {
     const timestamp = new Date().toLocaleTimeString();
@@ -51,6 +56,23 @@ const NFC = () => {
     addLog('Logs cleared', 'info');
   };
 
+  // Zip of the main-process log files, nfc-status output and this activity log
+  const downloadDiagnostics = async () => {
+    if (!window.nfcAPI) return;
+
+    setIsSavingDiagnostics(true);
+    try {
+      const result = await window.nfcAPI.saveDiagnostics(logs);
+      if (result.success) {
+        addLog(`Diagnostics saved to ${result.filePath}`, 'success');
+      } else if (!result.canceled) {
+        addLog(result.error, 'error');
+      }
+    } finally {
+      setIsSavingDiagnostics(false);
+    }
+  };
+
   const getLogColor = (type) => {
     switch (type) {
       case 'success': return 'text-green-600';
@@ -91,12 +113,22 @@ const NFC = () => {
           <div className="bg-white border-2 rounded-xl p-6 shadow-lg" style={{ borderColor: '#d35c57' }}>
             <div className="flex items-center justify-between mb-4">
               <h2 className="text-xl font-bold" style={{ color: '#d35c57' }}>📋 Activity Log</h2>
-              <button
-                onClick={clearLogs}
-                className="px-3 py-1 text-sm border border-gray-300 rounded-lg text-gray-600 hover:bg-gray-50"
-              >
-                Clear Logs
-              </button>
+              <div className="flex space-x-2">
+                <button
+                  onClick={downloadDiagnostics}
+                  disabled={isSavingDiagnostics}
+                  className="px-3 py-1 text-sm border border-gray-300 rounded-lg text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+                  title="Save a zip of the app logs and NFC status for support"
+                >
+                  {isSavingDiagnostics ? 'Saving...' : '🩺 Download Diagnostics'}
+                </button>
+                <button
+                  onClick={clearLogs}
+                  className="px-3 py-1 text-sm border border-gray-300 rounded-lg text-gray-600 hover:bg-gray-50"
+                >
+                  Clear Logs
+                </button>
+              </div>
             </div>
 
             <div className="h-32 overflow-y-auto bg-gray-50 border border-gray-200 rounded-lg p-3">
@@ -135,6 +167,11 @@ const NFC = () => {
           </div>
         )}
 
+        {/* Simulator Dev Panel */}
+        {nfcStatus.backend === 'simulator' && (
+          <SimulatorPanel addLog={addLog} updateNFCStatus={updateNFCStatus} />
+        )}
+
         {/* Tab Navigation */}
         <div className="mb-6">
           <div className="bg-white rounded-xl shadow-lg overflow-hidden" style={{ border: '2px solid #d35c57' }}>
@@ -178,6 +215,34 @@ const NFC = () => {
               >
                 ✏️ Card Writer
               </button>
+              <button
+                onClick={() => setActiveTab('backup')}
+                className={`flex-1 py-4 px-6 font-bold text-lg transition-all ${
+                  activeTab === 'backup'
+                    ? 'text-white shadow-inner'
+                    : 'text-gray-600 hover:bg-gray-50'
+                }`}
+                style={{ 
+                  backgroundColor: activeTab === 'backup' ? '#d35c57' : 'transparent'
+                }}
+              >
+                💾 Backup
+              </button>
+              {nfcStatus.adminMode && (
+                <button
+                  onClick={() => setActiveTab('console')}
+                  className={`flex-1 py-4 px-6 font-bold text-lg transition-all ${
+                    activeTab === 'console'
+                      ? 'text-white shadow-inner'
+                      : 'text-gray-600 hover:bg-gray-50'
+                  }`}
+                  style={{ 
+                    backgroundColor: activeTab === 'console' ? '#d35c57' : 'transparent'
+                  }}
+                >
+                  🧾 Console
+                </button>
+              )}
             </nav>
           </div>
         </div>
@@ -199,6 +264,12 @@ const NFC = () => {
           {activeTab === 'writer' && (
             <CardWriter addLog={addLog} />
           )}
+          {activeTab === 'backup' && (
+            <TagBackup addLog={addLog} />
+          )}
+          {activeTab === 'console' && (
+            <APDUConsole nfcStatus={nfcStatus} addLog={addLog} />
+          )}
         </div>
 
         {/* Quick Help Guide */}